@@ -1,6 +1,8 @@
 // Insight+ for Firefish - Background Service Worker
 // Handles extension lifecycle, message routing, and API interactions
 
+importScripts('priceProviders.js', 'settingsSchema.js');
+
 // Extension configuration
 const CONFIG = {
     name: 'Insight+ for Firefish',
@@ -116,6 +118,496 @@ const coingeckoService = {
     }
 };
 
+// Historical BTC prices persisted in chrome.storage.local, shared by every Firefish tab.
+// Stored as { version, entries: { "yyyy-mm-dd_currency": { price, timestamp } } }.
+const HISTORICAL_STORE_CONFIG = {
+    storageKey: 'btcHistoricalPrices',
+    version: 2,
+    maxEntries: 2000,  // ~5 years of daily prices for one currency
+    persistDelay: 1000 // Batch writes while many loans are loaded
+};
+
+const historicalPriceStore = {
+    entries: new Map(),
+    loadPromise: null,
+    persistTimeout: null,
+    
+    // Migration steps keyed by the version they upgrade from
+    migrations: {
+        // v1 (written by the content script) keyed entries as "dd-mm-yyyy_currency"
+        1: (payload) => ({
+            version: 2,
+            entries: Object.fromEntries(Object.entries(payload.entries).map(([key, entry]) => {
+                const [date, currency] = key.split('_');
+                const [day, month, year] = date.split('-');
+                return [`${year}-${month}-${day}_${currency}`, entry];
+            }))
+        })
+    },
+    
+    ready() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.load();
+        }
+        return this.loadPromise;
+    },
+    
+    async load() {
+        try {
+            const stored = (await chrome.storage.local.get(HISTORICAL_STORE_CONFIG.storageKey))[HISTORICAL_STORE_CONFIG.storageKey];
+            const migrated = this.migrate(stored);
+            if (!migrated) return;
+            
+            Object.entries(migrated.entries).forEach(([key, entry]) => {
+                if (!this.entries.has(key)) this.entries.set(key, entry);
+            });
+            console.log(`[Insight+ Firefish] Loaded ${this.entries.size} historical BTC prices from storage`);
+            
+            if (migrated.version !== stored.version) {
+                this.schedulePersist();
+            }
+        } catch (error) {
+            console.error(`[Insight+ Firefish] Failed to load historical price cache:`, error);
+        }
+    },
+    
+    // Bring a stored payload up to the current version, or drop it if that's not possible
+    migrate(stored) {
+        if (!stored || typeof stored !== 'object' || !stored.entries) return null;
+        
+        let payload = stored;
+        while (payload.version < HISTORICAL_STORE_CONFIG.version) {
+            const step = this.migrations[payload.version];
+            if (!step) {
+                console.warn(`[Insight+ Firefish] No migration from historical cache v${payload.version}, discarding it`);
+                return null;
+            }
+            payload = step(payload);
+        }
+        
+        if (payload.version !== HISTORICAL_STORE_CONFIG.version) {
+            console.warn(`[Insight+ Firefish] Unknown historical cache version ${payload.version}, discarding it`);
+            return null;
+        }
+        return payload;
+    },
+    
+    get(date, currency) {
+        const entry = this.entries.get(`${date}_${currency}`);
+        return entry ? entry.price : null;
+    },
+    
+    set(date, currency, price) {
+        this.entries.set(`${date}_${currency}`, { price, timestamp: Date.now() });
+        this.schedulePersist();
+    },
+    
+    schedulePersist() {
+        if (this.persistTimeout) clearTimeout(this.persistTimeout);
+        this.persistTimeout = setTimeout(() => {
+            this.persistTimeout = null;
+            this.persist();
+        }, HISTORICAL_STORE_CONFIG.persistDelay);
+    },
+    
+    // Write the cache, keeping only the most recently fetched entries within the size cap
+    async persist() {
+        try {
+            const entries = Array.from(this.entries.entries())
+                .sort((a, b) => b[1].timestamp - a[1].timestamp)
+                .slice(0, HISTORICAL_STORE_CONFIG.maxEntries);
+            
+            await chrome.storage.local.set({
+                [HISTORICAL_STORE_CONFIG.storageKey]: {
+                    version: HISTORICAL_STORE_CONFIG.version,
+                    entries: Object.fromEntries(entries)
+                }
+            });
+        } catch (error) {
+            console.error(`[Insight+ Firefish] Failed to persist historical price cache:`, error);
+        }
+    },
+    
+    async clear() {
+        if (this.persistTimeout) {
+            clearTimeout(this.persistTimeout);
+            this.persistTimeout = null;
+        }
+        this.entries.clear();
+        await chrome.storage.local.remove(HISTORICAL_STORE_CONFIG.storageKey);
+    }
+};
+
+// Request pacing for every tab's price requests. A token bucket allows short bursts
+// while keeping the average rate under the providers' free-tier limits.
+const SCHEDULER_CONFIG = {
+    bucketSize: 5,               // Requests that may go out back to back
+    refillPerMinute: 25,         // Sustained rate, until settings.requestsPerMinute is read
+    backoffBaseMs: 15 * 1000,    // First backoff after a 429 without Retry-After
+    backoffMaxMs: 10 * 60 * 1000,
+    lanes: ['current', 'historical'] // Priority order: current prices never wait behind history
+};
+
+const requestScheduler = {
+    config: { ...SCHEDULER_CONFIG },
+    tokens: SCHEDULER_CONFIG.bucketSize,
+    lastRefill: Date.now(),
+    lanes: Object.fromEntries(SCHEDULER_CONFIG.lanes.map(lane => [lane, []])),
+    inFlight: new Map(),         // key -> promise, so tabs asking for the same data share one call
+    pumping: false,
+    rateLimitedUntil: 0,
+    consecutiveRateLimits: 0,
+    
+    // Override bucket settings, e.g. from the user's settings
+    configure(options = {}) {
+        const { bucketSize, refillPerMinute } = options;
+        if (bucketSize > 0) this.config.bucketSize = bucketSize;
+        if (refillPerMinute > 0) this.config.refillPerMinute = refillPerMinute;
+        this.tokens = Math.min(this.tokens, this.config.bucketSize);
+    },
+    
+    // Queue `task` on a priority lane, deduplicated by `key`
+    schedule(key, task, lane = 'historical') {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+        
+        const run = new Promise((resolve, reject) => {
+            (this.lanes[lane] || this.lanes.historical).push({ key, task, resolve, reject });
+        });
+        this.inFlight.set(key, run);
+        run.finally(() => this.inFlight.delete(key)).catch(() => {});
+        
+        this.pump();
+        return run;
+    },
+    
+    nextJob() {
+        for (const lane of this.config.lanes) {
+            if (this.lanes[lane].length > 0) return this.lanes[lane].shift();
+        }
+        return null;
+    },
+    
+    refill() {
+        const now = Date.now();
+        const refillMs = 60 * 1000 / this.config.refillPerMinute;
+        const added = (now - this.lastRefill) / refillMs;
+        this.tokens = Math.min(this.config.bucketSize, this.tokens + added);
+        this.lastRefill = now;
+    },
+    
+    // Drain the lanes one job at a time, waiting for tokens as needed
+    async pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+        
+        try {
+            let job;
+            while ((job = this.nextJob())) {
+                // While backing off, fail fast so tabs can show the countdown and retry later
+                const remaining = this.rateLimitedUntil - Date.now();
+                if (remaining > 0) {
+                    job.reject(FirefishPriceProviders.createProviderError('Price providers are rate limited', 429, remaining));
+                    continue;
+                }
+                
+                this.refill();
+                if (this.tokens < 1) {
+                    const wait = (1 - this.tokens) * 60 * 1000 / this.config.refillPerMinute;
+                    await new Promise(resolve => setTimeout(resolve, wait));
+                    this.refill();
+                }
+                this.tokens -= 1;
+                
+                try {
+                    job.resolve(await job.task());
+                    this.consecutiveRateLimits = 0;
+                } catch (error) {
+                    if (error.status === 429) this.backOff(error);
+                    job.reject(error);
+                }
+            }
+        } finally {
+            this.pumping = false;
+        }
+    },
+    
+    // Honour Retry-After when the provider sent one, otherwise back off exponentially with jitter
+    backOff(error) {
+        this.consecutiveRateLimits++;
+        const delay = error.retryAfter || FirefishPriceProviders.computeBackoff(this.consecutiveRateLimits, {
+            baseMs: this.config.backoffBaseMs,
+            maxMs: this.config.backoffMaxMs
+        });
+        
+        this.rateLimitedUntil = Date.now() + delay;
+        this.tokens = 0;
+        error.retryAfter = delay;
+        console.log(`[Insight+ Firefish] Rate limited until ${new Date(this.rateLimitedUntil).toLocaleTimeString()}`);
+    },
+    
+    getRateLimitStatus() {
+        const remaining = Math.max(0, this.rateLimitedUntil - Date.now());
+        return {
+            isRateLimited: remaining > 0,
+            retryAfter: remaining,
+            tokens: Math.floor(this.tokens),
+            queued: this.config.lanes.reduce((sum, lane) => sum + this.lanes[lane].length, 0)
+        };
+    }
+};
+
+// BTC price service backed by the provider chain (preferred source first, others as fallbacks)
+const btcPriceService = {
+    chain: null,
+    chainSignature: null,
+    
+    async getChain() {
+        const { settings } = await chrome.storage.local.get('settings');
+        const { priceProvider, customPriceEndpoint, requestsPerMinute } = FirefishSettingsSchema.validate(settings).values;
+        const signature = `${priceProvider}|${customPriceEndpoint}`;
+        requestScheduler.configure({ refillPerMinute: requestsPerMinute });
+        
+        if (!this.chain || this.chainSignature !== signature) {
+            this.chain = FirefishPriceProviders.createProviderChainFromSettings(
+                { priceProvider, customPriceEndpoint },
+                {
+                    backoffBaseMs: SCHEDULER_CONFIG.backoffBaseMs,
+                    backoffMaxMs: SCHEDULER_CONFIG.backoffMaxMs,
+                    log: (message) => console.log(`[Insight+ Firefish] Price provider: ${message}`)
+                }
+            );
+            this.chainSignature = signature;
+        }
+        return this.chain;
+    },
+    
+    // `fresh` skips the cached prices, e.g. for the periodic LTV check
+    async getCurrentPrices(currencies, { fresh = false } = {}) {
+        const cacheKey = `btc_prices_${currencies.join('_')}`;
+        const cached = fresh ? null : cacheUtils.get(cacheKey);
+        if (cached) {
+            console.log(`[Insight+ Firefish] Cache hit for: ${cacheKey}`);
+            return cached;
+        }
+        
+        return requestScheduler.schedule(cacheKey, async () => {
+            const chain = await this.getChain();
+            const { value: prices, providerId } = await chain.getCurrentPrices(currencies);
+            console.log(`[Insight+ Firefish] BTC prices fetched from ${providerId}`);
+            
+            const result = { prices, providerId };
+            cacheUtils.set(cacheKey, result, 2 * 60 * 1000); // 2 minutes for prices
+            return result;
+        }, 'current');
+    },
+    
+    // `date` is an ISO "yyyy-mm-dd" day
+    async getHistoricalPrice(date, currency) {
+        await historicalPriceStore.ready();
+        const cached = historicalPriceStore.get(date, currency);
+        if (cached !== null) return cached;
+        
+        return requestScheduler.schedule(`history_${date}_${currency}`, async () => {
+            const chain = await this.getChain();
+            const { value: price, providerId } = await chain.getHistoricalPrice(new Date(`${date}T00:00:00Z`), currency);
+            console.log(`[Insight+ Firefish] Historical price ${date} ${currency} = ${price} (source: ${providerId})`);
+            historicalPriceStore.set(date, currency, price);
+            return price;
+        }, 'historical');
+    },
+    
+    async getRange(currency, from, to) {
+        const cacheKey = `btc_range_${currency}_${from}_${to}`;
+        const cached = cacheUtils.get(cacheKey);
+        if (cached) return cached;
+        
+        return requestScheduler.schedule(cacheKey, async () => {
+            const chain = await this.getChain();
+            const { value: prices } = await chain.getRange(currency, new Date(from), new Date(to));
+            cacheUtils.set(cacheKey, prices, 10 * 60 * 1000); // 10 minutes for ranges
+            return prices;
+        }, 'historical');
+    },
+    
+    // Fill the historical store for many { date, currency } pairs with one ranged request per
+    // currency. Dates the range can't cover are left for getHistoricalPrice.
+    async preloadHistoricalPrices(requests) {
+        await historicalPriceStore.ready();
+        const dayMs = 24 * 60 * 60 * 1000;
+        
+        const missingByCurrency = new Map();
+        requests.forEach(({ date, currency }) => {
+            if (historicalPriceStore.get(date, currency) !== null) return;
+            if (!missingByCurrency.has(currency)) missingByCurrency.set(currency, []);
+            missingByCurrency.get(currency).push(Date.parse(`${date}T00:00:00Z`));
+        });
+        
+        for (const [currency, timestamps] of missingByCurrency) {
+            const from = Math.min(...timestamps) - dayMs;
+            const to = Math.max(...timestamps) + dayMs;
+            
+            let prices;
+            try {
+                prices = await this.getRange(currency, from, to);
+            } catch (error) {
+                if (error.status === 429) throw error;
+                console.warn(`[Insight+ Firefish] Historical range for ${currency} failed, falling back to per-date requests:`, error.message);
+                continue;
+            }
+            
+            // Cache every day in the span that has a data point within 12 hours of midnight UTC
+            for (let day = from; day <= to; day += dayMs) {
+                let closest = null;
+                prices.forEach(([timestamp, price]) => {
+                    const distance = Math.abs(timestamp - day);
+                    if (distance <= dayMs / 2 && (!closest || distance < closest.distance)) {
+                        closest = { distance, price };
+                    }
+                });
+                const date = new Date(day).toISOString().slice(0, 10);
+                if (closest && historicalPriceStore.get(date, currency) === null) {
+                    historicalPriceStore.set(date, currency, closest.price);
+                }
+            }
+        }
+        
+        // Everything we know for the requested days, keyed as "yyyy-mm-dd_currency"
+        const result = {};
+        requests.forEach(({ date, currency }) => {
+            const price = historicalPriceStore.get(date, currency);
+            if (price !== null) result[`${date}_${currency}`] = price;
+        });
+        return result;
+    }
+};
+
+// Live LTV monitoring: recompute the LTV of the loans last seen by the content script from the
+// current BTC price on an alarm, and notify when a loan crosses a threshold, even with no
+// Firefish tab open
+const LTV_MONITOR_CONFIG = {
+    alarmName: 'ltv-monitor',
+    defaultIntervalMinutes: 5,
+    loansUrl: 'https://app.firefish.io/loans/tab/active'
+};
+
+// Alert levels by severity; a loan is only notified when it moves up a level
+const LTV_LEVELS = ['ok', 'alert', 'marginCall', 'liquidation'];
+
+const ltvMonitor = {
+    // Create or clear the alarm to match the settings and the stored loans
+    async configure() {
+        const { settings = {}, monitoredLoans = {} } = await chrome.storage.local.get(['settings', 'monitoredLoans']);
+        const enabled = settings.enabled !== false && settings.notifications !== false && settings.autoRefresh !== false &&
+            Object.keys(monitoredLoans).length > 0;
+        
+        if (!enabled) {
+            await chrome.alarms.clear(LTV_MONITOR_CONFIG.alarmName);
+            return false;
+        }
+        
+        const periodInMinutes = Math.max(1, Number(settings.refreshInterval) || LTV_MONITOR_CONFIG.defaultIntervalMinutes);
+        const existing = await chrome.alarms.get(LTV_MONITOR_CONFIG.alarmName);
+        if (!existing || existing.periodInMinutes !== periodInMinutes) {
+            chrome.alarms.create(LTV_MONITOR_CONFIG.alarmName, { periodInMinutes });
+            console.log(`[Insight+ Firefish] LTV monitor runs every ${periodInMinutes} min`);
+        }
+        return true;
+    },
+    
+    // User thresholds in percent, validated by the shared settings schema (invalid ones fall back
+    // to Firefish's); alertLTV is an optional early warning below the margin call
+    getThresholds(settings) {
+        const { values } = FirefishSettingsSchema.validate(settings);
+        return {
+            alert: values.alertLTV,
+            marginCall: values.marginCallLTV,
+            liquidation: values.liquidationLTV
+        };
+    },
+    
+    levelFor(ltv, thresholds) {
+        if (ltv >= thresholds.liquidation) return 'liquidation';
+        if (ltv >= thresholds.marginCall) return 'marginCall';
+        if (thresholds.alert && ltv >= thresholds.alert) return 'alert';
+        return 'ok';
+    },
+    
+    // Price every monitored loan and raise notifications for new crossings.
+    // Returns { checked, alerts } with one alert per crossing.
+    async check() {
+        const { settings = {}, monitoredLoans = {}, ltvAlertState } =
+            await chrome.storage.local.get(['settings', 'monitoredLoans', 'ltvAlertState']);
+        const loans = Object.values(monitoredLoans);
+        const alertPrices = settings.alertPrices || {};
+        const currencies = Array.from(new Set(
+            loans.map(loan => loan.currency).concat(Object.keys(alertPrices)).map(code => code.toLowerCase())
+        ));
+        if (currencies.length === 0) return { checked: 0, alerts: [] };
+        
+        const { prices } = await btcPriceService.getCurrentPrices(currencies, { fresh: true });
+        const thresholds = this.getThresholds(settings);
+        const state = Object.assign({ loans: {}, prices: {} }, ltvAlertState);
+        const alerts = [];
+        
+        loans.forEach(loan => {
+            const price = prices[loan.currency.toLowerCase()];
+            if (!price || !(loan.collateralBTC > 0)) return;
+            
+            const ltv = loan.debt / (loan.collateralBTC * price) * 100;
+            const level = this.levelFor(ltv, thresholds);
+            const previous = state.loans[loan.loanId] || 'ok';
+            if (LTV_LEVELS.indexOf(level) > LTV_LEVELS.indexOf(previous)) {
+                alerts.push({ type: level, loanId: loan.loanId, currency: loan.currency, loanAmount: loan.loanAmount, ltv, price, threshold: thresholds[level] });
+            }
+            state.loans[loan.loanId] = level;
+        });
+        
+        // Price alerts fire once when BTC falls to or below the price set for a currency
+        Object.keys(alertPrices).forEach(currency => {
+            const threshold = Number(alertPrices[currency]);
+            const price = prices[currency.toLowerCase()];
+            if (!price || !threshold) return;
+            
+            const below = price <= threshold;
+            if (below && !state.prices[currency]) {
+                alerts.push({ type: 'price', currency: currency.toUpperCase(), price, threshold });
+            }
+            state.prices[currency] = below;
+        });
+        
+        await chrome.storage.local.set({ ltvAlertState: state });
+        if (settings.notifications !== false) {
+            alerts.forEach(alert => this.notify(alert));
+        }
+        console.log(`[Insight+ Firefish] LTV check: ${loans.length} loans, ${alerts.length} alerts`);
+        return { checked: loans.length, alerts };
+    },
+    
+    notify(alert) {
+        const money = (value, currency) => new Intl.NumberFormat('en', { style: 'currency', currency, maximumFractionDigits: 0 }).format(value);
+        const loan = alert.loanAmount ? `${money(alert.loanAmount, alert.currency)} loan` : '';
+        const titles = {
+            liquidation: 'Loan at liquidation LTV',
+            marginCall: 'Margin call LTV reached',
+            alert: 'Loan LTV alert',
+            price: 'BTC price alert'
+        };
+        const message = alert.type === 'price' ?
+            `BTC is at ${money(alert.price, alert.currency)}, at or below your ${money(alert.threshold, alert.currency)} alert.` :
+            `Your ${loan} is at ${alert.ltv.toFixed(1)}% LTV (threshold ${alert.threshold}%) with BTC at ${money(alert.price, alert.currency)}.`;
+        
+        chrome.notifications.create(`ltv-${alert.type}-${alert.loanId || alert.currency}-${Date.now()}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: titles[alert.type],
+            message,
+            priority: alert.type === 'liquidation' || alert.type === 'marginCall' ? 2 : 1
+        });
+    }
+};
+
 // Message handling
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log(`[Insight+ Firefish] Received message:`, request);
@@ -137,18 +629,46 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             handleGetCoinInfo(request, sendResponse);
             return true;
             
+        case 'getCurrentPrices':
+            handleGetCurrentPrices(request, sendResponse);
+            return true;
+            
+        case 'getHistoricalPrice':
+            handleGetHistoricalPrice(request, sendResponse);
+            return true;
+            
+        case 'preloadHistoricalPrices':
+            handlePreloadHistoricalPrices(request, sendResponse);
+            return true;
+            
+        case 'getPriceRange':
+            handleGetPriceRange(request, sendResponse);
+            return true;
+            
         case 'clearCache':
-            handleClearCache(sendResponse);
-            break;
+            handleClearCache(request, sendResponse);
+            return true;
             
         case 'getCacheStats':
             handleGetCacheStats(sendResponse);
             break;
             
+        case 'checkLTV':
+            handleCheckLTV(sendResponse);
+            return true;
+            
         case 'openPopup':
             handleOpenPopup();
             break;
             
+        case 'analysisProgress':
+            handleAnalysisProgress(request.data, sender.tab?.id);
+            break;
+            
+        case 'updateStatus':
+            // Meant for the popup
+            break;
+            
         default:
             console.warn(`[Insight+ Firefish] Unknown action: ${request.action}`);
             sendResponse({ error: 'Unknown action' });
@@ -157,6 +677,31 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 });
 
 // Message handlers
+
+// Analysis progress on the toolbar badge of the tab: finished/total while running (orange when
+// rate limited), "!" if some loans failed, nothing once everything is analyzed
+const BADGE_COLORS = { running: '#667eea', rateLimited: '#fd7e14', failed: '#dc3545' };
+
+function handleAnalysisProgress(progress, tabId) {
+    if (!tabId || !progress) return;
+
+    let text = '';
+    let color = BADGE_COLORS.running;
+    if (progress.total > 0 && !progress.complete) {
+        text = `${progress.finished}/${progress.total}`;
+        // The badge fits about four characters
+        if (text.length > 4) text = `${Math.floor(progress.finished / progress.total * 100)}%`;
+        if (progress.counts['rate-limited'] > 0) color = BADGE_COLORS.rateLimited;
+    } else if (progress.complete && progress.counts.error > 0) {
+        text = '!';
+        color = BADGE_COLORS.failed;
+    }
+
+    // The tab may have closed in the meantime
+    Promise.resolve(chrome.action.setBadgeText({ tabId, text })).catch(() => {});
+    if (text) Promise.resolve(chrome.action.setBadgeBackgroundColor({ tabId, color })).catch(() => {});
+}
+
 async function handleGetTopCoins(request, sendResponse) {
     try {
         const limit = request.limit || 10;
@@ -177,7 +722,10 @@ async function handleGetCoinPrice(request, sendResponse) {
             throw new Error('Coin ID is required');
         }
         
-        const price = await coingeckoService.getCoinPrice(coinId, currency);
+        // BTC goes through the provider chain; other coins are only available from CoinGecko
+        const price = coinId === 'bitcoin' ?
+            { bitcoin: (await btcPriceService.getCurrentPrices(currency.toLowerCase().split(','))).prices } :
+            await coingeckoService.getCoinPrice(coinId, currency);
         sendResponse({ success: true, data: price });
     } catch (error) {
         sendResponse({ success: false, error: error.message });
@@ -214,9 +762,72 @@ async function handleGetCoinInfo(request, sendResponse) {
     }
 }
 
-function handleClearCache(sendResponse) {
+// Price failures carry the shared rate-limit state so tabs can show the same countdown
+function sendPriceError(sendResponse, error) {
+    sendResponse({
+        success: false,
+        error: error.message,
+        rateLimited: error.status === 429,
+        retryAfter: error.status === 429 ? (error.retryAfter || requestScheduler.getRateLimitStatus().retryAfter) : null,
+        offline: !!error.network
+    });
+}
+
+async function handleGetCurrentPrices(request, sendResponse) {
+    try {
+        const currencies = (request.currencies || ['usd']).map(code => code.toLowerCase());
+        const { prices, providerId } = await btcPriceService.getCurrentPrices(currencies);
+        sendResponse({ success: true, data: prices, providerId });
+    } catch (error) {
+        sendPriceError(sendResponse, error);
+    }
+}
+
+async function handleGetHistoricalPrice(request, sendResponse) {
+    try {
+        if (!request.date || !request.currency) {
+            throw new Error('Date and currency are required');
+        }
+        
+        const price = await btcPriceService.getHistoricalPrice(request.date, request.currency.toLowerCase());
+        sendResponse({ success: true, data: price });
+    } catch (error) {
+        sendPriceError(sendResponse, error);
+    }
+}
+
+async function handlePreloadHistoricalPrices(request, sendResponse) {
+    try {
+        const requests = (request.requests || []).map(({ date, currency }) => ({
+            date,
+            currency: (currency || '').toLowerCase()
+        }));
+        const prices = await btcPriceService.preloadHistoricalPrices(requests);
+        sendResponse({ success: true, data: prices });
+    } catch (error) {
+        sendPriceError(sendResponse, error);
+    }
+}
+
+async function handleGetPriceRange(request, sendResponse) {
+    try {
+        if (!request.currency || !request.from || !request.to) {
+            throw new Error('Currency, from and to are required');
+        }
+        
+        const prices = await btcPriceService.getRange(request.currency.toLowerCase(), request.from, request.to);
+        sendResponse({ success: true, data: prices });
+    } catch (error) {
+        sendPriceError(sendResponse, error);
+    }
+}
+
+async function handleClearCache(request, sendResponse) {
     try {
         cacheUtils.clear();
+        if (request.includeHistorical) {
+            await historicalPriceStore.clear();
+        }
         console.log(`[Insight+ Firefish] Cache cleared`);
         sendResponse({ success: true, message: 'Cache cleared successfully' });
     } catch (error) {
@@ -233,6 +844,15 @@ function handleGetCacheStats(sendResponse) {
     }
 }
 
+async function handleCheckLTV(sendResponse) {
+    try {
+        const result = await ltvMonitor.check();
+        sendResponse({ success: true, data: result });
+    } catch (error) {
+        sendPriceError(sendResponse, error);
+    }
+}
+
 function handleOpenPopup() {
     // This will be handled by the popup interface
     console.log(`[Insight+ Firefish] Popup requested`);
@@ -248,23 +868,27 @@ chrome.runtime.onInstalled.addListener((details) => {
         
         // Set default settings
         chrome.storage.local.set({
-            settings: {
-                enabled: true,
-                autoRefresh: true,
-                refreshInterval: 5,
-                theme: 'auto',
-                notifications: true
-            },
+            settings: FirefishSettingsSchema.defaults(),
             lastUpdated: Date.now()
         });
     } else if (details.reason === 'update') {
         // Extension updated
         console.log(`[Insight+ Firefish] Updated to version ${CONFIG.version}`);
+
+        // Add settings introduced since, keeping the user's valid ones
+        chrome.storage.local.get('settings').then(({ settings }) => {
+            const { values, errors } = FirefishSettingsSchema.validate(settings);
+            Object.keys(errors).forEach(key => {
+                console.warn(`[Insight+ Firefish] Resetting invalid setting ${key}: ${errors[key]}`);
+            });
+            return chrome.storage.local.set({ settings: values, lastUpdated: Date.now() });
+        });
     }
 });
 
 chrome.runtime.onStartup.addListener(() => {
     console.log(`[Insight+ Firefish] Extension started`);
+    ltvMonitor.configure();
     
     // Clear expired cache entries
     const now = Date.now();
@@ -292,6 +916,27 @@ setInterval(() => {
     }
 }, 60 * 1000); // Check every minute
 
+// LTV monitoring runs on its alarm, which follows the settings and the loans the content script stored
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name !== LTV_MONITOR_CONFIG.alarmName) return;
+    ltvMonitor.check().catch(error => {
+        console.warn(`[Insight+ Firefish] LTV check failed:`, error.message);
+    });
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.settings || changes.monitoredLoans)) {
+        ltvMonitor.configure();
+    }
+});
+
+// Open the loans page from an LTV notification
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith('ltv-')) return;
+    chrome.tabs.create({ url: LTV_MONITOR_CONFIG.loansUrl });
+    chrome.notifications.clear(notificationId);
+});
+
 // Handle extension icon click
 chrome.action.onClicked.addListener((tab) => {
     console.log(`[Insight+ Firefish] Extension icon clicked on tab:`, tab.id);
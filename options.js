@@ -0,0 +1,177 @@
+// Insight+ for Firefish - Options page
+// Edits the settings object in chrome.storage.local, validated with settingsSchema.js. Open
+// Firefish tabs and the service worker pick up saved changes through chrome.storage.onChanged.
+
+const schema = globalThis.FirefishSettingsSchema;
+
+// Form inputs holding one setting each, by type
+const CHECKBOXES = ['enabled', 'notifications', 'autoRefresh'];
+const SELECTS = ['theme', 'priceProvider'];
+const NUMBERS = ['requestsPerMinute', 'marginCallLTV', 'liquidationLTV', 'refreshInterval', 'alertLTV'];
+
+class OptionsPage {
+    constructor() {
+        this.stored = {};
+        this.init();
+    }
+
+    async init() {
+        this.buildForm();
+        this.setupEventListeners();
+        await this.load();
+
+        // Settings saved elsewhere, e.g. the reporting currency on the dashboard
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.settings) this.load();
+        });
+    }
+
+    // Options of the selects and the feature checkboxes, from the schema
+    buildForm() {
+        const options = (select, labels) => {
+            document.getElementById(select).innerHTML = Object.keys(labels)
+                .map(value => `<option value="${value}">${labels[value]}</option>`).join('');
+        };
+        options('theme', schema.THEMES);
+        options('priceProvider', schema.PRICE_PROVIDERS);
+
+        document.getElementById('features').innerHTML = Object.keys(schema.FEATURES).map(feature => `
+                <label class="option-check">
+                    <input type="checkbox" data-feature="${feature}">
+                    ${schema.FEATURES[feature]}
+                </label>`).join('');
+    }
+
+    setupEventListeners() {
+        document.getElementById('settings-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+        document.getElementById('reset').addEventListener('click', () => this.restoreDefaults());
+        document.getElementById('theme').addEventListener('change', (event) => this.applyTheme(event.target.value));
+        document.getElementById('reportingCurrency').addEventListener('input', () => this.showAlertPrice());
+    }
+
+    async load() {
+        const { settings } = await chrome.storage.local.get('settings');
+        this.stored = settings || {};
+        this.fill(schema.validate(this.stored).values);
+    }
+
+    fill(values) {
+        CHECKBOXES.forEach(key => { document.getElementById(key).checked = values[key]; });
+        SELECTS.forEach(key => { document.getElementById(key).value = values[key]; });
+        NUMBERS.forEach(key => { document.getElementById(key).value = values[key] ?? ''; });
+        document.querySelectorAll('[data-feature]').forEach(input => {
+            input.checked = values.features[input.dataset.feature] !== false;
+        });
+        document.getElementById('reportingCurrency').value = values.reportingCurrency;
+        document.getElementById('customPriceEndpoint').value = values.customPriceEndpoint;
+        document.getElementById('selectorProfile').value = values.selectorProfile ? JSON.stringify(values.selectorProfile, null, 2) : '';
+        this.alertPrices = Object.assign({}, values.alertPrices);
+        this.showAlertPrice();
+        this.applyTheme(values.theme);
+        this.showErrors({});
+    }
+
+    // The BTC price alert is kept per currency; the form edits the reporting currency's
+    showAlertPrice() {
+        const currency = document.getElementById('reportingCurrency').value.trim().toUpperCase() || 'EUR';
+        document.getElementById('alert-price-currency').textContent = currency;
+        document.getElementById('alertPrice').value = this.alertPrices[currency] ?? '';
+    }
+
+    // Settings as entered; fields that can't be read are reported with the schema's errors
+    readForm() {
+        const settings = {};
+        const errors = {};
+
+        CHECKBOXES.forEach(key => { settings[key] = document.getElementById(key).checked; });
+        SELECTS.forEach(key => { settings[key] = document.getElementById(key).value; });
+        NUMBERS.forEach(key => {
+            const text = document.getElementById(key).value.trim();
+            settings[key] = text === '' ? null : Number(text);
+        });
+        settings.features = {};
+        document.querySelectorAll('[data-feature]').forEach(input => {
+            settings.features[input.dataset.feature] = input.checked;
+        });
+        settings.reportingCurrency = document.getElementById('reportingCurrency').value.trim().toUpperCase();
+        settings.customPriceEndpoint = document.getElementById('customPriceEndpoint').value.trim();
+
+        const alertPriceText = document.getElementById('alertPrice').value.trim();
+        settings.alertPrices = Object.assign({}, this.alertPrices);
+        if (alertPriceText === '') {
+            delete settings.alertPrices[settings.reportingCurrency];
+        } else {
+            settings.alertPrices[settings.reportingCurrency] = Number(alertPriceText);
+        }
+
+        const profileText = document.getElementById('selectorProfile').value.trim();
+        try {
+            settings.selectorProfile = profileText ? JSON.parse(profileText) : null;
+        } catch (error) {
+            errors.selectorProfile = `Invalid JSON: ${error.message}`;
+        }
+
+        return { settings, errors };
+    }
+
+    async save() {
+        const { settings, errors: readErrors } = this.readForm();
+        const { values, errors } = schema.validate(settings);
+        Object.assign(errors, readErrors);
+        this.showErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            this.showMessage('Not saved: fix the fields marked below');
+            return;
+        }
+
+        // Asked first, while the click still counts as a user gesture
+        const endpointAllowed = await this.requestEndpointAccess(values.customPriceEndpoint);
+
+        // Keep stored keys the form doesn't edit
+        const { settings: stored } = await chrome.storage.local.get('settings');
+        await chrome.storage.local.set({
+            settings: Object.assign({}, stored || {}, values),
+            lastUpdated: Date.now()
+        });
+        this.showMessage(endpointAllowed ? 'Saved' :
+            'Saved, but without access to the custom endpoint it only works if its server sends CORS headers');
+    }
+
+    // Host access for the custom price endpoint, so the service worker can fetch it without CORS
+    // headers. Chrome only prompts for origins not granted yet.
+    async requestEndpointAccess(endpoint) {
+        if (!endpoint) return true;
+        try {
+            return await chrome.permissions.request({ origins: [`${new URL(endpoint).origin}/*`] });
+        } catch (error) {
+            console.warn('[Insight+ Firefish] Could not request access to the custom endpoint:', error.message);
+            return false;
+        }
+    }
+
+    restoreDefaults() {
+        this.fill(schema.defaults());
+        this.showMessage('Defaults restored; save to apply them');
+    }
+
+    applyTheme(theme) {
+        document.documentElement.dataset.theme = theme;
+    }
+
+    showErrors(errors) {
+        document.querySelectorAll('[data-error-for]').forEach(element => {
+            element.textContent = errors[element.dataset.errorFor] || '';
+        });
+    }
+
+    showMessage(message) {
+        document.getElementById('message').textContent = message;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.optionsPage = new OptionsPage();
+});
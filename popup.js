@@ -3,16 +3,65 @@
 
 class SimplifiedPopup {
     constructor() {
+        this.tabId = null;
+        this.progress = null;
+        this.countdownTimer = null;
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
+        await this.applyTheme();
         await this.updateStatus();
     }
 
     setupEventListeners() {
-        // No event listeners needed since toggle is removed
+        document.getElementById('open-settings').addEventListener('click', () => chrome.runtime.openOptionsPage());
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportAnalysis(button.dataset.exportFormat));
+        });
+    }
+
+    // Ask the Firefish tab for its analyzed loans in the given format and save them as a download
+    async exportAnalysis(format) {
+        let response;
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            response = await chrome.tabs.sendMessage(tab.id, { action: 'exportAnalysis', format });
+        } catch (error) {
+            this.showExportMessage('Open the Firefish loans page first');
+            return;
+        }
+        if (!response || !response.success) {
+            this.showExportMessage(response?.error || 'Export failed');
+            return;
+        }
+        if (response.rowCount === 0) {
+            this.showExportMessage('No analyzed loans yet');
+            return;
+        }
+
+        // XLSX bytes arrive base64-encoded
+        const content = response.encoding === 'base64' ?
+            Uint8Array.from(atob(response.content), char => char.charCodeAt(0)) :
+            response.content;
+        const url = URL.createObjectURL(new Blob([content], { type: response.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = response.filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.showExportMessage(`${response.rowCount} loans exported`);
+    }
+
+    showExportMessage(message) {
+        document.getElementById('export-message').textContent = message;
+    }
+
+    // Light or dark as chosen in the settings ('auto' follows the system)
+    async applyTheme() {
+        const { settings } = await chrome.storage.local.get('settings');
+        document.documentElement.dataset.theme = settings?.theme || 'auto';
     }
 
     async updateStatus() {
@@ -22,6 +71,7 @@ class SimplifiedPopup {
             
             if (!tab || !tab.url) {
                 this.showNotFirefishState();
+                await this.updateSummary(null);
                 return;
             }
 
@@ -30,10 +80,12 @@ class SimplifiedPopup {
             
             if (!isFirefish) {
                 this.showNotFirefishState();
+                await this.updateSummary(null);
                 return;
             }
 
             // On Firefish - try to get status from content script
+            this.tabId = tab.id;
             try {
                 const response = await chrome.tabs.sendMessage(tab.id, { 
                     action: 'getStatus' 
@@ -57,6 +109,8 @@ class SimplifiedPopup {
                 });
             }
 
+            await this.updateSummary(tab);
+
         } catch (error) {
             console.error('Failed to update status:', error);
             this.showNotFirefishState();
@@ -80,7 +134,182 @@ class SimplifiedPopup {
 
         // Update status values
         document.getElementById('cards-found').textContent = status.cardsFound || 0;
-        document.getElementById('cards-analyzed').textContent = status.analyzed || 0;
+        document.getElementById('cards-analyzed').textContent = status.failed ?
+            `${status.analyzed || 0} (${status.failed} failed)` : status.analyzed || 0;
+
+        this.renderProgress(status.progress);
+
+        const profile = status.selectorProfile;
+        document.getElementById('selector-profile').textContent = profile ?
+            `${profile.id} (${profile.source === 'settings' ? 'custom' : profile.strategy})` :
+            'none matched';
+    }
+
+    // Progress bar, rate-limit countdown and failures, from getStatus or the tab's progress events
+    renderProgress(progress) {
+        this.progress = progress || null;
+        const container = document.getElementById('analysis-progress');
+        if (!progress || progress.total === 0) {
+            container.style.display = 'none';
+            this.stopCountdown();
+            return;
+        }
+
+        container.style.display = 'block';
+        document.getElementById('progress-fill').style.width = `${Math.round(progress.finished / progress.total * 100)}%`;
+        container.classList.toggle('rate-limited', progress.counts['rate-limited'] > 0);
+
+        const failures = document.getElementById('progress-failures');
+        failures.replaceChildren(...progress.loans
+            .filter(loan => loan.state === 'error')
+            .map(loan => {
+                const item = document.createElement('li');
+                item.textContent = `${loan.label || loan.loanId || 'Loan'}: ${loan.error}`;
+                return item;
+            }));
+
+        this.renderProgressText();
+        // The countdown ticks here between events
+        if (progress.retryAt && progress.counts['rate-limited'] > 0) {
+            if (!this.countdownTimer) this.countdownTimer = setInterval(() => this.renderProgressText(), 1000);
+        } else {
+            this.stopCountdown();
+        }
+    }
+
+    renderProgressText() {
+        const progress = this.progress;
+        if (!progress) return;
+
+        const parts = [`${progress.finished} of ${progress.total} processed`];
+        if (progress.counts.error > 0) parts.push(`${progress.counts.error} failed`);
+        const limited = progress.counts['rate-limited'];
+        if (limited > 0) {
+            const seconds = progress.retryAt ? Math.ceil((progress.retryAt - Date.now()) / 1000) : 0;
+            parts.push(seconds > 0 ? `${limited} rate limited (retry in ${seconds}s)` : `${limited} rate limited (retrying)`);
+        }
+        document.getElementById('progress-text').textContent = parts.join(' · ');
+    }
+
+    stopCountdown() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+    }
+
+    // Portfolio figures from the Firefish tab, or else the last ones it stored
+    async updateSummary(tab) {
+        let summary = null;
+        let cached = false;
+        if (tab) {
+            try {
+                const response = await chrome.tabs.sendMessage(tab.id, { action: 'getPortfolioSummary' });
+                if (response?.success && response.data.loans.length > 0) summary = response.data;
+            } catch (error) {
+                // Content script not ready; fall back to the stored summary
+            }
+        }
+        if (!summary) {
+            const { portfolioSummary } = await chrome.storage.local.get('portfolioSummary');
+            summary = portfolioSummary || null;
+            cached = true;
+        }
+
+        const section = document.getElementById('summary-section');
+        if (!summary) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+        this.summary = summary;
+        this.renderSummary(summary, cached);
+    }
+
+    renderSummary(summary, cached) {
+        const { totals } = summary;
+        const currency = totals.reportingCurrency;
+        const setValue = (id, text, sign = null) => {
+            const element = document.getElementById(id);
+            element.textContent = text;
+            element.classList.toggle('positive', sign !== null && sign >= 0);
+            element.classList.toggle('negative', sign !== null && sign < 0);
+        };
+
+        document.getElementById('summary-source').textContent = cached ?
+            `Last analysis, ${this.formatAge(summary.updatedAt)}` : 'Live from this tab';
+        setValue('summary-theoretical', this.formatMoney(totals.totalTheoretical, currency, true) +
+            (totals.unconvertedCount > 0 ? ` (${totals.unconvertedCount} not converted)` : ''), totals.totalTheoretical);
+        setValue('summary-outperforming', `${totals.outperformingCount} of ${totals.activeCount}`);
+        setValue('summary-rate', totals.weightedAverageRate === null ? '--' : `${totals.weightedAverageRate.toFixed(2)}%`);
+        setValue('summary-collateral', `${totals.totalCollateralBTC.toFixed(5)} BTC`);
+        setValue('summary-price', totals.currentPrice === null ? '--' : this.formatMoney(totals.currentPrice, currency));
+
+        const list = document.getElementById('loan-list');
+        list.replaceChildren(...summary.loans.map(loan => this.renderLoan(loan)));
+    }
+
+    // One loan: amount and rate, status, LTV and result; a click shows the card in the page
+    renderLoan(loan) {
+        const item = document.createElement('li');
+        item.className = 'loan-item';
+        item.title = 'Show this loan on the page';
+
+        const name = document.createElement('span');
+        name.className = 'loan-name';
+        name.textContent = loan.loanAmount === null ? loan.loanId : this.formatMoney(loan.loanAmount, loan.currency);
+        const meta = document.createElement('span');
+        meta.className = 'loan-meta';
+        meta.textContent = loan.status === 'error' ? loan.error :
+            [`${loan.interestRate}%`, loan.provisionDate, loan.ltv === null ? null : `LTV ${loan.ltv.toFixed(1)}%`]
+                .filter(Boolean).join(' · ');
+        name.appendChild(meta);
+
+        const status = document.createElement('span');
+        status.className = `loan-status ${loan.status}`;
+        status.textContent = loan.role === 'lender' && loan.status !== 'error' ? `${loan.status} · lent` : loan.status;
+
+        const result = document.createElement('span');
+        result.className = 'loan-result';
+        if (Number.isFinite(loan.theoreticalResult)) {
+            result.textContent = this.formatMoney(loan.theoreticalResult, loan.currency, true);
+            result.classList.add(loan.theoreticalResult >= 0 ? 'positive' : 'negative');
+        }
+
+        item.append(name, status, result);
+        item.addEventListener('click', () => this.showLoan(loan.loanId));
+        return item;
+    }
+
+    // Scroll the loan's card into view: in the active tab, another open Firefish tab, or a new one
+    async showLoan(loanId) {
+        const [active] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const tabs = active?.url?.includes('firefish.io') ?
+            [active] : await chrome.tabs.query({ url: 'https://app.firefish.io/*' });
+
+        for (const tab of tabs) {
+            try {
+                const response = await chrome.tabs.sendMessage(tab.id, { action: 'scrollToLoan', loanId });
+                if (response?.success) {
+                    await chrome.tabs.update(tab.id, { active: true });
+                    return;
+                }
+            } catch (error) {
+                // No content script in this tab; try the next
+            }
+        }
+        if (this.summary?.pageUrl) await chrome.tabs.create({ url: this.summary.pageUrl });
+    }
+
+    formatMoney(amount, currency, signed = false) {
+        const text = new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+        return signed && amount > 0 ? `+${text}` : text;
+    }
+
+    formatAge(timestamp) {
+        const minutes = Math.round((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.round(minutes / 60);
+        return hours < 48 ? `${hours} h ago` : `${Math.round(hours / 24)} days ago`;
     }
 
     showNotFirefishState() {
@@ -114,6 +343,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             window.popup.updateStatus();
         }
         sendResponse({ success: true });
+    } else if (request.action === 'analysisProgress') {
+        // Only the tab the popup is showing; the rest of the status follows once it completes
+        if (window.popup && sender.tab?.id === window.popup.tabId) {
+            window.popup.renderProgress(request.data);
+            if (request.data.complete) window.popup.updateStatus();
+        }
     }
 });
 
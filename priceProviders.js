@@ -0,0 +1,334 @@
+// Insight+ for Firefish - BTC Price Providers
+// Loaded by the background service worker, which does all price fetching.
+//
+// Every provider implements the same interface:
+//   getCurrentPrices(currencies)         -> { eur: 90000, usd: 97000, ... }
+//   getHistoricalPrice(date, currency)   -> price at 00:00 UTC of `date`
+//   getRange(currency, fromDate, toDate) -> [[timestampMs, price], ...]
+// Dates are Date objects at UTC midnight, currencies are lower-case ISO codes.
+//
+// Failed calls throw an Error carrying `status`, `rateLimited`, `retryAfter` (ms) and
+// `network` (the request never reached the server) so the provider chain can fail over.
+
+(function(root) {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Build an Error with the fields the provider chain uses for failover decisions
+    function createProviderError(message, status = null, retryAfter = null) {
+        const error = new Error(message);
+        error.status = status;
+        error.rateLimited = status === 429;
+        error.retryAfter = retryAfter;
+        error.network = false;
+        error.unsupported = false;
+        return error;
+    }
+
+    // The provider doesn't quote the currency at all; the chain skips it rather than failing over
+    function createUnsupportedError(message) {
+        const error = createProviderError(message);
+        error.unsupported = true;
+        return error;
+    }
+
+    // Exponential backoff with "equal jitter": half the delay is fixed, half is random,
+    // so tabs and providers that were throttled together don't all retry at once
+    function computeBackoff(attempt, { baseMs = 15 * 1000, maxMs = 10 * 60 * 1000 } = {}) {
+        const delay = Math.min(maxMs, baseMs * Math.pow(2, Math.max(0, attempt - 1)));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    // Retry-After is either delta-seconds or an HTTP date
+    function parseRetryAfter(response) {
+        const header = response.headers && response.headers.get ? response.headers.get('Retry-After') : null;
+        if (!header) return null;
+
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) return seconds * 1000;
+
+        const date = Date.parse(header);
+        return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+    }
+
+    async function fetchJson(url, providerName) {
+        let response;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            // Offline, DNS or CORS failure: not a rate limit, just unreachable
+            const networkError = createProviderError(`${providerName} unreachable: ${error.message}`);
+            networkError.network = true;
+            throw networkError;
+        }
+        if (!response.ok) {
+            throw createProviderError(
+                `${providerName} request failed: ${response.status}`,
+                response.status,
+                parseRetryAfter(response)
+            );
+        }
+        return response.json();
+    }
+
+    function toIsoDate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    // CoinGecko public API (default source)
+    function createCoinGeckoProvider(baseUrl = 'https://api.coingecko.com/api/v3') {
+        return {
+            id: 'coingecko',
+            name: 'CoinGecko',
+
+            async getCurrentPrices(currencies) {
+                const data = await fetchJson(
+                    `${baseUrl}/simple/price?ids=bitcoin&vs_currencies=${currencies.join(',')}`,
+                    this.name
+                );
+                if (!data.bitcoin) throw createProviderError(`${this.name} returned no BTC prices`);
+                return data.bitcoin;
+            },
+
+            async getHistoricalPrice(date, currency) {
+                // /history expects dd-mm-yyyy and returns the price at 00:00 UTC
+                const coinGeckoDate = [
+                    String(date.getUTCDate()).padStart(2, '0'),
+                    String(date.getUTCMonth() + 1).padStart(2, '0'),
+                    date.getUTCFullYear()
+                ].join('-');
+                const data = await fetchJson(`${baseUrl}/coins/bitcoin/history?date=${coinGeckoDate}`, this.name);
+                const price = data.market_data?.current_price?.[currency];
+                if (!price) throw createProviderError(`${this.name} has no ${currency} price for ${coinGeckoDate}`);
+                return price;
+            },
+
+            async getRange(currency, fromDate, toDate) {
+                const from = Math.floor(fromDate.getTime() / 1000);
+                const to = Math.floor(toDate.getTime() / 1000);
+                const data = await fetchJson(
+                    `${baseUrl}/coins/bitcoin/market_chart/range?vs_currency=${currency}&from=${from}&to=${to}`,
+                    this.name
+                );
+                return Array.isArray(data.prices) ? data.prices : [];
+            }
+        };
+    }
+
+    // Kraken public OHLC/Ticker API. Kraken only quotes the major fiat pairs and
+    // returns the most recent 720 daily candles, so older dates fail over to the next source.
+    function createKrakenProvider(baseUrl = 'https://api.kraken.com/0/public') {
+        const supportedCurrencies = ['usd', 'eur', 'chf', 'gbp', 'cad', 'jpy', 'aud'];
+
+        async function krakenRequest(path, providerName) {
+            const data = await fetchJson(`${baseUrl}/${path}`, providerName);
+            if (Array.isArray(data.error) && data.error.length > 0) {
+                const message = data.error.join(', ');
+                const status = /too many requests|rate limit/i.test(message) ? 429 : null;
+                throw createProviderError(`${providerName} error: ${message}`, status);
+            }
+            return data.result || {};
+        }
+
+        function assertSupported(currency, providerName) {
+            if (!supportedCurrencies.includes(currency)) {
+                throw createUnsupportedError(`${providerName} does not quote BTC/${currency.toUpperCase()}`);
+            }
+        }
+
+        // Daily candles as [timestampMs, openPrice]; the open is the price at 00:00 UTC
+        async function getDailyOpens(currency, since, providerName) {
+            const result = await krakenRequest(
+                `OHLC?pair=XBT${currency.toUpperCase()}&interval=1440&since=${Math.floor(since / 1000)}`,
+                providerName
+            );
+            const pairKey = Object.keys(result).find(key => key !== 'last');
+            const candles = pairKey ? result[pairKey] : [];
+            return candles.map(candle => [candle[0] * 1000, parseFloat(candle[1])]);
+        }
+
+        return {
+            id: 'kraken',
+            name: 'Kraken',
+
+            async getCurrentPrices(currencies) {
+                const quoted = currencies.filter(code => supportedCurrencies.includes(code));
+                if (quoted.length === 0) {
+                    throw createUnsupportedError(`${this.name} quotes none of: ${currencies.join(', ')}`);
+                }
+                const prices = {};
+                for (const currency of quoted) {
+                    const result = await krakenRequest(`Ticker?pair=XBT${currency.toUpperCase()}`, this.name);
+                    const pairKey = Object.keys(result)[0];
+                    if (pairKey) prices[currency] = parseFloat(result[pairKey].c[0]);
+                }
+                if (Object.keys(prices).length === 0) {
+                    throw createProviderError(`${this.name} quotes none of: ${currencies.join(', ')}`);
+                }
+                return prices;
+            },
+
+            async getHistoricalPrice(date, currency) {
+                assertSupported(currency, this.name);
+                const candles = await getDailyOpens(currency, date.getTime() - DAY_MS, this.name);
+                const candle = candles.find(([timestamp]) => timestamp === date.getTime());
+                if (!candle) throw createProviderError(`${this.name} has no ${currency} candle for ${toIsoDate(date)}`);
+                return candle[1];
+            },
+
+            async getRange(currency, fromDate, toDate) {
+                assertSupported(currency, this.name);
+                const candles = await getDailyOpens(currency, fromDate.getTime() - DAY_MS, this.name);
+                return candles.filter(([timestamp]) =>
+                    timestamp >= fromDate.getTime() && timestamp <= toDate.getTime()
+                );
+            }
+        };
+    }
+
+    // User-supplied JSON endpoint (also what a local stand-in server implements):
+    //   GET {baseUrl}/current?currencies=eur,usd                 -> { "eur": 90000, "usd": 97000 }
+    //   GET {baseUrl}/historical?date=2024-11-24&currency=eur    -> { "price": 60000 }
+    //   GET {baseUrl}/range?currency=eur&from=<ms>&to=<ms>       -> { "prices": [[timestampMs, price], ...] }
+    function createCustomProvider(baseUrl) {
+        const base = String(baseUrl || '').replace(/\/+$/, '');
+
+        return {
+            id: 'custom',
+            name: 'Custom endpoint',
+
+            async getCurrentPrices(currencies) {
+                const data = await fetchJson(`${base}/current?currencies=${currencies.join(',')}`, this.name);
+                // Only positive numbers for the currencies asked for; a body without any is a failure
+                const prices = {};
+                currencies.forEach(code => {
+                    const price = data && typeof data === 'object' ? Number(data[code]) : NaN;
+                    if (price > 0 && Number.isFinite(price)) prices[code] = price;
+                });
+                if (Object.keys(prices).length === 0) throw createProviderError(`${this.name} returned no BTC prices`);
+                return prices;
+            },
+
+            async getHistoricalPrice(date, currency) {
+                const data = await fetchJson(`${base}/historical?date=${toIsoDate(date)}&currency=${currency}`, this.name);
+                if (!data.price) throw createProviderError(`${this.name} has no ${currency} price for ${toIsoDate(date)}`);
+                return data.price;
+            },
+
+            async getRange(currency, fromDate, toDate) {
+                const data = await fetchJson(
+                    `${base}/range?currency=${currency}&from=${fromDate.getTime()}&to=${toDate.getTime()}`,
+                    this.name
+                );
+                return Array.isArray(data.prices) ? data.prices : [];
+            }
+        };
+    }
+
+    // Ordered list of providers with automatic failover. A provider whose error
+    // `isRateLimited(error)` reports as throttling is skipped until its cooldown ends:
+    // the Retry-After it sent, or an exponential backoff when it sent none.
+    function createProviderChain(providers, options = {}) {
+        const isRateLimited = options.isRateLimited || (error => !!error.rateLimited);
+        const backoff = { baseMs: options.backoffBaseMs, maxMs: options.backoffMaxMs };
+        const log = options.log || (() => {});
+        const cooldowns = new Map(); // provider id -> timestamp until which it is skipped
+        const strikes = new Map();   // provider id -> consecutive rate limits
+
+        // isPartial(value) tells whether an answer leaves out some of what was asked for
+        async function call(method, args, isPartial = () => false) {
+            let lastError = null;
+            let allRateLimited = true;
+            let unsupportedError = null;
+
+            for (const provider of providers) {
+                const coolingUntil = cooldowns.get(provider.id);
+                if (coolingUntil && Date.now() < coolingUntil) {
+                    log(`${provider.name} cooling down, skipping`);
+                    lastError = lastError || createProviderError(`${provider.name} is cooling down`, 429);
+                    continue;
+                }
+
+                try {
+                    const value = await provider[method](...args);
+                    cooldowns.delete(provider.id);
+                    strikes.delete(provider.id);
+                    // A fallback quoting only some currencies would pass the rest off as unquoted
+                    // while an earlier provider that quotes them is only throttled or failing
+                    if (lastError && isPartial(value)) {
+                        log(`${provider.name} answered only in part, skipping`);
+                        continue;
+                    }
+                    return { value, providerId: provider.id };
+                } catch (error) {
+                    // Not quoting the currency says nothing about the provider's health, and must
+                    // not hide another provider's rate limit
+                    if (error.unsupported) {
+                        unsupportedError = unsupportedError || error;
+                        log(`${provider.name} skipped (${error.message})`);
+                        continue;
+                    }
+                    lastError = error;
+                    if (isRateLimited(error)) {
+                        const strike = (strikes.get(provider.id) || 0) + 1;
+                        strikes.set(provider.id, strike);
+                        cooldowns.set(provider.id, Date.now() + (error.retryAfter || computeBackoff(strike, backoff)));
+                        log(`${provider.name} rate limited, failing over`);
+                    } else {
+                        allRateLimited = false;
+                        log(`${provider.name} failed (${error.message}), failing over`);
+                    }
+                }
+            }
+
+            // No provider quotes the currency
+            if (!lastError && unsupportedError) throw unsupportedError;
+
+            // Every provider that could answer is throttled or cooling down
+            if (!lastError || allRateLimited) {
+                // Providers skipped for the currency have no cooldown
+                const waits = providers.map(p => (cooldowns.get(p.id) || 0) - Date.now()).filter(wait => wait > 0);
+                const retryAfter = waits.length > 0 ? Math.min(...waits) : null;
+                throw createProviderError('All price providers are rate limited', 429, retryAfter);
+            }
+            throw lastError;
+        }
+
+        return {
+            providers,
+            getCurrentPrices: (currencies) => call('getCurrentPrices', [currencies], prices => currencies.some(code => !(code in prices))),
+            getHistoricalPrice: (date, currency) => call('getHistoricalPrice', [date, currency]),
+            getRange: (currency, fromDate, toDate) => call('getRange', [currency, fromDate, toDate]),
+            resetCooldowns: () => {
+                cooldowns.clear();
+                strikes.clear();
+            }
+        };
+    }
+
+    // Build the chain from user settings: the preferred provider first, then the others as fallbacks
+    function createProviderChainFromSettings(settings = {}, options = {}) {
+        const available = {
+            coingecko: createCoinGeckoProvider(),
+            kraken: createKrakenProvider()
+        };
+        if (settings.customPriceEndpoint) {
+            available.custom = createCustomProvider(settings.customPriceEndpoint);
+        }
+
+        const preferred = available[settings.priceProvider] ? settings.priceProvider : 'coingecko';
+        const order = [preferred, ...Object.keys(available).filter(id => id !== preferred)];
+        return createProviderChain(order.map(id => available[id]), options);
+    }
+
+    root.FirefishPriceProviders = {
+        createCoinGeckoProvider,
+        createKrakenProvider,
+        createCustomProvider,
+        createProviderChain,
+        createProviderChainFromSettings,
+        createProviderError,
+        computeBackoff
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,168 @@
+// Insight+ for Firefish - Settings schema
+// The settings object stored in chrome.storage.local under "settings": every field with its
+// default and validation. Loaded by the service worker (importScripts), the options and popup
+// pages (script tag) and bundled into the content script.
+//
+// validate(input) -> { valid, values, errors }: values holds the defaults overlaid with every
+// valid field of input, errors maps each rejected field to a message.
+
+(function(root) {
+    'use strict';
+
+    // Page enhancements that can be switched off one by one (CONFIG.features in the content script)
+    const FEATURES = {
+        btcAnalysis: 'BTC analysis of loan cards, with the portfolio and investor dashboards',
+        enhancedUI: 'Page enhancements (the widgets below)',
+        cryptoPrices: 'Crypto price widget',
+        quickActions: 'Quick action buttons'
+    };
+
+    const PRICE_PROVIDERS = {
+        coingecko: 'CoinGecko',
+        kraken: 'Kraken',
+        custom: 'Custom endpoint'
+    };
+
+    const THEMES = {
+        auto: 'Follow the system',
+        light: 'Light',
+        dark: 'Dark'
+    };
+
+    // Format of a saved selector profile (settings.selectorProfile); one without a version is
+    // taken to be in the current format
+    const SELECTOR_PROFILE_VERSION = 1;
+
+    // type: boolean, number (min, max, integer, nullable), enum (options), currency, url, features,
+    // prices (currency -> BTC price), profile (selector profile or null)
+    const FIELDS = {
+        enabled: { type: 'boolean', default: true },
+        features: { type: 'features', default: { btcAnalysis: true, enhancedUI: true, cryptoPrices: true, quickActions: true } },
+        // Popup and settings page only; the panels on Firefish pages follow the page
+        theme: { type: 'enum', options: THEMES, default: 'auto' },
+        reportingCurrency: { type: 'currency', default: 'EUR' },
+        priceProvider: { type: 'enum', options: PRICE_PROVIDERS, default: 'coingecko' },
+        customPriceEndpoint: { type: 'url', default: '' },
+        // Sustained price requests per minute (CoinGecko's free tier allows ~30)
+        requestsPerMinute: { type: 'number', min: 1, max: 120, integer: true, default: 25 },
+        autoRefresh: { type: 'boolean', default: true },
+        refreshInterval: { type: 'number', min: 1, max: 1440, integer: true, default: 5 },
+        notifications: { type: 'boolean', default: true },
+        marginCallLTV: { type: 'number', min: 1, max: 100, default: 80 },
+        liquidationLTV: { type: 'number', min: 1, max: 100, default: 95 },
+        alertLTV: { type: 'number', min: 1, max: 100, nullable: true, default: null },
+        alertPrices: { type: 'prices', default: {} },
+        selectorProfile: { type: 'profile', default: null }
+    };
+
+    const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+    function defaults() {
+        const values = {};
+        Object.keys(FIELDS).forEach(key => { values[key] = copy(FIELDS[key].default); });
+        return values;
+    }
+
+    // Error message for a value of one field, or null when it is valid
+    function checkField(field, value) {
+        switch (field.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'Must be true or false';
+            case 'number':
+                if (value === null && field.nullable) return null;
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+                if (field.integer && !Number.isInteger(value)) return 'Must be a whole number';
+                if (value < field.min || value > field.max) return `Must be between ${field.min} and ${field.max}`;
+                return null;
+            case 'enum':
+                return Object.prototype.hasOwnProperty.call(field.options, value) ?
+                    null : `Must be one of: ${Object.keys(field.options).join(', ')}`;
+            case 'currency':
+                return typeof value === 'string' && /^[A-Z]{3}$/.test(value) ? null : 'Must be a three-letter currency code';
+            case 'url':
+                if (value === '') return null;
+                try {
+                    const url = new URL(value);
+                    return url.protocol === 'https:' || url.protocol === 'http:' ? null : 'Must be an http(s) URL';
+                } catch (error) {
+                    return 'Must be a URL';
+                }
+            case 'features':
+                if (!value || typeof value !== 'object') return 'Must be an object of feature flags';
+                return Object.keys(value).every(key => FEATURES[key] && typeof value[key] === 'boolean') ?
+                    null : `Flags must be true or false, for: ${Object.keys(FEATURES).join(', ')}`;
+            case 'prices':
+                if (!value || typeof value !== 'object') return 'Must be an object of prices per currency';
+                return Object.keys(value).every(code => /^[A-Z]{3}$/.test(code) && typeof value[code] === 'number' && value[code] > 0) ?
+                    null : 'Prices must be above 0, keyed by three-letter currency codes';
+            case 'profile':
+                if (value === null) return null;
+                if (!value || typeof value !== 'object' || !value.selectors || typeof value.selectors.loanCard !== 'string') {
+                    return 'A "selectors" object with a "loanCard" selector is required';
+                }
+                return value.version === undefined || value.version === SELECTOR_PROFILE_VERSION ?
+                    null : `Profile version ${value.version} is not supported; update it to version ${SELECTOR_PROFILE_VERSION}`;
+            default:
+                return null;
+        }
+    }
+
+    function validate(input) {
+        const values = defaults();
+        const errors = {};
+        const settings = input && typeof input === 'object' ? input : {};
+
+        // Fields outside the schema are kept as they are
+        Object.keys(settings).forEach(key => {
+            const field = FIELDS[key];
+            if (!field) {
+                values[key] = copy(settings[key]);
+                return;
+            }
+            const error = checkField(field, settings[key]);
+            if (error) {
+                errors[key] = error;
+                return;
+            }
+            values[key] = field.type === 'features' ?
+                Object.assign(values.features, settings.features) :
+                copy(settings[key]);
+        });
+
+        // Rules across fields
+        if (!errors.marginCallLTV && !errors.liquidationLTV && values.marginCallLTV >= values.liquidationLTV) {
+            errors.liquidationLTV = 'Liquidation must come after the margin call';
+            values.marginCallLTV = FIELDS.marginCallLTV.default;
+            values.liquidationLTV = FIELDS.liquidationLTV.default;
+        }
+        if (values.alertLTV !== null && values.alertLTV >= values.marginCallLTV) {
+            errors.alertLTV = 'The LTV alert must come before the margin call';
+            values.alertLTV = null;
+        }
+        if (values.priceProvider === 'custom' && !values.customPriceEndpoint) {
+            errors.customPriceEndpoint = 'The custom price provider needs an endpoint URL';
+            values.priceProvider = FIELDS.priceProvider.default;
+        }
+
+        return { valid: Object.keys(errors).length === 0, values, errors };
+    }
+
+    // Keys whose stored value differs between two settings objects
+    function changedKeys(oldSettings, newSettings) {
+        const before = oldSettings || {};
+        const after = newSettings || {};
+        return Array.from(new Set(Object.keys(before).concat(Object.keys(after))))
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    }
+
+    root.FirefishSettingsSchema = {
+        FIELDS,
+        FEATURES,
+        PRICE_PROVIDERS,
+        THEMES,
+        SELECTOR_PROFILE_VERSION,
+        defaults,
+        validate,
+        changedKeys
+    };
+})(typeof globalThis !== 'undefined' ? globalThis : self);
@@ -0,0 +1,74 @@
+// Insight+ for Firefish - Analysis results store
+
+import { selectorProfiles } from './selectorProfiles.js';
+
+// In-memory store of per-loan analysis results, keyed by a stable loan identity.
+// The dashboard, popup and message handlers read raw numbers from here instead of
+// re-parsing the formatted values rendered into the result panels.
+export const analysisStore = {
+    entries: new Map(), // key: loanId, value: { loanId, status, loanData, performance, isOutperforming, error, updatedAt }
+    unidentifiedCount: 0,
+
+    // Collateral escrow links are unique per loan; fall back to the loan's own fields
+    getLoanId(loanCard, loanData = null) {
+        if (loanCard?.dataset?.firefishBtcLoanId) return loanCard.dataset.firefishBtcLoanId;
+
+        let loanId = null;
+        const collateralLink = loanCard ? selectorProfiles.queryAll(loanCard, 'collateralLink')[0] : null;
+        const href = collateralLink ? collateralLink.getAttribute('href') : null;
+        if (href) {
+            loanId = href.replace(/^https?:\/\/(www\.)?mempool\.space\//, '');
+        } else if (loanData) {
+            loanId = [loanData.currency, loanData.loanAmount, loanData.provisionDate, loanData.collateralBTC].join('_');
+        } else {
+            loanId = `unidentified-${++this.unidentifiedCount}`;
+        }
+
+        if (loanCard?.dataset) loanCard.dataset.firefishBtcLoanId = loanId;
+        return loanId;
+    },
+
+    setResult(loanId, loanData, performance) {
+        this.entries.set(loanId, {
+            loanId,
+            status: 'done',
+            loanData: Object.assign({}, loanData),
+            performance: Object.assign({}, performance.raw),
+            isOutperforming: performance.isOutperforming,
+            error: null,
+            updatedAt: Date.now()
+        });
+    },
+
+    setError(loanId, loanData, errorMessage) {
+        this.entries.set(loanId, {
+            loanId,
+            status: 'error',
+            loanData: loanData ? Object.assign({}, loanData) : null,
+            performance: null,
+            isOutperforming: false,
+            error: errorMessage,
+            updatedAt: Date.now()
+        });
+    },
+
+    remove(loanId) {
+        this.entries.delete(loanId);
+    },
+
+    get(loanId) {
+        return this.entries.get(loanId) || null;
+    },
+
+    getAll() {
+        return Array.from(this.entries.values());
+    },
+
+    getResults() {
+        return this.getAll().filter(entry => entry.status === 'done');
+    },
+
+    clear() {
+        this.entries.clear();
+    }
+};
@@ -0,0 +1,218 @@
+// Insight+ for Firefish - Loan card analysis pipeline
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { firefishDetector } from './detector.js';
+import { analysisStore } from './analysisStore.js';
+import { realizedStore } from './realizedStore.js';
+import { monitorStore } from './monitorStore.js';
+import { snapshotStore } from './snapshotStore.js';
+import { btcApiClient, rateLimitState } from './priceClient.js';
+import { performanceEngine } from './performance.js';
+import { cardRenderer } from './cardRenderer.js';
+import { analysisProgress } from './progress.js';
+import { priceChart } from './priceChart.js';
+
+// Firefish BTC Analyzer - Complete processing pipeline
+export class FirefishBTCAnalyzer {
+    constructor() {
+        this.apiClient = btcApiClient;
+        this.processingQueue = new Set();
+    }
+
+    async processFirefishLoanCard(loanCard) {
+        try {
+            // Mark as processing to prevent duplicate analysis
+            if (loanCard.dataset.firefishBtcProcessed === 'true') return;
+            loanCard.dataset.firefishBtcProcessed = 'true';
+            analysisProgress.set(loanCard, 'fetching');
+
+            // Step 1: Show loading state immediately
+            cardRenderer.showLoadingState(loanCard);
+
+            // Step 2: Extract loan data using Firefish selectors
+            const loanData = firefishDetector.extractFirefishLoanData(loanCard);
+            if (!loanData || !loanData.isValid) {
+                this.showFirefishError(loanCard, 'Could not extract loan data');
+                return;
+            }
+            loanCard.dataset.firefishBtcLoanId = loanData.loanId;
+            analysisProgress.set(loanCard, 'fetching', { label: utils.formatCurrency(loanData.loanAmount, loanData.currency) });
+
+            utils.log('Processing loan:', 'info', {
+                amount: `${loanData.currency} ${loanData.loanAmount}`,
+                rate: `${loanData.interestRate}%`,
+                date: loanData.provisionDate,
+                btc: loanData.collateralBTC
+            });
+
+            // Step 3: Get current BTC price (cached if available)
+            const currentPrices = await this.apiClient.getCurrentPriceForAllCurrencies([loanData.currency]);
+            if (!currentPrices) {
+                if (rateLimitState.isRateLimited) {
+                    this.apiClient.addPendingCard(loanCard);
+                    return; // Card will be retried after rate limit resolves
+                }
+                this.showFirefishError(loanCard, this.apiClient.describeLastError('Failed to fetch current BTC prices'), loanData);
+                return;
+            }
+
+            const currency = (loanData.currency || '').toLowerCase();
+            const currentPrice = currentPrices[currency];
+            if (!currentPrice) {
+                this.showFirefishError(loanCard, this.apiClient.unsupportedCurrencyMessage(loanData.currency), loanData);
+                return;
+            }
+
+            // Step 4: Get historical BTC price for provision date
+            const historicalPrice = await this.apiClient.getHistoricalPrice(
+                loanData.provisionDate,
+                loanData.currency,
+                loanCard // Pass loan card for rate limit handling
+            );
+
+            if (!historicalPrice) {
+                // Check if this was due to rate limiting
+                if (rateLimitState.isRateLimited) {
+                    console.log('[Firefish-BTC] Card queued for retry after rate limit');
+                    return; // Card will be retried after rate limit resolves
+                }
+
+                this.showFirefishError(loanCard, this.apiClient.describeLastError(`Failed to fetch BTC price for ${loanData.provisionDate}`), loanData);
+                return;
+            }
+
+            // Step 4b: Closed loans end at their repayment date, priced on that day
+            let endPrice = currentPrice;
+            let asOfDate = new Date();
+            if (loanData.status === 'closed') {
+                if (!loanData.endDate) {
+                    this.showFirefishError(loanCard, 'Could not find the repayment date of this closed loan', loanData);
+                    return;
+                }
+                endPrice = await this.apiClient.getHistoricalPrice(loanData.endDate, loanData.currency, loanCard);
+                if (!endPrice) {
+                    if (rateLimitState.isRateLimited) return; // Card will be retried after rate limit resolves
+                    this.showFirefishError(loanCard, this.apiClient.describeLastError(`Failed to fetch BTC price for ${loanData.endDate}`), loanData);
+                    return;
+                }
+                asOfDate = utils.parseFirefishDate(loanData.endDate);
+            }
+
+            // Step 5: Calculate performance using exact formula (lender yield for investment cards)
+            const isInvestment = loanData.role === 'lender';
+            const calculate = isInvestment ?
+                performanceEngine.calculateLenderPerformance :
+                performanceEngine.calculateFirefishBTCPerformance;
+            const performance = calculate.call(performanceEngine, loanData, endPrice, historicalPrice, asOfDate,
+                userSettings.ltvThresholds());
+
+            if (!performance) {
+                this.showFirefishError(loanCard, 'Performance calculation failed', loanData);
+                return;
+            }
+
+            // Step 6: Record raw results, then display them
+            analysisStore.setResult(loanData.loanId, loanData, performance);
+            if (isInvestment) {
+                cardRenderer.showLenderResults(loanCard, performance);
+            } else {
+                // Closed loans count towards the lifetime results; active ones are watched by the
+                // background LTV monitor
+                if (performance.realized) {
+                    await realizedStore.record(loanData, performance);
+                    await monitorStore.remove(loanData.loanId);
+                } else {
+                    await monitorStore.record(loanData, performance);
+                }
+                const history = await snapshotStore.record(loanData, performance);
+                cardRenderer.showResults(loanCard, performance, history);
+            }
+            priceChart.attach(loanCard, loanData, performance);
+
+            analysisProgress.set(loanCard, 'done');
+            utils.log(`Analysis complete: ${performance.isOutperforming ? 'OUTPERFORMING' : 'UNDERPERFORMING'}`);
+
+        } catch (error) {
+            utils.log(`Processing error: ${error.message}`, 'error');
+            this.showFirefishError(loanCard, 'Processing error occurred');
+        }
+    }
+    showFirefishError(loanCard, errorMessage, loanData = null) {
+        analysisStore.setError(analysisStore.getLoanId(loanCard, loanData), loanData, errorMessage);
+        analysisProgress.set(loanCard, 'error', { error: errorMessage });
+        cardRenderer.showError(loanCard, errorMessage);
+    }
+
+    async processQueuedCards() {
+        const cardsToProcess = Array.from(this.processingQueue);
+        this.processingQueue.clear();
+
+        utils.log(`Processing ${cardsToProcess.length} queued cards`);
+
+        // ENSURE LOADING IS VISIBLE for all cards before processing
+        cardsToProcess.forEach(card => {
+            if (!card.querySelector('.firefish-btc-loading')) {
+                cardRenderer.showLoadingState(card);
+            }
+        });
+
+        // Load historical prices for all queued loans in a handful of ranged requests
+        if (cardsToProcess.length > 1 && !rateLimitState.isRateLimited) {
+            const loanDataList = cardsToProcess
+                .map(card => firefishDetector.extractFirefishLoanData(card))
+                .filter(Boolean);
+            // One current-price request covering every loan currency on the page
+            await this.apiClient.getCurrentPriceForAllCurrencies(loanDataList.map(loan => loan.currency));
+            await this.apiClient.preloadHistoricalPrices(loanDataList);
+        }
+
+        for (const card of cardsToProcess) {
+            // Check if we're rate limited
+            if (rateLimitState.isRateLimited) {
+                console.log('[Firefish-BTC] Rate limited - adding card to pending queue');
+                this.apiClient.addPendingCard(card);
+                continue;
+            }
+
+            // Pacing is handled by the background scheduler
+            await this.processFirefishLoanCard(card);
+        }
+
+        await this.pruneMonitoredLoans();
+    }
+
+    // Once every card on the active borrower tab is analyzed, monitored loans missing from it are
+    // no longer active. Skipped while a card has no loan id, as its loan can't be told apart.
+    async pruneMonitoredLoans() {
+        const page = utils.getLoansPage();
+        if (!page || page.role !== 'borrower' || page.tab !== 'active') return;
+
+        const progress = analysisProgress.snapshot();
+        const loanIds = progress.loans.map(loan => loan.loanId);
+        if (!progress.complete || loanIds.some(loanId => !loanId)) return;
+        await monitorStore.retain(loanIds);
+    }
+
+    // Process pending cards after rate limit resolves
+    async processPendingCards() {
+        const pendingCards = Array.from(rateLimitState.pendingCards);
+        if (pendingCards.length === 0) return;
+
+        console.log(`[Firefish-BTC] Processing ${pendingCards.length} pending cards after rate limit resolution`);
+
+        // Clear pending cards set
+        rateLimitState.pendingCards.clear();
+
+        // Add cards back to processing queue
+        pendingCards.forEach(card => {
+            // Reset processed flag to allow retry
+            card.removeAttribute('data-firefish-btc-processed');
+            this.processingQueue.add(card);
+            analysisProgress.set(card, 'queued');
+        });
+
+        // Process the queue
+        await this.processQueuedCards();
+    }
+}
@@ -0,0 +1,312 @@
+// Insight+ for Firefish - Card renderer
+// The loading, result, error and rate-limit panels injected below a loan card's details.
+
+import { utils } from './utils.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { charts } from './charts.js';
+
+export const cardRenderer = {
+    onChange: null, // Called after a card's panel changes, e.g. to refresh the portfolio dashboard
+
+    // Remove our panels from a card
+    clear(loanCard, selector = '.firefish-btc-loading, .firefish-btc-results, .firefish-btc-error, .firefish-btc-rate-limited') {
+        loanCard.querySelectorAll(selector).forEach(display => display.remove());
+    },
+
+    // Place a panel right after the card's details section
+    insertAfterDetails(loanCard, element) {
+        const existingDetails = selectorProfiles.findDetails(loanCard);
+        if (existingDetails) {
+            existingDetails.parentNode.insertBefore(element, existingDetails.nextSibling);
+        }
+    },
+
+    notifyChange() {
+        if (typeof this.onChange === 'function') this.onChange();
+    },
+
+    // Enhanced loading state for Firefish BTC analysis
+    showLoadingState(loanCard) {
+        // Skip if already has loading or results
+        if (loanCard.querySelector('.firefish-btc-loading, .firefish-btc-results')) return;
+
+        // Remove any existing displays
+        this.clear(loanCard, '.firefish-btc-loading, .firefish-btc-results, .firefish-btc-error');
+
+        // Create prominent loading div
+        const loadingDiv = document.createElement('div');
+        loadingDiv.className = 'firefish-btc-loading';
+        loadingDiv.style.cssText = 'border-left: 3px solid #1890ff !important; padding: 12px; margin: 8px 0; background: #f6f9ff;';
+        loadingDiv.innerHTML = `
+            <div style="display: flex; align-items: center; justify-content: center; font-weight: bold; color: #1890ff;">
+                <span class="firefish-loading-spinner" style="font-size: 16px; margin-right: 8px;">⟳</span>
+                Analyzing BTC Performance...
+            </div>
+        `;
+
+        this.insertAfterDetails(loanCard, loadingDiv);
+        this.notifyChange();
+    },
+
+    // Results display for Firefish BTC analysis; history is the loan's snapshots, oldest first
+    showResults(loanCard, performance, history = []) {
+        // Remove any existing displays
+        this.clear(loanCard, '.firefish-btc-loading, .firefish-btc-results');
+
+        const performanceClass = performance.isOutperforming ?
+            'firefish-btc-outperforming' : 'firefish-btc-underperforming';
+
+        const statusIcon = performance.isOutperforming ? '✅' : '❌';
+        const statusText = performance.isOutperforming ? 'Outperforming' : 'Underperforming';
+
+        const resultsHTML = `
+            <div class="_details_1gfcb_5 _details_gxzzy_12 firefish-btc-results ${performanceClass}">
+                <div class="ant-row _field_1gfcb_21" style="margin-bottom: 8px;">
+                    <div class="ant-col ant-col-24" style="text-align: center; font-weight: bold; font-size: 14px;">
+                        BTC Performance Analysis
+                        <span class="tooltip-icon" title="Comprehensive analysis comparing Bitcoin investment strategy vs loan interest costs. Shows whether buying Bitcoin with your loan amount would have outperformed paying the loan interest. Includes historical and current BTC prices, value changes, and net theoretical gain or loss from the BTC strategy.">ℹ️</span>
+                    </div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">BTC Performance Analysis</div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${statusIcon} ${statusText}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        BTC Price Provision Date
+                        <span class="tooltip-icon" title="Historical BTC price pulled from API for ${performance.provisionDate}. This is the BTC price on your specific loan provision date.">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.initialBTCPrice}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        ${performance.realized ? 'BTC Price at Repayment' : 'BTC Price Now'}
+                        <span class="tooltip-icon" title="${performance.realized ? `Historical BTC price for ${performance.endDate}, the day the loan was closed.` : 'Current BTC price from API. Price is cached for 15 minutes to avoid excessive API calls.'}">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.currentBTCPrice}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        BTC Value Change
+                        <span class="tooltip-icon" title="How much you would have gained/lost if you used the loan amount to buy BTC instead of taking the loan. Formula: Loan Amount × (Current BTC Price / BTC Price at Loan Date - 1)">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.btcValueChange}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        ${performance.realized ? 'Interest Accrued to Repayment' : 'Interest Accrued to Date'}
+                        <span class="tooltip-icon" title="Interest accrued ${performance.realized ? 'until the loan was closed' : 'so far'} (${performance.elapsedDays} of ${performance.termDays} days). Formula: Loan Amount × Interest Rate ÷ 365 × Days Elapsed">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.accruedInterest}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Full-Term Interest
+                        <span class="tooltip-icon" title="${performance.termKnown ? `Total interest over the ${performance.termDays}-day loan term${performance.maturityDate ? ` ending ${performance.maturityDate}` : ''}.` : 'Loan term could not be read from the card, assuming one year.'} Formula: Loan Amount × Interest Rate ÷ 365 × Term Days">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.fullTermInterest}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Daily Interest Accrual
+                        <span class="tooltip-icon" title="Interest added each day the loan stays open. Formula: Loan Amount × Interest Rate ÷ 365">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.dailyInterest}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        ${performance.theoreticalLabel}
+                        <span class="tooltip-icon" title="Net profit or loss from choosing BTC investment strategy over loan strategy${performance.realized ? ', final since the loan is closed' : ''}. Formula: BTC Value Change - Interest Accrued${performance.realized ? ' to Repayment' : ' to Date'}">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.theoreticalResult}</div>
+                </div>${performance.ltv ? this.renderLiquidationRows(performance) : ''}${this.renderHistory(performance, history)}
+            </div>
+        `;
+
+        const existingDetails = selectorProfiles.findDetails(loanCard);
+        if (existingDetails) {
+            existingDetails.insertAdjacentHTML('afterend', resultsHTML);
+        }
+        // Mark result shown and update dashboard
+        try { loanCard.dataset.firefishBtcResultShown = 'true'; } catch(e) {}
+        this.notifyChange();
+    },
+
+    // Current LTV and the BTC prices at which the loan reaches margin call and liquidation
+    renderLiquidationRows(performance) {
+        const ltv = performance.ltv;
+        return `
+                <div class="ant-row _field_1gfcb_21 firefish-btc-ltv">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Current LTV
+                        <span class="tooltip-icon" title="Loan-to-value at the current BTC price. Formula: (Loan Amount + Full-Term Interest) ÷ (Collateral BTC × BTC Price Now)">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${ltv.currentLTV}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21 firefish-btc-ltv">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Margin Call Price (${ltv.marginCallLTV}% LTV)
+                        <span class="tooltip-icon" title="BTC price at which the loan reaches the margin-call LTV, and the change from the current price. Formula: (Loan Amount + Full-Term Interest) ÷ (Collateral BTC × ${ltv.marginCallLTV}%)">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${ltv.marginCallPrice} (${ltv.marginCallDrop})</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21 firefish-btc-ltv">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Liquidation Price (${ltv.liquidationLTV}% LTV)
+                        <span class="tooltip-icon" title="BTC price at which the collateral is liquidated, and the change from the current price. Formula: (Loan Amount + Full-Term Interest) ÷ (Collateral BTC × ${ltv.liquidationLTV}%)">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${ltv.liquidationPrice} (${ltv.liquidationDrop})</div>
+                </div>`;
+    },
+
+    // Change since the previous snapshot, and charts of gain/loss and LTV over all snapshots
+    renderHistory(performance, history) {
+        if (history.length < 2) return '';
+
+        const latest = history[history.length - 1];
+        const previous = history[history.length - 2];
+        const currency = performance.currency;
+        const signed = (value, format) => `${value >= 0 ? '+' : '-'}${format(Math.abs(value))}`;
+        const since = utils.formatFirefishDate(new Date(`${previous.date}T00:00:00Z`));
+        const time = (snapshot) => Date.parse(`${snapshot.date}T00:00:00Z`);
+
+        const resultChange = signed(latest.theoreticalResult - previous.theoreticalResult, value => utils.formatCurrency(value, currency));
+        const ltvChange = latest.ltv !== null && previous.ltv !== null ?
+            `, LTV ${signed(latest.ltv - previous.ltv, value => value.toFixed(1))} pts` : '';
+
+        const resultChart = charts.lineChart(history.map(snapshot => [time(snapshot), snapshot.theoreticalResult]), {
+            className: 'firefish-chart-result',
+            title: `Theoretical gain/loss per visit (${currency})`,
+            formatY: value => utils.formatCurrency(Math.round(value), currency).replace(/\.00$/, ''),
+            zeroLine: true
+        });
+        const ltvHistory = history.filter(snapshot => snapshot.ltv !== null);
+        const ltvChart = ltvHistory.length > 0 ? charts.lineChart(ltvHistory.map(snapshot => [time(snapshot), snapshot.ltv]), {
+            className: 'firefish-chart-ltv',
+            title: 'LTV per visit (%)',
+            formatY: value => `${value.toFixed(1)}%`
+        }) : '';
+
+        return `
+                <div class="ant-row _field_1gfcb_21 firefish-btc-history">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Since ${since}
+                        <span class="tooltip-icon" title="Change since your previous visit, from the daily snapshots of this loan (${history.length} kept).">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">Gain/Loss ${resultChange}${ltvChange}</div>
+                </div>
+                <details class="firefish-btc-history-charts">
+                    <summary>History (${history.length} snapshots, ${utils.formatFirefishDate(new Date(time(history[0])))} to today)</summary>
+                    <div class="firefish-chart-caption">Theoretical gain/loss</div>
+                    ${resultChart}${ltvChart ? `
+                    <div class="firefish-chart-caption">LTV</div>
+                    ${ltvChart}` : ''}
+                </details>`;
+    },
+
+    // Results display for an investment card (lender side)
+    showLenderResults(loanCard, performance) {
+        this.clear(loanCard, '.firefish-btc-loading, .firefish-btc-results');
+
+        const performanceClass = performance.isOutperforming ?
+            'firefish-btc-outperforming' : 'firefish-btc-underperforming';
+        const statusIcon = performance.isOutperforming ? '✅' : '❌';
+        const statusText = performance.isOutperforming ? 'Lending beat holding BTC' : 'Holding BTC beat lending';
+        const period = performance.realized ? 'until the investment was closed' : 'so far';
+
+        const resultsHTML = `
+            <div class="_details_1gfcb_5 _details_gxzzy_12 firefish-btc-results firefish-btc-lender ${performanceClass}">
+                <div class="ant-row _field_1gfcb_21" style="margin-bottom: 8px;">
+                    <div class="ant-col ant-col-24" style="text-align: center; font-weight: bold; font-size: 14px;">
+                        Lending Yield Analysis
+                        <span class="tooltip-icon" title="Compares the interest this investment earns with holding the same amount as fiat (no yield) or as BTC bought on the provision date.">ℹ️</span>
+                    </div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">Lending vs. Holding BTC</div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${statusIcon} ${statusText}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        ${performance.realized ? 'Interest Earned' : 'Interest Earned to Date'}
+                        <span class="tooltip-icon" title="Interest earned ${period} (${performance.elapsedDays} of ${performance.termDays} days), which is also the gain over holding fiat. Formula: Invested Amount × Interest Rate ÷ 365 × Days Elapsed">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.interestEarned} (${performance.yieldPercentage})</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Full-Term Interest
+                        <span class="tooltip-icon" title="Interest over the ${performance.termDays}-day term${performance.termKnown ? '' : ' (term could not be read from the card, assuming one year)'}.">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.fullTermInterest}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        BTC Price Provision Date
+                        <span class="tooltip-icon" title="Historical BTC price for ${performance.provisionDate}.">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.initialBTCPrice}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        ${performance.realized ? 'BTC Price at Repayment' : 'BTC Price Now'}
+                        <span class="tooltip-icon" title="${performance.realized ? `Historical BTC price for ${performance.endDate}, the day the investment was closed.` : 'Current BTC price from API.'}">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.currentBTCPrice}</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        Holding BTC Instead
+                        <span class="tooltip-icon" title="Gain or loss ${period} from buying BTC with the invested amount on the provision date. Formula: Invested Amount × (BTC Price Now / BTC Price at Provision - 1)">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.btcHoldValueChange} (${performance.btcPercentageChange})</div>
+                </div>
+                <div class="ant-row _field_1gfcb_21">
+                    <div class="ant-col ant-col-13 _fieldTitle_1gfcb_40">
+                        ${performance.lendingVsBTCLabel}
+                        <span class="tooltip-icon" title="Formula: Interest Earned - Holding BTC Instead">ℹ️</span>
+                    </div>
+                    <div class="ant-col ant-col-11 _fieldValue_1gfcb_41">${performance.lendingVsBTC}</div>
+                </div>
+            </div>
+        `;
+
+        const existingDetails = selectorProfiles.findDetails(loanCard);
+        if (existingDetails) {
+            existingDetails.insertAdjacentHTML('afterend', resultsHTML);
+        }
+        try { loanCard.dataset.firefishBtcResultShown = 'true'; } catch(e) {}
+        this.notifyChange();
+    },
+
+    showError(loanCard, errorMessage) {
+        // Remove existing displays
+        this.clear(loanCard, '.firefish-btc-loading, .firefish-btc-results');
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'firefish-btc-error';
+        errorDiv.innerHTML = `<span style="color: #ff4d4f;">❌ ${errorMessage}</span>`;
+
+        this.insertAfterDetails(loanCard, errorDiv);
+        this.notifyChange();
+    },
+
+    // Countdown shown while the price service is rate limited; replaces any other panel
+    showRateLimitMessage(loanCard, message) {
+        this.clear(loanCard);
+
+        const rateLimitDiv = document.createElement('div');
+        rateLimitDiv.className = 'firefish-btc-rate-limited';
+        rateLimitDiv.innerHTML = `
+            <div class="firefish-btc-loading">
+                <span class="firefish-loading-spinner">⏳</span> ${message}
+            </div>
+        `;
+
+        this.insertAfterDetails(loanCard, rateLimitDiv);
+    },
+
+    clearRateLimitMessage(loanCard) {
+        this.clear(loanCard, '.firefish-btc-rate-limited');
+    }
+};
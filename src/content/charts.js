@@ -0,0 +1,69 @@
+// Insight+ for Firefish - Inline SVG charts
+// Small line charts drawn as SVG markup in the result panels; nothing is loaded from a CDN.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+export const charts = {
+    // Line chart of [x, y] points with x ascending (e.g. timestamps). Options: width, height,
+    // className, title (tooltip/accessible name), formatY (labels of the y range), zeroLine
+    // (draw y = 0 when it lies within the range), dots (a dot per point) and markers (labelled
+    // horizontal lines, [{ value, label, className }], always within the range).
+    lineChart(points, options = {}) {
+        const {
+            width = 240, height = 64, className = '', title = '', formatY = String, zeroLine = false, dots = true, markers = []
+        } = options;
+        if (points.length === 0) return '';
+
+        // Room for the min/max labels on the left
+        const left = 56;
+        const top = 6;
+        const plotWidth = width - left - 4;
+        const plotHeight = height - top * 2;
+
+        const xs = points.map(([x]) => x);
+        const ys = points.map(([, y]) => y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const extra = markers.map(marker => marker.value).concat(zeroLine ? [0] : []);
+        let minY = Math.min(...ys, ...extra);
+        let maxY = Math.max(...ys, ...extra);
+        if (minY === maxY) {
+            minY -= 1;
+            maxY += 1;
+        }
+
+        // A single point sits in the middle
+        const scaleX = (x) => left + (maxX === minX ? plotWidth / 2 : (x - minX) / (maxX - minX) * plotWidth);
+        const scaleY = (y) => top + (maxY - y) / (maxY - minY) * plotHeight;
+        const coordinates = points.map(([x, y]) => `${scaleX(x).toFixed(1)},${scaleY(y).toFixed(1)}`);
+
+        const zero = zeroLine && minY < 0 && maxY > 0 ?
+            `<line class="firefish-chart-zero" x1="${left}" x2="${left + plotWidth}" y1="${scaleY(0).toFixed(1)}" y2="${scaleY(0).toFixed(1)}"></line>` : '';
+        const pointDots = dots ? coordinates.map(point => {
+            const [cx, cy] = point.split(',');
+            return `<circle class="firefish-chart-dot" cx="${cx}" cy="${cy}" r="2"></circle>`;
+        }).join('') : '';
+        // Label above the line at the right end
+        const markerLines = markers.map(marker => {
+            const y = scaleY(marker.value).toFixed(1);
+            return `<g class="firefish-chart-marker ${marker.className || ''}">`
+                + `<line x1="${left}" x2="${left + plotWidth}" y1="${y}" y2="${y}"></line>`
+                + (marker.label ? `<text class="firefish-chart-label" x="${left + plotWidth}" y="${(Math.max(scaleY(marker.value) - 2, 8)).toFixed(1)}" text-anchor="end">${escapeText(marker.label)}</text>` : '')
+                + '</g>';
+        }).join('');
+
+        return `<svg xmlns="${SVG_NS}" class="firefish-chart ${className}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeText(title)}">`
+            + (title ? `<title>${escapeText(title)}</title>` : '')
+            + `<text class="firefish-chart-label" x="0" y="${top + 4}">${escapeText(formatY(maxY))}</text>`
+            + `<text class="firefish-chart-label" x="0" y="${top + plotHeight}">${escapeText(formatY(minY))}</text>`
+            + zero
+            + markerLines
+            + `<polyline class="firefish-chart-line" points="${coordinates.join(' ')}"></polyline>`
+            + pointDots
+            + '</svg>';
+    }
+};
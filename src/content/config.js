@@ -0,0 +1,34 @@
+// Insight+ for Firefish - Content script configuration
+
+export const CONFIG = {
+    firefishDomain: 'app.firefish.io',
+    cacheExpiry: 5 * 60 * 1000, // 5 minutes
+    // Pages listing loan cards, followed by the tab ('active' or 'closed'): the borrower's loans
+    // and the lender's investments
+    loanPages: {
+        borrower: '/loans/tab/',
+        lender: '/investments/tab/'
+    },
+    interest: {
+        dayCountBasis: 365,    // Interest rates on cards are annual (p.a.)
+        defaultTermDays: 365   // Used when neither term nor maturity date can be read from a card
+    },
+    // Firefish's loan-to-value thresholds in percent: a margin call asks for more collateral,
+    // liquidation sells it. Users can override them in the settings.
+    ltv: {
+        marginCall: 80,
+        liquidation: 95
+    },
+    // Daily loan snapshots for the history view
+    snapshots: {
+        retentionDays: 365,
+        maxPerLoan: 366
+    },
+    // Features this build ships; users can switch each off on the options page (settings.features)
+    features: {
+        cryptoPrices: true,
+        enhancedUI: true,
+        quickActions: true,
+        btcAnalysis: true
+    }
+};
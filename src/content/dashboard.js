@@ -0,0 +1,263 @@
+// Insight+ for Firefish - Portfolio dashboard
+// Summary card above the loan cards, aggregated from the analysis store.
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { firefishDetector } from './detector.js';
+import { analysisStore } from './analysisStore.js';
+import { realizedStore } from './realizedStore.js';
+import { performanceEngine } from './performance.js';
+import { priceCache } from './priceClient.js';
+import { exporter } from './exporter.js';
+import { scenarioSimulator } from './simulator.js';
+
+export const portfolioDashboard = {
+    // Inject the loading placeholder above the card stack/content
+    inject() {
+        if (document.querySelector('.portfolio-summary-card')) return;
+        const loadingHtml = `
+            <div class="ant-card ant-card-bordered firefish-summary-card portfolio-summary-card">
+              <div class="ant-card-body">
+                <div style="text-align: center; padding: 20px;">
+                  <span class="firefish-loading-spinner">⟳</span>
+                  Calculating portfolio performance... (<span class="pf-analyzed">0</span> of <span class="pf-total">0</span> loans analyzed)
+                </div>
+              </div>
+            </div>`;
+        const content = document.querySelector('._content_pndzt_5') || document.querySelector('main') || document.body;
+        const cardStack = selectorProfiles.queryAll(content, 'cardStack')[0] || selectorProfiles.queryAll(document, 'cardStack')[0];
+        if (cardStack && cardStack.parentNode) {
+            cardStack.parentNode.insertBefore(document.createRange().createContextualFragment(loadingHtml), cardStack);
+            return;
+        }
+        // Fallback: insert before first loan card
+        const firstCard = selectorProfiles.findLoanCards()[0];
+        if (firstCard && firstCard.parentNode) {
+            firstCard.parentNode.insertBefore(document.createRange().createContextualFragment(loadingHtml), firstCard);
+            return;
+        }
+        // Final fallback: prepend to content
+        content?.insertAdjacentHTML('afterbegin', loadingHtml);
+    },
+
+    // Cards this dashboard covers: analyzable borrower loans (investment cards have their own dashboard)
+    findBorrowerCards() {
+        return selectorProfiles.findLoanCards()
+            .filter(card => !firefishDetector.isPendingCard(card) && !firefishDetector.isInvestmentCard(card));
+    },
+
+    // Aggregate and update portfolio dashboard state
+    update() {
+        if (this.findBorrowerCards().length === 0) {
+            document.querySelectorAll('.portfolio-summary-card').forEach(element => element.remove());
+            return;
+        }
+        this.inject();
+        const dashboard = document.querySelector('.portfolio-summary-card');
+        if (!dashboard) return;
+
+        const totals = this.aggregatePortfolioData();
+        // Update loading state counts if not complete
+        const isComplete = totals.analyzedCount >= totals.totalLoans && totals.totalLoans > 0;
+        if (!isComplete) {
+            const analyzedEl = dashboard.querySelector('.pf-analyzed');
+            const totalEl = dashboard.querySelector('.pf-total');
+            if (analyzedEl) analyzedEl.textContent = String(totals.analyzedCount);
+            if (totalEl) totalEl.textContent = String(totals.totalLoans);
+            return;
+        }
+
+        const reportingCurrency = totals.reportingCurrency;
+        const availableCurrencies = Object.keys(priceCache.current.data || {})
+            .map(code => code.toUpperCase())
+            .filter(code => code !== 'BTC');
+        if (!availableCurrencies.includes(reportingCurrency)) availableCurrencies.unshift(reportingCurrency);
+        const currencyOptions = availableCurrencies.map(code =>
+            `<option value="${code}"${code === reportingCurrency ? ' selected' : ''}>${code}</option>`
+        ).join('');
+
+        // Unrealized results for the active loans on this page, lifetime realized results for closed loans
+        const sections = [];
+        if (totals.unrealizedCount > 0 || totals.realized.count === 0) {
+            sections.push(this.renderSection({
+                className: 'portfolio-unrealized',
+                title: totals.realized.count > 0 ? 'Active Loans (unrealized)' : '',
+                resultLabel: 'Total Theoretical Gain/Loss',
+                resultTooltip: `Sum of net BTC strategy results across analyzed loans, converted into ${reportingCurrency} at current BTC cross-rates`,
+                countText: (summary) => `${summary.outperformingCount} of ${summary.count} loans outperforming`,
+                valueLabel: 'Portfolio Value',
+                valueTooltip: `Sum of loan amounts for analyzed loans, converted into ${reportingCurrency} at current BTC cross-rates`,
+                summary: {
+                    count: totals.unrealizedCount,
+                    totalTheoretical: totals.totalTheoretical,
+                    outperformingCount: totals.outperformingCount,
+                    totalLoanAmount: totals.totalLoanAmount,
+                    byCurrency: totals.byCurrency,
+                    unconvertedCount: totals.unconvertedCount
+                }
+            }, reportingCurrency));
+        }
+        if (totals.realized.count > 0) {
+            sections.push(this.renderSection({
+                className: 'portfolio-realized',
+                title: 'Closed Loans (lifetime realized)',
+                resultLabel: 'Total Realized Gain/Loss',
+                resultTooltip: `Final BTC strategy results of every closed loan analyzed so far, each measured from provision to repayment, converted into ${reportingCurrency} at current BTC cross-rates`,
+                countText: (summary) => `${summary.outperformingCount} of ${summary.count} loans outperformed`,
+                valueLabel: 'Total Borrowed',
+                valueTooltip: `Sum of loan amounts of the closed loans, converted into ${reportingCurrency} at current BTC cross-rates`,
+                summary: totals.realized
+            }, reportingCurrency));
+        }
+        // Projections for the active loans
+        if (totals.unrealizedCount > 0) sections.push(scenarioSimulator.render(reportingCurrency));
+
+        const html = `
+            <div class="ant-card ant-card-bordered firefish-summary-card firefish-summary-complete portfolio-summary-card portfolio-summary-complete">
+              <div class="ant-card-body">
+                <div class="ant-row _container_148t9_5">
+                  <div class="ant-col ant-col-24">
+                    <div class="portfolio-header">
+                      <h3>Portfolio BTC Performance Summary</h3>
+                      <div class="portfolio-header-controls">
+                        <label class="portfolio-currency-select">
+                          Reporting currency
+                          <select class="pf-reporting-currency">${currencyOptions}</select>
+                        </label>${exporter.renderButtons()}
+                      </div>
+                    </div>${sections.join('')}
+                  </div>
+                </div>
+              </div>
+            </div>`;
+        dashboard.outerHTML = html;
+
+        const card = document.querySelector('.portfolio-summary-card');
+        if (card) {
+            exporter.bindButtons(card);
+            scenarioSimulator.bind(card);
+        }
+
+        // Re-render totals when the reporting currency changes
+        const currencySelect = document.querySelector('.portfolio-summary-card .pf-reporting-currency');
+        if (currencySelect) {
+            currencySelect.addEventListener('change', async (event) => {
+                await userSettings.save({ reportingCurrency: event.target.value });
+                this.update();
+            });
+        }
+    },
+
+    // Metrics and per-currency breakdown for one group of loans
+    renderSection(section, reportingCurrency) {
+        const summary = section.summary;
+        const statusClass = summary.totalTheoretical >= 0 ? 'positive' : 'negative';
+        const breakdownRows = Object.keys(summary.byCurrency).sort().map(code => {
+            const subtotal = summary.byCurrency[code];
+            const subtotalClass = subtotal.theoretical >= 0 ? 'positive' : 'negative';
+            return `
+                      <div class="portfolio-breakdown-row">
+                        <span class="portfolio-breakdown-currency">${code}</span>
+                        <span>${subtotal.count} ${subtotal.count === 1 ? 'loan' : 'loans'}</span>
+                        <span>${utils.formatCurrency(subtotal.loanAmount, code)}</span>
+                        <span class="${subtotalClass}">${utils.formatCurrency(subtotal.theoretical, code)}</span>
+                      </div>`;
+        }).join('');
+        const unconvertedNote = summary.unconvertedCount > 0 ?
+            `<div class="portfolio-breakdown-note">${summary.unconvertedCount} ${summary.unconvertedCount === 1 ? 'loan' : 'loans'} excluded from totals: no BTC rate available to convert into ${reportingCurrency}</div>` : '';
+
+        return `
+                    <div class="portfolio-section ${section.className}">${section.title ? `
+                      <div class="portfolio-section-title">${section.title}</div>` : ''}
+                      <div class="portfolio-metrics">
+                        <div class="portfolio-metric">
+                          <div class="portfolio-metric-label">${section.resultLabel} <span class="tooltip-icon" title="${section.resultTooltip}">ℹ️</span></div>
+                          <div class="portfolio-metric-value ${statusClass}">${utils.formatCurrency(summary.totalTheoretical, reportingCurrency)}</div>
+                        </div>
+                        <div class="portfolio-metric">
+                          <div class="portfolio-metric-label">Loan Count Summary</div>
+                          <div class="portfolio-metric-value">${section.countText(summary)}</div>
+                        </div>
+                        <div class="portfolio-metric">
+                          <div class="portfolio-metric-label">${section.valueLabel} <span class="tooltip-icon" title="${section.valueTooltip}">ℹ️</span></div>
+                          <div class="portfolio-metric-value">${utils.formatCurrency(summary.totalLoanAmount, reportingCurrency)}</div>
+                        </div>
+                      </div>
+                      <div class="portfolio-breakdown">
+                        <div class="portfolio-breakdown-title">By Loan Currency <span class="tooltip-icon" title="Loan amounts and gain/loss per loan currency, before conversion">ℹ️</span></div>${breakdownRows}
+                        ${unconvertedNote}
+                      </div>
+                    </div>`;
+    },
+
+    // Totals for a set of loan results: { count, totalTheoretical, outperformingCount, totalLoanAmount,
+    // byCurrency, unconvertedCount }, converted into the reporting currency at current BTC cross-rates
+    summarize(items, reportingCurrency, rates) {
+        const summary = {
+            count: 0, totalTheoretical: 0, outperformingCount: 0, totalLoanAmount: 0, byCurrency: {}, unconvertedCount: 0
+        };
+
+        items.forEach(({ currency: loanCurrency, loanAmount: amount, theoretical, isOutperforming }) => {
+            summary.count++;
+            if (isOutperforming) summary.outperformingCount++;
+
+            const currency = (loanCurrency || reportingCurrency).toUpperCase();
+
+            // Per-currency subtotals in the loan's own currency
+            const subtotal = summary.byCurrency[currency] || (summary.byCurrency[currency] = { count: 0, theoretical: 0, loanAmount: 0 });
+            subtotal.count++;
+            subtotal.theoretical += theoretical;
+            subtotal.loanAmount += amount;
+
+            // Portfolio totals converted into the reporting currency
+            const convertedTheoretical = performanceEngine.convertCurrency(theoretical, currency, reportingCurrency, rates);
+            const convertedAmount = performanceEngine.convertCurrency(amount, currency, reportingCurrency, rates);
+            if (convertedTheoretical === null || convertedAmount === null) {
+                summary.unconvertedCount++;
+                return;
+            }
+            summary.totalTheoretical += convertedTheoretical;
+            summary.totalLoanAmount += convertedAmount;
+        });
+
+        return summary;
+    },
+
+    // Compute aggregated metrics: unrealized results of the active loans on the page from the
+    // analysis store, and lifetime realized results of closed loans from the realized store
+    aggregatePortfolioData() {
+        const totalLoans = this.findBorrowerCards().length;
+
+        const entries = analysisStore.getAll().filter(entry => entry.loanData?.role !== 'lender');
+        const activeResults = entries.filter(entry => entry.status === 'done' && entry.loanData.status !== 'closed');
+
+        const reportingCurrency = (userSettings.values.reportingCurrency || 'EUR').toUpperCase();
+        const rates = priceCache.current.data;
+        const unrealized = this.summarize(activeResults.map(entry => ({
+            currency: entry.loanData.currency,
+            loanAmount: entry.loanData.loanAmount,
+            theoretical: entry.performance.theoreticalResult,
+            isOutperforming: entry.isOutperforming
+        })), reportingCurrency, rates);
+        const realized = this.summarize(realizedStore.getAll().map(entry => ({
+            currency: entry.currency,
+            loanAmount: entry.loanAmount,
+            theoretical: entry.theoreticalResult,
+            isOutperforming: entry.isOutperforming
+        })), reportingCurrency, rates);
+
+        return {
+            totalLoans,
+            analyzedCount: entries.length,
+            totalTheoretical: unrealized.totalTheoretical,
+            outperformingCount: unrealized.outperformingCount,
+            totalLoanAmount: unrealized.totalLoanAmount,
+            reportingCurrency,
+            byCurrency: unrealized.byCurrency,
+            unconvertedCount: unrealized.unconvertedCount,
+            unrealizedCount: unrealized.count,
+            realized
+        };
+    }
+};
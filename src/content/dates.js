@@ -0,0 +1,127 @@
+// Insight+ for Firefish - Date parsing
+// Reads the dates Firefish shows on loan cards into UTC midnight Dates, whatever language the app
+// runs in: "24 Nov 2024", "24. November 2024", "24. listopadu 2024", "Nov 24, 2024", "24.11.2024",
+// "11/24/2024" and ISO "2024-11-24" (with or without a time).
+
+import { detectPageLocale } from './locale.js';
+
+// Month names are always recognised in these languages, plus the page locale
+const BASE_LOCALES = ['en', 'de', 'cs'];
+
+const monthTables = new Map();
+
+// Lowercase without accents or trailing dots: "März" → "marz", "Sept." → "sept"
+function normalizeWord(word) {
+    return word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+// Month name → month index for a locale, in long and short form, standalone ("leden") and
+// as written next to a day ("1. ledna")
+function monthTable(locale) {
+    if (!monthTables.has(locale)) {
+        const table = new Map();
+        try {
+            ['long', 'short'].forEach(style => {
+                const withDay = new Intl.DateTimeFormat(locale, { day: 'numeric', month: style, timeZone: 'UTC' });
+                const standalone = new Intl.DateTimeFormat(locale, { month: style, timeZone: 'UTC' });
+                for (let month = 0; month < 12; month++) {
+                    const date = new Date(Date.UTC(2024, month, 15));
+                    const part = withDay.formatToParts(date).find(p => p.type === 'month');
+                    [part ? part.value : null, standalone.format(date)].forEach(name => {
+                        // Some locales write short months as numbers ("15. 1.")
+                        if (name && !/\d/.test(name)) table.set(normalizeWord(name), month);
+                    });
+                }
+            });
+        } catch (e) {
+            // Unknown locale tag: the base locales still apply
+        }
+        monthTables.set(locale, table);
+    }
+    return monthTables.get(locale);
+}
+
+function utcDate(year, month, day) {
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month, day));
+    // Reject overflow such as 31 Feb
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+}
+
+export const dates = {
+    // Parse a date shown on a loan card; null when the text holds no recognisable date.
+    // Options: locale (defaults to the page locale) decides day/month order in "01/02/2025".
+    parse(text, options = {}) {
+        const s = String(text ?? '').replace(/[\u00a0\u2007\u2009\u202f]/g, ' ').trim();
+        if (!s) return null;
+        const locale = options.locale || detectPageLocale();
+
+        // ISO "2024-11-24", "2024-11-24T10:00:00Z": the calendar day as written
+        const iso = s.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (iso) return utcDate(+iso[1], +iso[2] - 1, +iso[3]);
+
+        const numeric = s.match(/(\d{1,4})\s*([./-])\s*(\d{1,2})\s*\2\s*(\d{2,4})/);
+        if (numeric) return this.parseNumeric(numeric, locale);
+
+        return this.parseWithMonthName(s, locale);
+    },
+
+    // "24.11.2024", "24. 11. 2024", "2024/11/24", "11/24/2024", "24/11/2024"
+    parseNumeric([, first, separator, second, third], locale) {
+        if (first.length === 4) return utcDate(+first, +second - 1, +third);
+
+        const a = +first;
+        const b = +second;
+        // Dotted dates are day-first everywhere; otherwise an impossible month settles it,
+        // and the locale's own order decides the rest
+        let dayFirst;
+        if (separator === '.' || a > 12) {
+            dayFirst = true;
+        } else if (b > 12) {
+            dayFirst = false;
+        } else {
+            dayFirst = this.isDayFirst(locale);
+        }
+        return dayFirst ? utcDate(+third, b - 1, a) : utcDate(+third, a - 1, b);
+    },
+
+    // Whether the locale writes the day before the month (en-GB, de, cs) or after it (en-US)
+    isDayFirst(locale) {
+        try {
+            const types = new Intl.DateTimeFormat(locale).formatToParts(new Date()).map(part => part.type);
+            return types.indexOf('day') < types.indexOf('month');
+        } catch (e) {
+            return true;
+        }
+    },
+
+    // "24 Nov 2024", "24. listopadu 2024", "November 24, 2024"
+    parseWithMonthName(s, locale) {
+        const yearMatch = s.match(/(?:^|\D)(\d{4})(?!\d)/);
+        if (!yearMatch) return null;
+
+        let month = null;
+        for (const word of s.match(/\p{L}+\.?/gu) || []) {
+            month = this.monthIndex(word, locale);
+            if (month !== null) break;
+        }
+        if (month === null) return null;
+
+        const day = s.replace(yearMatch[1], ' ').match(/(?:^|\D)(\d{1,2})(?!\d)/);
+        return day ? utcDate(+yearMatch[1], month, +day[1]) : null;
+    },
+
+    monthIndex(word, locale) {
+        const key = normalizeWord(word);
+        for (const tableLocale of [locale, ...BASE_LOCALES]) {
+            const month = monthTable(tableLocale).get(key);
+            if (month !== undefined) return month;
+        }
+        return null;
+    },
+
+    // "YYYY-MM-DD" of a parsed date
+    toISODate(date) {
+        return date.toISOString().slice(0, 10);
+    }
+};
@@ -0,0 +1,281 @@
+// Insight+ for Firefish - Debug API
+// window.firefishBTC for the DevTools console (content script context), plus the quick action handler.
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { firefishDetector } from './detector.js';
+import { analysisStore } from './analysisStore.js';
+import { realizedStore } from './realizedStore.js';
+import { monitorStore } from './monitorStore.js';
+import { snapshotStore } from './snapshotStore.js';
+import { exporter } from './exporter.js';
+import { money } from './money.js';
+import { btcApiClient, cryptoService, priceCache, rateLimitState } from './priceClient.js';
+import { performanceEngine } from './performance.js';
+import { investorDashboard } from './investorDashboard.js';
+import { scenarioSimulator } from './simulator.js';
+import { lifecycle } from './lifecycle.js';
+
+export function installDebugApi() {
+    window.firefishBTC = {
+        getStatus: () => firefishDetector.getStatus(),
+        getLoanData: () => firefishDetector.getAllLoanData(),
+        debugCard: (index) => firefishDetector.debugLoanCard(index),
+        getCards: () => firefishDetector.loanCards,
+        getAnalysisResults: () => analysisStore.getAll(),
+        // Lifetime realized results of closed loans (stored across page loads)
+        getRealizedLoans: () => realizedStore.getAll(),
+        clearRealizedLoans: async () => await realizedStore.clear(),
+        // Download every analyzed loan as 'csv', 'json' or 'xlsx'
+        exportAnalysis: (format = 'csv') => exporter.download(format),
+        // Daily snapshots per loan (all loans, or one by its id)
+        getSnapshots: async (loanId = null) => loanId ? await snapshotStore.get(loanId) : await snapshotStore.getAll(),
+        clearSnapshots: async () => await snapshotStore.clear(),
+        // Active loans the background service worker watches for LTV alerts
+        getMonitoredLoans: async () => await monitorStore.getAll(),
+        checkLTVNow: async () => await chrome.runtime.sendMessage({ action: 'checkLTV' }),
+        // Amounts the parser had to guess at ("5.000" could be 5 or 5000), most recent last
+        getExtractionWarnings: () => money.warnings.slice(),
+        // BTC Analysis methods
+        getBTCAnalysis: async () => await cryptoService.getBTCAnalysis(firefishDetector.getAllLoanData()),
+        getBTCPriceHistory: async (currency = 'usd', days = 30) => await cryptoService.getBTCPriceHistory(currency, days),
+        getCurrentBTCPrices: async () => await btcApiClient.getCurrentPriceForAllCurrencies(),
+        preloadHistoricalPrices: async () => await btcApiClient.preloadHistoricalPrices(),
+        // Switch the preferred price source ('coingecko', 'kraken' or 'custom' with a base URL)
+        setPriceProvider: async (priceProvider, customPriceEndpoint = userSettings.values.customPriceEndpoint) => {
+            await userSettings.save({ priceProvider, customPriceEndpoint });
+            utils.log(`Price provider set to ${priceProvider}`);
+        },
+        // Margin-call and liquidation LTV thresholds in percent (defaults: Firefish's)
+        getLTVThresholds: () => userSettings.ltvThresholds(),
+        setLTVThresholds: async (marginCallLTV, liquidationLTV) => {
+            await userSettings.save({ marginCallLTV, liquidationLTV });
+            return userSettings.ltvThresholds();
+        },
+        // Selector profile that matched the loan cards, and a custom one to try first (null to remove)
+        getSelectorProfile: () => selectorProfiles.report,
+        setSelectorProfile: async (profile) => {
+            await userSettings.save({ selectorProfile: profile || null });
+            return selectorProfiles.report;
+        },
+        clearBTCCache: () => {
+            priceCache.current = { data: null, timestamp: null, currencies: new Set(), requested: new Set() };
+            priceCache.historical.clear();
+            chrome.runtime.sendMessage({ action: 'clearCache', includeHistorical: true });
+            utils.log('BTC price cache cleared');
+        },
+        // Performance Analysis methods
+        getPerformanceAnalysis: async (cardIndex = 0) => {
+            const loanData = firefishDetector.getAllLoanData();
+            if (cardIndex >= loanData.length) return null;
+
+            const loan = loanData[cardIndex];
+            const currentPrices = await btcApiClient.getCurrentPriceForAllCurrencies([loan.currency]);
+            const currentPrice = currentPrices?.[(loan.currency || '').toLowerCase()];
+            if (!currentPrice) return null;
+
+            const historicalPrice = await btcApiClient.getHistoricalPrice(loan.provisionDate, loan.currency);
+            if (!historicalPrice) return null;
+
+            return loan.role === 'lender' ?
+                performanceEngine.calculateLenderPerformance(loan, currentPrice, historicalPrice) :
+                performanceEngine.calculateFirefishBTCPerformance(loan, currentPrice, historicalPrice, new Date(), userSettings.ltvThresholds());
+        },
+        // Investor dashboard totals (investment cards only)
+        getInvestorSummary: () => investorDashboard.aggregateInvestorData(),
+        // What-if projection of the active loans, e.g. { changePercent: -30, targetDate: '2026-06-30' }
+        // or { targetPrice: 150000 } in the reporting currency
+        simulateScenario: (scenario = {}) => scenarioSimulator.simulate(Object.assign({ targetPrice: null, changePercent: 0, targetDate: '' }, scenario)),
+
+        // Analyzer state at a glance
+        status: () => {
+            console.group('🎯 Firefish BTC Analyzer Status');
+            console.log('Current URL:', window.location.href);
+            console.log('Is loans tab page:', utils.isFirefishLoansTabPage());
+            console.log('Analysis running:', lifecycle.running);
+            console.log('Navigation listener setup:', lifecycle.navigationListenerSetup);
+            console.log('Cards detected:', selectorProfiles.findLoanCards().length);
+            console.log('Selector profile:', selectorProfiles.report ? `${selectorProfiles.report.id} (${selectorProfiles.report.strategy}, ${selectorProfiles.report.source})` : 'none matched');
+            console.log('Cards processed:', document.querySelectorAll('[data-firefish-btc-processed]').length);
+            console.log('Loading states:', document.querySelectorAll('.firefish-btc-loading').length);
+            console.log('Results displayed:', document.querySelectorAll('.firefish-btc-results').length);
+            console.log('Errors:', document.querySelectorAll('.firefish-btc-error').length);
+            console.log('Analyzer exists:', !!lifecycle.analyzer);
+            console.log('Last health check:', new Date(lifecycle.lastHealthCheck).toLocaleTimeString());
+            console.groupEnd();
+        },
+
+        reprocess: () => lifecycle.reprocess(),
+
+        get analyzer() {
+            return lifecycle.analyzer;
+        },
+
+        debugSelectors: () => {
+            console.group('🔍 Firefish Selector Debug');
+            // How many cards each profile would match, in the order they are tried
+            selectorProfiles.getProfiles().forEach(profile => {
+                console.log(`Profile ${profile.id} (${profile.strategy}, ${profile.source}):`,
+                    selectorProfiles.matchCards(document, profile).length, 'cards');
+            });
+
+            const cards = selectorProfiles.findLoanCards();
+            console.log('Active profile:', selectorProfiles.report);
+            console.log('Total cards found:', cards.length);
+
+            if (cards.length > 0) {
+                const firstCard = cards[0];
+                console.log('First card element:', firstCard);
+
+                // Test each field lookup
+                const amountEl = selectorProfiles.findAmountElement(firstCard);
+                console.log('Amount element:', amountEl, 'Text:', amountEl?.textContent);
+
+                const interestEls = selectorProfiles.findInterestElements(firstCard);
+                console.log('Interest elements:', interestEls);
+                interestEls.forEach((el, i) => {
+                    console.log(`Interest ${i}:`, el.getAttribute('title') || el.textContent);
+                });
+
+                const dateEls = selectorProfiles.queryAll(firstCard, 'fieldValue');
+                console.log('Field values:', dateEls);
+                dateEls.forEach((el, i) => {
+                    console.log(`Field value ${i}:`, el.getAttribute('title') || el.textContent);
+                });
+
+                const btcLink = selectorProfiles.findCollateralElement(firstCard);
+                console.log('BTC collateral:', btcLink, 'Text:', btcLink?.textContent);
+
+                const detailsSection = selectorProfiles.findDetails(firstCard);
+                console.log('Details section:', detailsSection);
+            }
+            console.groupEnd();
+        },
+
+        testExtraction: () => {
+            const cards = selectorProfiles.findLoanCards();
+            if (cards.length > 0) {
+                const data = firefishDetector.extractFirefishLoanData(cards[0]);
+                console.log('Extracted data:', data);
+                return data;
+            }
+            console.log('No cards found to test');
+            return null;
+        },
+
+        manualAnalysis: async () => {
+            console.log('🚀 Starting manual analysis...');
+            const cards = selectorProfiles.findLoanCards();
+            if (cards.length > 0) {
+                console.log(`Found ${cards.length} cards, analyzing first one...`);
+                if (lifecycle.analyzer) {
+                    await lifecycle.analyzer.processFirefishLoanCard(cards[0]);
+                } else {
+                    console.error('[Firefish-BTC] Analyzer not available for manual analysis');
+                }
+            } else {
+                console.log('No cards found for manual analysis');
+            }
+        },
+
+        rateLimitStatus: () => {
+            console.group('⏳ Rate Limit Status');
+            console.log('Is rate limited:', rateLimitState.isRateLimited);
+            if (rateLimitState.isRateLimited) {
+                console.log('Rate limited at:', new Date(rateLimitState.rateLimitedAt).toLocaleTimeString());
+                console.log('Remaining wait time:', btcApiClient.getRemainingSeconds() + 's');
+            }
+            console.log('Pending cards:', rateLimitState.pendingCards.size);
+            console.log('Retry queue length:', rateLimitState.retryQueue.length);
+            console.groupEnd();
+        },
+
+        forceRetry: () => {
+            if (rateLimitState.isRateLimited) {
+                console.log('[Firefish-BTC] Force resolving rate limit...');
+                btcApiClient.resolveRateLimit();
+            } else {
+                console.log('[Firefish-BTC] Not currently rate limited');
+            }
+        },
+
+        forceStart: () => {
+            console.log('[Firefish-BTC] Force starting analysis...');
+            if (utils.isFirefishLoansTabPage()) {
+                lifecycle.start();
+            } else {
+                console.log('[Firefish-BTC] Cannot force start - not on loans tab page');
+            }
+        }
+    };
+
+    // Quick action handler
+    window.uxplusQuickAction = function(action) {
+        switch(action) {
+            case 'refresh':
+                location.reload();
+                break;
+            case 'crypto':
+                // Toggle crypto widget
+                const widget = document.querySelector('.uxplus-crypto-widget');
+                if (widget) {
+                    widget.style.display = widget.style.display === 'none' ? 'block' : 'none';
+                }
+                break;
+            case 'btc-analysis':
+                // Toggle BTC analysis
+                const btcElements = document.querySelectorAll('.uxplus-btc-analysis');
+                btcElements.forEach(el => {
+                    el.style.display = el.style.display === 'none' ? 'block' : 'none';
+                });
+                break;
+
+            case 'btc-analysis-run':
+                // Run BTC analysis and display results
+                (async () => {
+                    try {
+                        utils.log('Running BTC analysis...');
+                        const analysis = await cryptoService.getBTCAnalysis(firefishDetector.getAllLoanData());
+                        if (analysis) {
+                            utils.log('BTC Analysis completed:', 'info', analysis);
+                            // You can add UI display logic here
+                            alert(`BTC Analysis Complete!\nAnalyzed ${analysis.analysis.length} loans\nCurrent BTC Price: $${analysis.currentBTCPrice.toLocaleString()}`);
+                        } else {
+                            utils.log('BTC Analysis failed', 'error');
+                            alert('BTC Analysis failed. Check console for details.');
+                        }
+                    } catch (error) {
+                        utils.log(`BTC Analysis error: ${error.message}`, 'error');
+                        alert(`BTC Analysis error: ${error.message}`);
+                    }
+                })();
+                break;
+
+            case 'performance-analysis':
+                // Run detailed performance analysis for first loan card
+                (async () => {
+                    try {
+                        utils.log('Running performance analysis...');
+                        const performance = await window.firefishBTC.getPerformanceAnalysis(0);
+                        if (performance) {
+                            utils.log('Performance analysis completed:', 'info', performance);
+                            const status = performance.isOutperforming ? 'OUTPERFORMING' : 'UNDERPERFORMING';
+                            alert(`Performance Analysis Complete!\n\nStatus: ${status}\nBTC Value Change: ${performance.btcValueChange}\nBTC % Change: ${performance.btcPercentageChange}\nInterest Accrued to Date: ${performance.accruedInterest} (full term: ${performance.fullTermInterest})\n\nBTC is ${performance.isOutperforming ? 'outperforming' : 'underperforming'} the loan interest cost.`);
+                        } else {
+                            utils.log('Performance analysis failed', 'error');
+                            alert('Performance analysis failed. Check console for details.');
+                        }
+                    } catch (error) {
+                        utils.log(`Performance analysis error: ${error.message}`, 'error');
+                        alert(`Performance analysis error: ${error.message}`);
+                    }
+                })();
+                break;
+            case 'settings':
+                // Open extension popup or show settings
+                chrome.runtime.sendMessage({ action: 'openPopup' });
+                break;
+        }
+    };
+}
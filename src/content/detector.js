@@ -0,0 +1,348 @@
+// Insight+ for Firefish - Loan card detection and data extraction
+
+import { utils } from './utils.js';
+import { money } from './money.js';
+import { dates } from './dates.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { analysisStore } from './analysisStore.js';
+import { analysisProgress } from './progress.js';
+
+// Firefish loan card detection
+export const firefishDetector = {
+    isInitialized: false,
+    loanCards: [],
+
+    detectFirefishLoanCards() {
+        try {
+            // Cards with the full loan structure, via whichever selector profile matches
+            const loanCards = selectorProfiles.findLoanCards();
+
+            if (loanCards.length === 0) {
+                return [];
+            }
+
+            // Filter out pending loans and only keep active/completed loans
+            const validLoanCards = Array.from(loanCards).filter(card => {
+                if (this.isPendingCard(card)) {
+                    utils.log('Skipping pending loan card', 'info');
+                    return false;
+                }
+                return true;
+            });
+
+            if (validLoanCards.length > 0) {
+                utils.log(`Found ${validLoanCards.length} valid Firefish loan cards (${loanCards.length - validLoanCards.length} pending cards skipped, selector profile: ${selectorProfiles.report?.id})`);
+                return validLoanCards;
+            } else {
+                utils.log('No valid (non-pending) Firefish loan cards found', 'info');
+            }
+
+            return [];
+        } catch (error) {
+            utils.log(`Error detecting loan cards: ${error.message}`, 'error');
+            return [];
+        }
+    },
+
+    // Pending loans show "PENDING" in one of their ant-card-body sections
+    isPendingCard(card) {
+        return Array.from(card.querySelectorAll('.ant-card-body'))
+            .some(element => (element.textContent || '').includes('PENDING'));
+    },
+
+    // Investment cards (lender side): every card on the investments pages, and elsewhere cards with
+    // an investment row ("Invested amount", "Expected return")
+    isInvestmentCard(card) {
+        const page = utils.getLoansPage();
+        if (page && page.role === 'lender') return true;
+
+        const { labels } = selectorProfiles.current();
+        return selectorProfiles.findFields(card).some(({ title }) => labels.investment.test(title.textContent || ''));
+    },
+
+    // BTC amount from text like "0.25891 BTC"; null unless the text is denominated in BTC
+    parseBTCAmount(text) {
+        const parsed = money.parse(text);
+        return parsed && parsed.currency === 'BTC' && parsed.amount > 0 ? parsed.amount : null;
+    },
+
+    validateFirefishPage() {
+        if (!utils.isFirefishLoansTabPage()) {
+            utils.log('Not on Firefish loans tab page (/loans/tab or /investments/tab), skipping validation', 'info');
+            return false;
+        }
+
+        utils.log('Validating Firefish loans tab page structure', 'info');
+        const loanCards = this.detectFirefishLoanCards();
+        if (loanCards.length === 0) {
+            // Check if there are any loan cards at all (including pending ones)
+            const allLoanCards = selectorProfiles.findLoanCards();
+            if (allLoanCards.length > 0) {
+                utils.log(`Found ${allLoanCards.length} loan cards but ${allLoanCards.length - loanCards.length} are pending/incomplete - skipping analysis`);
+            } else {
+                utils.log('No Firefish loan cards detected at all');
+            }
+            return false;
+        }
+
+        utils.log(`Valid Firefish page detected with ${loanCards.length} active loan cards ready for analysis`);
+        this.loanCards = loanCards;
+        return true;
+    },
+
+    updateLoanCards() {
+        const newLoanCards = this.detectFirefishLoanCards();
+        if (newLoanCards.length !== this.loanCards.length) {
+            utils.log(`Loan card count changed: ${this.loanCards.length} → ${newLoanCards.length}`);
+            this.loanCards = newLoanCards;
+
+            // Notify other components about the change
+            if (this.isInitialized) {
+                this.notifyLoanCardUpdate();
+            }
+        }
+    },
+
+    notifyLoanCardUpdate() {
+        // Send message to popup about status update
+        try {
+            chrome.runtime.sendMessage({
+                action: 'updateStatus',
+                data: this.getStatus()
+            });
+        } catch (error) {
+            utils.log('Failed to send status update: ' + error.message, 'warn');
+        }
+    },
+
+    getStatus() {
+        return {
+            isFirefish: utils.isFirefish(),
+            cardsFound: this.loanCards.length,
+            analyzed: analysisStore.getResults().length,
+            failed: analysisStore.getAll().filter(entry => entry.status === 'error').length,
+            progress: analysisProgress.snapshot(),
+            isInitialized: this.isInitialized,
+            selectorProfile: selectorProfiles.report
+        };
+    },
+
+    extractFirefishLoanData(loanCard) {
+        try {
+            console.log('[Firefish-BTC] Starting loan data extraction...');
+
+            // Double-check this isn't a pending loan
+            if (this.isPendingCard(loanCard)) {
+                console.log('[Firefish-BTC] Skipping pending loan during extraction');
+                return null;
+            }
+
+            // Extract currency and amount from "EUR 10,000" format (amount element, "Loan amount" row or bare text)
+            const amountElement = selectorProfiles.findAmountElement(loanCard);
+            console.log('[Firefish-BTC] Amount element found:', !!amountElement);
+
+            const amountText = amountElement ? amountElement.textContent.trim() : '';
+            console.log('[Firefish-BTC] Amount text:', amountText);
+
+            const parsedAmount = money.parse(amountText);
+            console.log('[Firefish-BTC] Parsed amount:', parsedAmount);
+
+            if (!parsedAmount || !parsedAmount.currency) {
+                console.warn('[Firefish-BTC] Could not extract currency and amount from:', amountText);
+                return null;
+            }
+            const currency = parsedAmount.currency; // ISO code as shown on the card: EUR, USD, CHF, CZK, ...
+            const loanAmount = parsedAmount.amount; // 10000
+
+            console.log('[Firefish-BTC] Extracted amount:', { currency, loanAmount });
+
+            // Extract interest rate "12.5%" from a summary value's title, the "Interest" row or bare text
+            const interestElements = selectorProfiles.findInterestElements(loanCard);
+            console.log('[Firefish-BTC] Interest elements found:', interestElements.length);
+
+            let interestRate = null;
+            interestElements.forEach((el, index) => {
+                const title = el.getAttribute('title') || el.textContent.trim();
+                console.log(`[Firefish-BTC] Interest element ${index} title:`, title);
+                if (title && title.includes('%')) {
+                    interestRate = utils.parseNumberFromText(title);
+                    console.log('[Firefish-BTC] Found interest rate:', interestRate);
+                }
+            });
+
+            // Extract provision, maturity and liquidation dates by their field labels
+            const { provisionDate, maturityDate: labelledMaturity, repaidDate, liquidationDate } = this.extractDates(loanCard);
+            let maturityDate = labelledMaturity;
+            console.log('[Firefish-BTC] Found dates:', { provisionDate, maturityDate, repaidDate, liquidationDate });
+
+            // Extract loan term ("12 months") from a labelled field or the summary values
+            let loanTerm = null;
+            const termElement = this.findFieldValueByLabel(loanCard, /\bterm\b|duration/i);
+            const termCandidates = termElement ?
+                [termElement] :
+                selectorProfiles.queryAll(loanCard, 'value').concat(selectorProfiles.queryAll(loanCard, 'fieldValue'));
+            for (const el of termCandidates) {
+                loanTerm = utils.parseLoanTerm(el.getAttribute('title') || el.textContent);
+                if (loanTerm) break;
+            }
+            console.log('[Firefish-BTC] Found loan term:', loanTerm);
+
+            // Derive whichever of term/maturity is missing from the other
+            let termDays = null;
+            const provision = utils.parseFirefishDate(provisionDate);
+            const maturity = utils.parseFirefishDate(maturityDate);
+            if (provision && maturity) {
+                termDays = utils.daysBetween(provision, maturity);
+            } else if (provision && loanTerm) {
+                const derivedMaturity = loanTerm.days !== null ?
+                    new Date(provision.getTime() + loanTerm.days * 24 * 60 * 60 * 1000) :
+                    utils.addMonths(provision, loanTerm.months);
+                termDays = utils.daysBetween(provision, derivedMaturity);
+                maturityDate = utils.formatFirefishDate(derivedMaturity);
+            }
+            if (termDays !== null && termDays <= 0) termDays = null;
+            console.log('[Firefish-BTC] Loan term in days:', termDays);
+
+            // Extract BTC collateral "0.25891 BTC" from the mempool.space link or the "Collateral" row
+            const collateralLink = selectorProfiles.findCollateralElement(loanCard);
+            console.log('[Firefish-BTC] Collateral link found:', !!collateralLink);
+
+            let collateralBTC = null;
+            if (collateralLink) {
+                const collateralText = collateralLink.textContent.trim();
+                console.log('[Firefish-BTC] Collateral text:', collateralText);
+                collateralBTC = this.parseBTCAmount(collateralText);
+                console.log('[Firefish-BTC] Found BTC collateral:', collateralBTC);
+            }
+
+            // Alternative: BTC amount might be in any field value containing "BTC"
+            if (!collateralBTC) {
+                console.log('[Firefish-BTC] Trying alternative BTC extraction...');
+                const btcElements = selectorProfiles.queryAll(loanCard, 'fieldValue');
+                btcElements.forEach((el, index) => {
+                    const text = el.textContent.trim();
+                    console.log(`[Firefish-BTC] BTC element ${index} text:`, text);
+                    const btcAmount = this.parseBTCAmount(text);
+                    if (btcAmount) {
+                        collateralBTC = btcAmount;
+                        console.log('[Firefish-BTC] Found BTC collateral (alternative):', collateralBTC);
+                    }
+                });
+            }
+
+            // Validation - all required fields must be present
+            console.log('[Firefish-BTC] Validation check:', {
+                currency, loanAmount, interestRate, provisionDate, collateralBTC
+            });
+            if (!currency || !loanAmount || !interestRate || !provisionDate || !collateralBTC) {
+                console.warn('[Firefish-BTC] Missing required data:', {
+                    currency, loanAmount, interestRate, provisionDate, collateralBTC
+                });
+                return null;
+            }
+
+            // Loans on the closed tab (or showing a repayment date) have ended: their analysis runs
+            // up to the day they were repaid, liquidated or matured instead of today
+            const status = repaidDate || utils.getLoansTab() === 'closed' ? 'closed' : 'active';
+            const endDate = status === 'closed' ? (repaidDate || liquidationDate || maturityDate) : null;
+            // Borrowed (my loans) or lent (my investments)
+            const role = this.isInvestmentCard(loanCard) ? 'lender' : 'borrower';
+
+            console.log('[Firefish-BTC] Successfully extracted all loan data:', {
+                currency, loanAmount, interestRate, provisionDate, collateralBTC, maturityDate, termDays, status, endDate, role
+            });
+
+            return {
+                loanId: analysisStore.getLoanId(loanCard, { currency, loanAmount, provisionDate, collateralBTC }),
+                currency,
+                loanAmount,
+                interestRate,
+                provisionDate,
+                collateralBTC,
+                maturityDate,
+                repaidDate,
+                liquidationDate,
+                termDays,
+                status,
+                endDate,
+                role,
+                isValid: true
+            };
+
+        } catch (error) {
+            console.error('[Firefish-BTC] Error extracting loan data:', error);
+            console.error('[Firefish-BTC] Error stack:', error.stack);
+            return null;
+        }
+    },
+
+    // Provision, maturity, repayment and liquidation dates ("24 Nov 2024", in any language or
+    // format) told apart by their field labels. A date in a row with no known label is only taken
+    // as the provision date when no row is labelled as one.
+    extractDates(loanCard) {
+        const { labels } = selectorProfiles.current();
+        const kinds = ['liquidationDate', 'repaidDate', 'maturityDate', 'provisionDate'];
+        const found = { provisionDate: null, maturityDate: null, repaidDate: null, liquidationDate: null };
+        let unlabelled = null;
+
+        selectorProfiles.findFields(loanCard).forEach(({ title, value }) => {
+            const date = dates.parse(value.getAttribute('title') || value.textContent);
+            if (!date) return;
+
+            const label = title.textContent || '';
+            const kind = kinds.find(k => labels[k] && labels[k].test(label));
+            if (!kind) {
+                unlabelled = unlabelled || date;
+            } else if (!found[kind]) {
+                found[kind] = date;
+            }
+        });
+        if (!found.provisionDate) found.provisionDate = unlabelled;
+
+        // Downstream code works with the Firefish "24 Nov 2024" form
+        Object.keys(found).forEach(kind => {
+            found[kind] = found[kind] ? utils.formatFirefishDate(found[kind]) : null;
+        });
+        return found;
+    },
+
+    // Find the value element of a details row whose title matches the given label pattern.
+    // Rows of our own injected result panels, which reuse Firefish classes, are ignored.
+    findFieldValueByLabel(loanCard, labelPattern) {
+        return selectorProfiles.findFieldValue(loanCard, labelPattern);
+    },
+
+    getAllLoanData() {
+        const loanData = [];
+
+        this.loanCards.forEach((card, index) => {
+            const data = this.extractFirefishLoanData(card);
+            if (data) {
+                data.cardIndex = index;
+                loanData.push(data);
+            }
+        });
+
+        return loanData;
+    },
+
+    debugLoanCard(cardIndex = 0) {
+        if (cardIndex >= this.loanCards.length) {
+            utils.log(`Card index ${cardIndex} out of range. Total cards: ${this.loanCards.length}`, 'error');
+            return null;
+        }
+
+        const card = this.loanCards[cardIndex];
+        const data = this.extractFirefishLoanData(card);
+
+        utils.log(`Debug info for card ${cardIndex}:`, 'info');
+        utils.log('Raw card element:', 'info', card);
+        utils.log('Extracted data:', 'info', data);
+
+        return {
+            cardElement: card,
+            extractedData: data,
+            cardIndex: cardIndex
+        };
+    }
+};
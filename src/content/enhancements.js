@@ -0,0 +1,143 @@
+// Insight+ for Firefish - Page enhancements
+// Crypto price widget, quick action buttons and card decorations added once loan cards are found.
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { firefishDetector } from './detector.js';
+import { cryptoService } from './priceClient.js';
+import { injectStyles } from './styles.js';
+
+export const uiEnhancer = {
+    init() {
+        if (!userSettings.isEnabled('enhancedUI')) return;
+
+        // Only proceed if we have valid Firefish loan cards
+        if (!firefishDetector.validateFirefishPage()) {
+            utils.log('Skipping UI enhancement - no valid Firefish loan cards');
+            return;
+        }
+
+        injectStyles();
+        this.enhanceFirefishUI();
+    },
+
+    // Redo the enhancements after the feature settings changed
+    refresh() {
+        document.querySelectorAll('.uxplus-crypto-widget, .uxplus-quick-actions, .uxplus-btc-analysis').forEach(element => element.remove());
+        document.querySelectorAll('.uxplus-enhanced').forEach(element => element.classList.remove('uxplus-enhanced'));
+        if (userSettings.isEnabled('enhancedUI')) this.enhanceFirefishUI();
+    },
+
+    enhanceFirefishUI() {
+        if (!firefishDetector.isInitialized) return;
+
+        // Add crypto price widget to dashboard
+        if (userSettings.isEnabled('cryptoPrices')) this.addCryptoPriceWidget();
+
+        // Add quick action buttons
+        if (userSettings.isEnabled('quickActions')) this.addQuickActions();
+
+        // Enhance existing UI elements
+        this.enhanceExistingElements();
+
+        // Add BTC analysis to loan cards
+        this.addBTCAnalysis();
+    },
+
+    async addCryptoPriceWidget() {
+        const dashboard = document.querySelector('[data-testid="dashboard"], .dashboard, main');
+        if (!dashboard) return;
+
+        const widget = document.createElement('div');
+        widget.className = 'uxplus-crypto-widget';
+        widget.innerHTML = `
+            <h3>🪙 Crypto Prices</h3>
+            <div id="crypto-prices"></div>
+        `;
+
+        dashboard.insertBefore(widget, dashboard.firstChild);
+
+        // Fetch and display prices
+        const topCoins = await cryptoService.getTopCoins(5);
+        const pricesContainer = document.getElementById('crypto-prices');
+
+        topCoins.forEach(coin => {
+            const priceElement = document.createElement('div');
+            priceElement.className = 'uxplus-crypto-price';
+            priceElement.innerHTML = `
+                ${coin.symbol}: ${utils.formatCurrency(coin.price)}
+                <small style="opacity: 0.8; margin-left: 8px;">
+                    ${coin.change24h > 0 ? '+' : ''}${coin.change24h.toFixed(2)}%
+                </small>
+            `;
+            pricesContainer.appendChild(priceElement);
+        });
+    },
+
+    addQuickActions() {
+        const header = document.querySelector('header, .header, nav');
+        if (!header) return;
+
+        const actionsContainer = document.createElement('div');
+        actionsContainer.className = 'uxplus-quick-actions';
+        actionsContainer.innerHTML = `
+            <button class="uxplus-quick-action" onclick="window.uxplusQuickAction('refresh')">
+                🔄 Refresh
+            </button>
+            <button class="uxplus-quick-action" onclick="window.uxplusQuickAction('crypto')">
+                💰 Crypto
+            </button>
+            <button class="uxplus-quick-action" onclick="window.uxplusQuickAction('btc-analysis')">
+                ₿ BTC Analysis
+            </button>
+            <button class="uxplus-quick-action" onclick="window.uxplusQuickAction('btc-analysis-run')" style="background: linear-gradient(135deg, #f7931a 0%, #ff9500 100%); color: white;">
+                🚀 Run Analysis
+            </button>
+            <button class="uxplus-quick-action" onclick="window.uxplusQuickAction('performance-analysis')" style="background: linear-gradient(135deg, #28a745 0%, #20c997 100%); color: white;">
+                📊 Performance
+            </button>
+        `;
+
+        header.appendChild(actionsContainer);
+    },
+
+    enhanceExistingElements() {
+        // Add enhanced styling to existing elements
+        const elements = document.querySelectorAll('.card, .panel, .widget');
+        elements.forEach(el => {
+            el.classList.add('uxplus-enhanced');
+        });
+    },
+
+    addBTCAnalysis() {
+        if (!userSettings.isEnabled('btcAnalysis')) return;
+
+        firefishDetector.loanCards.forEach((card, index) => {
+            try {
+                // Check if BTC analysis already exists
+                if (card.querySelector('.uxplus-btc-analysis')) return;
+
+                const btcAnalysis = document.createElement('div');
+                btcAnalysis.className = 'uxplus-btc-analysis';
+                btcAnalysis.innerHTML = `
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <span>₿ Bitcoin Analysis</span>
+                        <span style="font-size: 12px;">Card ${index + 1}</span>
+                    </div>
+                    <div style="margin-top: 8px; font-size: 11px; opacity: 0.9;">
+                        Enhanced with UX+ extension
+                    </div>
+                `;
+
+                // Insert after the card's main content
+                const cardContent = selectorProfiles.findDetails(card);
+                if (cardContent) {
+                    cardContent.appendChild(btcAnalysis);
+                }
+            } catch (error) {
+                utils.log(`Error adding BTC analysis to card ${index}: ${error.message}`, 'error');
+            }
+        });
+    }
+};
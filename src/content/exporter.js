@@ -0,0 +1,261 @@
+// Insight+ for Firefish - Export of the analysis results
+// Every analyzed loan as one row, written as CSV, JSON or XLSX for spreadsheets. The XLSX file is
+// a minimal Office Open XML workbook in an uncompressed zip, so no library is needed.
+
+import { utils } from './utils.js';
+import { dates } from './dates.js';
+import { analysisStore } from './analysisStore.js';
+
+// Column key → header. For investments (role "lender") the interest is the interest earned,
+// the BTC value change is that of holding BTC instead, and the result is lending vs. holding BTC.
+const COLUMNS = [
+    ['loanId', 'Loan ID'],
+    ['role', 'Role'],
+    ['status', 'Status'],
+    ['currency', 'Currency'],
+    ['loanAmount', 'Amount'],
+    ['interestRate', 'Interest Rate (%)'],
+    ['provisionDate', 'Provision Date'],
+    ['maturityDate', 'Maturity Date'],
+    ['endDate', 'End Date'],
+    ['collateralBTC', 'Collateral (BTC)'],
+    ['historicalPrice', 'BTC Price at Provision'],
+    ['currentPrice', 'BTC Price Now or at End'],
+    ['btcValueChange', 'BTC Value Change'],
+    ['interest', 'Interest Cost or Earned'],
+    ['theoreticalResult', 'Theoretical Result'],
+    ['ltv', 'LTV (%)']
+];
+
+const FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const round = (value, digits = 2) => Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : null;
+
+// "24 Nov 2024" → "2024-11-24", which spreadsheets read as a date
+function isoDate(text) {
+    const date = text ? dates.parse(text) : null;
+    return date ? dates.toISODate(date) : null;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// CRC-32 as zip needs it
+let crcTable = null;
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Zip archive of { name: text } with stored (uncompressed) entries
+function zip(files) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    Object.keys(files).forEach(name => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(files[name]);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);          // version needed
+        local.setUint16(8, 0, true);           // method: stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);          // version made by
+        entry.setUint16(6, 20, true);          // version needed
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((size, chunk) => size + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = chunks.concat(central, [new Uint8Array(end.buffer)]);
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
+
+// Spreadsheet column letters: 0 → A, 25 → Z, 26 → AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+export const exporter = {
+    formats: Object.keys(FORMATS),
+
+    // One row per analyzed loan, in the order the cards were analyzed
+    getRows() {
+        return analysisStore.getResults().map(({ loanId, loanData, performance }) => {
+            const lender = loanData.role === 'lender';
+            return {
+                loanId,
+                role: loanData.role || 'borrower',
+                status: loanData.status || 'active',
+                currency: loanData.currency,
+                loanAmount: loanData.loanAmount,
+                interestRate: loanData.interestRate,
+                provisionDate: isoDate(loanData.provisionDate),
+                maturityDate: isoDate(loanData.maturityDate),
+                endDate: isoDate(loanData.endDate),
+                collateralBTC: loanData.collateralBTC ?? null,
+                historicalPrice: round(performance.historicalPrice),
+                currentPrice: round(performance.currentPrice),
+                btcValueChange: round(lender ? performance.btcHoldValueChange : performance.btcValueChange),
+                interest: round(lender ? performance.interestEarned : performance.loanInterestCost),
+                theoreticalResult: round(lender ? performance.lendingVsBTC : performance.theoreticalResult),
+                ltv: performance.ltv ? round(performance.ltv.currentLTV) : null
+            };
+        });
+    },
+
+    toCSV(rows) {
+        const cell = (value) => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [COLUMNS.map(([, header]) => cell(header)).join(',')]
+            .concat(rows.map(row => COLUMNS.map(([key]) => cell(row[key])).join(',')));
+        // The byte order mark makes Excel read the file as UTF-8
+        return '\ufeff' + lines.join('\r\n') + '\r\n';
+    },
+
+    toJSON(rows) {
+        return JSON.stringify({ exportedAt: new Date().toISOString(), loans: rows }, null, 2);
+    },
+
+    toXLSX(rows) {
+        const cell = (value, ref) => {
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+        };
+        const sheetRows = [COLUMNS.map(([, header]) => header)]
+            .concat(rows.map(row => COLUMNS.map(([key]) => row[key])))
+            .map((values, rowIndex) => `<row r="${rowIndex + 1}">` +
+                values.map((value, columnIndex) => cell(value, `${columnName(columnIndex)}${rowIndex + 1}`)).join('') +
+                '</row>')
+            .join('');
+
+        return zip({
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '</Types>',
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="Loans" sheetId="1" r:id="rId1"/></sheets>' +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '</Relationships>',
+            'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${sheetRows}</sheetData>` +
+                '</worksheet>'
+        });
+    },
+
+    // { filename, mimeType, content } with content a string (CSV, JSON) or bytes (XLSX)
+    build(format = 'csv') {
+        const spec = FORMATS[format];
+        if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+        const rows = this.getRows();
+        const content = format === 'xlsx' ? this.toXLSX(rows) : format === 'json' ? this.toJSON(rows) : this.toCSV(rows);
+        const filename = `firefish-loans-${dates.toISODate(new Date())}.${spec.extension}`;
+        utils.log(`Exported ${rows.length} loans as ${format.toUpperCase()}`);
+        return { filename, mimeType: spec.mimeType, content, rowCount: rows.length };
+    },
+
+    // Save the export through a temporary link, as a browser download
+    download(format = 'csv') {
+        const { filename, mimeType, content, rowCount } = this.build(format);
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return { filename, rowCount };
+    },
+
+    // Export buttons for the dashboard headers
+    renderButtons() {
+        return `
+                      <span class="portfolio-export">Export${this.formats.map(format =>
+                          ` <button type="button" class="portfolio-export-button" data-export-format="${format}">${format.toUpperCase()}</button>`).join('')}
+                      </span>`;
+    },
+
+    bindButtons(container) {
+        container.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.download(button.dataset.exportFormat));
+        });
+    },
+
+    // Export for the popup: messages carry strings, so XLSX bytes travel as base64
+    buildForMessage(format = 'csv') {
+        const result = this.build(format);
+        if (typeof result.content !== 'string') {
+            let binary = '';
+            result.content.forEach(byte => { binary += String.fromCharCode(byte); });
+            return Object.assign(result, { content: btoa(binary), encoding: 'base64' });
+        }
+        return Object.assign(result, { encoding: 'utf8' });
+    }
+};
@@ -0,0 +1,79 @@
+// Insight+ for Firefish - Content Script
+// Enhanced user experience for Firefish.io with Bitcoin analysis.
+// Entry point of the content script bundle (npm run build → dist/content.js).
+
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { firefishDetector } from './detector.js';
+import { analysisStore } from './analysisStore.js';
+import { realizedStore } from './realizedStore.js';
+import { monitorStore } from './monitorStore.js';
+import { snapshotStore } from './snapshotStore.js';
+import { btcApiClient, cryptoService, priceCache, rateLimitState } from './priceClient.js';
+import { performanceEngine } from './performance.js';
+import { cardRenderer } from './cardRenderer.js';
+import { portfolioDashboard } from './dashboard.js';
+import { investorDashboard } from './investorDashboard.js';
+import { exporter } from './exporter.js';
+import { portfolioSummary } from './portfolioSummary.js';
+import { analysisProgress } from './progress.js';
+import { scenarioSimulator } from './simulator.js';
+import { priceChart } from './priceChart.js';
+import { uiEnhancer } from './enhancements.js';
+import { lifecycle } from './lifecycle.js';
+import { installDebugApi } from './debugApi.js';
+import { registerMessageHandlers } from './messages.js';
+
+// Test hook: the jsdom harness in test/ sets window.__FIREFISH_BTC_TEST__ before loading
+// the bundle to reach the internals. It is never set on firefish.io.
+if (window.__FIREFISH_BTC_TEST__) {
+    window.__FIREFISH_BTC_TEST__.internals = {
+        CONFIG,
+        utils,
+        userSettings,
+        selectorProfiles,
+        firefishDetector,
+        analysisStore,
+        realizedStore,
+        monitorStore,
+        snapshotStore,
+        priceCache,
+        rateLimitState,
+        btcApiClient,
+        cryptoService,
+        performanceEngine,
+        cardRenderer,
+        portfolioDashboard,
+        investorDashboard,
+        exporter,
+        portfolioSummary,
+        analysisProgress,
+        scenarioSimulator,
+        priceChart,
+        uiEnhancer,
+        lifecycle
+    };
+}
+
+installDebugApi();
+registerMessageHandlers();
+
+// Load user settings first: they switch features on and off, and a custom selector profile
+// takes precedence over the built-in ones. Later changes are applied as they are saved.
+const settingsLoaded = userSettings.load().then(() => {
+    if (userSettings.values.selectorProfile) {
+        selectorProfiles.reset();
+        selectorProfiles.resolve();
+    }
+    userSettings.watch(changed => lifecycle.applySettings(changed));
+});
+
+// Lifetime realized results of closed loans, shown on the dashboard of either loans tab
+realizedStore.load().then(() => {
+    if (document.querySelector('.portfolio-summary-complete')) portfolioDashboard.update();
+});
+
+// Start the extension
+settingsLoaded.then(() => lifecycle.boot());
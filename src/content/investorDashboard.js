@@ -0,0 +1,209 @@
+// Insight+ for Firefish - Investor dashboard
+// Summary card for lenders, aggregated from the investment results in the analysis store:
+// interest earned compared with holding the invested fiat or buying BTC instead.
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { firefishDetector } from './detector.js';
+import { analysisStore } from './analysisStore.js';
+import { performanceEngine } from './performance.js';
+import { priceCache } from './priceClient.js';
+import { exporter } from './exporter.js';
+
+export const investorDashboard = {
+    // Cards this dashboard covers: analyzable investment cards
+    findInvestmentCards() {
+        return selectorProfiles.findLoanCards()
+            .filter(card => !firefishDetector.isPendingCard(card) && firefishDetector.isInvestmentCard(card));
+    },
+
+    // Inject the loading placeholder above the investment cards (below the borrower dashboard, if any)
+    inject() {
+        if (document.querySelector('.investor-summary-card')) return;
+        const loadingHtml = `
+            <div class="ant-card ant-card-bordered firefish-summary-card investor-summary-card">
+              <div class="ant-card-body">
+                <div style="text-align: center; padding: 20px;">
+                  <span class="firefish-loading-spinner">⟳</span>
+                  Calculating investment performance... (<span class="pf-analyzed">0</span> of <span class="pf-total">0</span> investments analyzed)
+                </div>
+              </div>
+            </div>`;
+        const fragment = () => document.createRange().createContextualFragment(loadingHtml);
+
+        const borrowerDashboard = document.querySelector('.portfolio-summary-card');
+        if (borrowerDashboard && borrowerDashboard.parentNode) {
+            borrowerDashboard.parentNode.insertBefore(fragment(), borrowerDashboard.nextSibling);
+            return;
+        }
+        const content = document.querySelector('._content_pndzt_5') || document.querySelector('main') || document.body;
+        const cardStack = selectorProfiles.queryAll(content, 'cardStack')[0] || selectorProfiles.queryAll(document, 'cardStack')[0];
+        if (cardStack && cardStack.parentNode) {
+            cardStack.parentNode.insertBefore(fragment(), cardStack);
+            return;
+        }
+        const firstCard = this.findInvestmentCards()[0];
+        if (firstCard && firstCard.parentNode) {
+            firstCard.parentNode.insertBefore(fragment(), firstCard);
+            return;
+        }
+        content?.insertAdjacentHTML('afterbegin', loadingHtml);
+    },
+
+    // Aggregate and update the investor dashboard; only pages with investment cards get one
+    update() {
+        if (this.findInvestmentCards().length === 0) {
+            document.querySelectorAll('.investor-summary-card').forEach(element => element.remove());
+            return;
+        }
+        this.inject();
+        const dashboard = document.querySelector('.investor-summary-card');
+        if (!dashboard) return;
+
+        const totals = this.aggregateInvestorData();
+        const isComplete = totals.analyzedCount >= totals.totalInvestments && totals.totalInvestments > 0;
+        if (!isComplete) {
+            const analyzedEl = dashboard.querySelector('.pf-analyzed');
+            const totalEl = dashboard.querySelector('.pf-total');
+            if (analyzedEl) analyzedEl.textContent = String(totals.analyzedCount);
+            if (totalEl) totalEl.textContent = String(totals.totalInvestments);
+            return;
+        }
+
+        const reportingCurrency = totals.reportingCurrency;
+        const sections = [];
+        if (totals.active.count > 0) {
+            sections.push(this.renderSection({
+                className: 'investor-active',
+                title: totals.closed.count > 0 ? 'Active Investments (to date)' : '',
+                countText: (summary) => `${summary.outperformingCount} of ${summary.count} investments beating BTC`,
+                summary: totals.active
+            }, reportingCurrency));
+        }
+        if (totals.closed.count > 0) {
+            sections.push(this.renderSection({
+                className: 'investor-closed',
+                title: totals.active.count > 0 ? 'Closed Investments (realized)' : '',
+                countText: (summary) => `${summary.outperformingCount} of ${summary.count} investments beat BTC`,
+                summary: totals.closed
+            }, reportingCurrency));
+        }
+
+        dashboard.outerHTML = `
+            <div class="ant-card ant-card-bordered firefish-summary-card firefish-summary-complete investor-summary-card investor-summary-complete">
+              <div class="ant-card-body">
+                <div class="ant-row _container_148t9_5">
+                  <div class="ant-col ant-col-24">
+                    <div class="portfolio-header">
+                      <h3>Investor Yield Summary</h3>${exporter.renderButtons()}
+                    </div>${sections.join('')}
+                  </div>
+                </div>
+              </div>
+            </div>`;
+
+        const card = document.querySelector('.investor-summary-card');
+        if (card) exporter.bindButtons(card);
+    },
+
+    // Metrics and per-currency breakdown for one group of investments
+    renderSection(section, reportingCurrency) {
+        const summary = section.summary;
+        const vsBTCClass = summary.totalLendingVsBTC >= 0 ? 'positive' : 'negative';
+        const breakdownRows = Object.keys(summary.byCurrency).sort().map(code => {
+            const subtotal = summary.byCurrency[code];
+            return `
+                      <div class="portfolio-breakdown-row">
+                        <span class="portfolio-breakdown-currency">${code}</span>
+                        <span>${utils.formatCurrency(subtotal.invested, code)}</span>
+                        <span class="positive">${utils.formatCurrency(subtotal.interestEarned, code)}</span>
+                        <span class="${subtotal.lendingVsBTC >= 0 ? 'positive' : 'negative'}">${utils.formatCurrency(subtotal.lendingVsBTC, code)}</span>
+                      </div>`;
+        }).join('');
+        const unconvertedNote = summary.unconvertedCount > 0 ?
+            `<div class="portfolio-breakdown-note">${summary.unconvertedCount} ${summary.unconvertedCount === 1 ? 'investment' : 'investments'} excluded from totals: no BTC rate available to convert into ${reportingCurrency}</div>` : '';
+        const yieldPercentage = summary.totalInvested > 0 ? summary.totalInterestEarned / summary.totalInvested * 100 : 0;
+
+        return `
+                    <div class="portfolio-section ${section.className}">${section.title ? `
+                      <div class="portfolio-section-title">${section.title}</div>` : ''}
+                      <div class="portfolio-metrics">
+                        <div class="portfolio-metric">
+                          <div class="portfolio-metric-label">Interest Earned <span class="tooltip-icon" title="Interest earned across investments, i.e. the gain over holding the same fiat, converted into ${reportingCurrency} at current BTC cross-rates">ℹ️</span></div>
+                          <div class="portfolio-metric-value positive">${utils.formatCurrency(summary.totalInterestEarned, reportingCurrency)} (${yieldPercentage.toFixed(1)}%)</div>
+                        </div>
+                        <div class="portfolio-metric">
+                          <div class="portfolio-metric-label">Lending vs. Holding BTC <span class="tooltip-icon" title="Interest earned minus the gain or loss of buying BTC with the invested amounts on their provision dates">ℹ️</span></div>
+                          <div class="portfolio-metric-value ${vsBTCClass}">${utils.formatCurrency(summary.totalLendingVsBTC, reportingCurrency)}</div>
+                        </div>
+                        <div class="portfolio-metric">
+                          <div class="portfolio-metric-label">Investment Count Summary</div>
+                          <div class="portfolio-metric-value">${section.countText(summary)}</div>
+                        </div>
+                        <div class="portfolio-metric">
+                          <div class="portfolio-metric-label">Total Invested <span class="tooltip-icon" title="Sum of invested amounts, converted into ${reportingCurrency} at current BTC cross-rates">ℹ️</span></div>
+                          <div class="portfolio-metric-value">${utils.formatCurrency(summary.totalInvested, reportingCurrency)}</div>
+                        </div>
+                      </div>
+                      <div class="portfolio-breakdown">
+                        <div class="portfolio-breakdown-title">By Currency <span class="tooltip-icon" title="Invested amount, interest earned and lending vs. BTC per investment currency, before conversion">ℹ️</span></div>${breakdownRows}
+                        ${unconvertedNote}
+                      </div>
+                    </div>`;
+    },
+
+    // Totals for a set of investment results, converted into the reporting currency
+    summarize(entries, reportingCurrency, rates) {
+        const summary = {
+            count: 0, totalInvested: 0, totalInterestEarned: 0, totalLendingVsBTC: 0,
+            outperformingCount: 0, byCurrency: {}, unconvertedCount: 0
+        };
+
+        entries.forEach(({ loanData, performance, isOutperforming }) => {
+            summary.count++;
+            if (isOutperforming) summary.outperformingCount++;
+
+            const currency = (loanData.currency || reportingCurrency).toUpperCase();
+            const subtotal = summary.byCurrency[currency] ||
+                (summary.byCurrency[currency] = { count: 0, invested: 0, interestEarned: 0, lendingVsBTC: 0 });
+            subtotal.count++;
+            subtotal.invested += loanData.loanAmount;
+            subtotal.interestEarned += performance.interestEarned;
+            subtotal.lendingVsBTC += performance.lendingVsBTC;
+
+            const converted = [loanData.loanAmount, performance.interestEarned, performance.lendingVsBTC]
+                .map(value => performanceEngine.convertCurrency(value, currency, reportingCurrency, rates));
+            if (converted.includes(null)) {
+                summary.unconvertedCount++;
+                return;
+            }
+            summary.totalInvested += converted[0];
+            summary.totalInterestEarned += converted[1];
+            summary.totalLendingVsBTC += converted[2];
+        });
+
+        return summary;
+    },
+
+    // Compute aggregated metrics for the investments on the page, split into active and closed
+    aggregateInvestorData() {
+        const cards = this.findInvestmentCards();
+        // Counted per card: a card whose data could not be read has an error entry without a role
+        const entries = cards
+            .map(card => card.dataset.firefishBtcLoanId && analysisStore.get(card.dataset.firefishBtcLoanId))
+            .filter(Boolean);
+        const results = entries.filter(entry => entry.status === 'done' && entry.loanData?.role === 'lender');
+
+        const reportingCurrency = (userSettings.values.reportingCurrency || 'EUR').toUpperCase();
+        const rates = priceCache.current.data;
+
+        return {
+            totalInvestments: cards.length,
+            analyzedCount: entries.length,
+            reportingCurrency,
+            active: this.summarize(results.filter(entry => entry.loanData.status !== 'closed'), reportingCurrency, rates),
+            closed: this.summarize(results.filter(entry => entry.loanData.status === 'closed'), reportingCurrency, rates)
+        };
+    }
+};
@@ -0,0 +1,452 @@
+// Insight+ for Firefish - Lifecycle
+// Starts and stops the analysis as the user moves around the Firefish single-page app, and
+// watches the DOM (one MutationObserver) for loan cards rendered after the initial load.
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { selectorProfiles } from './selectorProfiles.js';
+import { firefishDetector } from './detector.js';
+import { analysisStore } from './analysisStore.js';
+import { priceCache, btcApiClient } from './priceClient.js';
+import { cardRenderer } from './cardRenderer.js';
+import { portfolioDashboard } from './dashboard.js';
+import { investorDashboard } from './investorDashboard.js';
+import { portfolioSummary } from './portfolioSummary.js';
+import { analysisProgress } from './progress.js';
+import { uiEnhancer } from './enhancements.js';
+import { injectStyles } from './styles.js';
+import { FirefishBTCAnalyzer } from './analyzer.js';
+
+// Page enhancements retry while the loan cards render (10 × 2s)
+const MAX_ENHANCEMENT_RETRIES = 10;
+
+// Settings that change the per-loan results, so every card is analyzed again
+const RESULT_SETTINGS = ['selectorProfile', 'priceProvider', 'customPriceEndpoint', 'marginCallLTV', 'liquidationLTV'];
+
+export const lifecycle = {
+    analyzer: null,
+    observer: null,
+    running: false,
+    initializing: false,
+    healthCheckInterval: null,
+    lastHealthCheck: Date.now(),
+    navigationListenerSetup: false,
+    focusListenerSetup: false,
+    enhancementRetries: 0,
+
+    // Entry point, called once when the content script loads
+    boot() {
+        // Loading, result and error panels change the portfolio and investor totals
+        cardRenderer.onChange = () => {
+            portfolioDashboard.update();
+            investorDashboard.update();
+            portfolioSummary.save();
+        };
+
+        this.initPageEnhancements();
+
+        // Start the navigation listener first to detect SPA routing
+        this.setupNavigationListener();
+
+        // Then start the analysis if we're on the correct page
+        this.start();
+    },
+
+    initPageEnhancements() {
+        utils.log('Initializing Insight+ for Firefish extension');
+
+        // Only proceed if we're on the specific Firefish loans tab page
+        if (!utils.isFirefishLoansTabPage()) {
+            utils.log('Not on Firefish loans tab page, skipping BTC analysis', 'info');
+            return;
+        }
+
+        utils.log('On Firefish loans tab page, proceeding with BTC analysis initialization', 'info');
+
+        // Wait for DOM to be ready
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.enhancePage());
+        } else {
+            this.enhancePage();
+        }
+    },
+
+    enhancePage() {
+        // Validate Firefish page structure
+        if (!firefishDetector.validateFirefishPage()) {
+            this.enhancementRetries++;
+            if (this.enhancementRetries >= MAX_ENHANCEMENT_RETRIES) {
+                utils.log(`Maximum retry attempts (${MAX_ENHANCEMENT_RETRIES}) reached. Stopping retry loop.`, 'warn');
+                return;
+            }
+            utils.log(`Firefish page validation failed, retrying in 2 seconds... (attempt ${this.enhancementRetries}/${MAX_ENHANCEMENT_RETRIES})`, 'info');
+            setTimeout(() => this.enhancePage(), 2000);
+            return;
+        }
+
+        // Reset retry count on success
+        this.enhancementRetries = 0;
+
+        // Initialize UI enhancements
+        uiEnhancer.init();
+
+        // Mark as initialized
+        firefishDetector.isInitialized = true;
+
+        utils.log('Insight+ for Firefish extension initialized successfully');
+
+        // Send initial status update
+        firefishDetector.notifyLoanCardUpdate();
+    },
+
+    start() {
+        if (!userSettings.isEnabled('btcAnalysis')) {
+            utils.log('BTC analysis is switched off in the settings');
+            return;
+        }
+
+        console.log('[Firefish-BTC] Starting Firefish BTC analysis...');
+
+        // Check if we're on the correct page before starting
+        if (!utils.isFirefishLoansTabPage()) {
+            console.log('[Firefish-BTC] Not on Firefish loans tab page (/loans/tab or /investments/tab), analysis will not start');
+            return;
+        }
+
+        if (this.running) {
+            console.log('[Firefish-BTC] Analysis already running, skipping startup');
+            return;
+        }
+
+        this.running = true;
+        this.setupFocusListener();
+        this.startHealthCheck();
+
+        // Small delay for page stability
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => {
+                setTimeout(() => this.initialize(), 1000);
+            });
+        } else {
+            setTimeout(() => this.initialize(), 1000);
+        }
+
+        console.log('[Firefish-BTC] Analysis startup complete');
+    },
+
+    // Stop when navigating away from the loans tab
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        console.log('[Firefish-BTC] Stopping analysis...');
+
+        if (this.healthCheckInterval) {
+            clearInterval(this.healthCheckInterval);
+            this.healthCheckInterval = null;
+        }
+
+        // Results and the dashboard belong to the page we navigated away from
+        analysisStore.clear();
+        analysisProgress.clear();
+        document.querySelectorAll('.portfolio-summary-card, .investor-summary-card').forEach(element => element.remove());
+
+        this.running = false;
+        this.initializing = false;
+
+        console.log('[Firefish-BTC] Analysis stopped');
+    },
+
+    // Self-healing initialization: safe to call again, only unprocessed cards are queued
+    async initialize() {
+        if (this.initializing) {
+            console.log('[Firefish-BTC] Initialization already in progress, skipping...');
+            return;
+        }
+
+        try {
+            this.initializing = true;
+            console.log('[Firefish-BTC] Starting initialization...');
+
+            if (!utils.isFirefishLoansTabPage()) {
+                console.log('[Firefish-BTC] Not on Firefish loans tab page (/loans/tab or /investments/tab), skipping initialization');
+                return;
+            }
+
+            const firefishCards = firefishDetector.detectFirefishLoanCards();
+            if (firefishCards.length === 0) {
+                // Check if there are any loan cards at all (including pending ones)
+                const allLoanCards = selectorProfiles.findLoanCards();
+                if (allLoanCards.length > 0) {
+                    console.log(`[Firefish-BTC] ${allLoanCards.length} loan cards found but ${allLoanCards.length - firefishCards.length} are pending/incomplete - extension will not activate`);
+                } else {
+                    console.log('[Firefish-BTC] No Firefish loan cards detected - extension will not activate');
+                }
+                return;
+            }
+
+            console.log(`[Firefish-BTC] Found ${firefishCards.length} Firefish loan cards`);
+
+            injectStyles();
+
+            if (!this.analyzer) {
+                console.log('[Firefish-BTC] Creating new FirefishBTCAnalyzer...');
+                this.analyzer = new FirefishBTCAnalyzer();
+
+                // Restart processing of pending cards once a rate limit resolves
+                this.analyzer.apiClient.setRateLimitCallback(() => {
+                    setTimeout(() => {
+                        this.analyzer.processPendingCards();
+                    }, 1000); // Small delay to ensure API is ready
+                });
+            }
+
+            // Show loading for all detected cards immediately, then process them
+            firefishCards.forEach(card => {
+                if (!card.dataset.firefishBtcProcessed) {
+                    cardRenderer.showLoadingState(card);
+                    this.analyzer.processingQueue.add(card);
+                    analysisProgress.set(card, 'queued');
+                }
+            });
+
+            await this.analyzer.processQueuedCards();
+
+            console.log('[Firefish-BTC] Initialization complete');
+
+        } catch (error) {
+            console.error('[Firefish-BTC] Error during initialization:', error);
+        } finally {
+            this.initializing = false;
+        }
+    },
+
+    // Drop all results and analyze every card again, e.g. after the selector profile changed
+    reprocess() {
+        console.log('[Firefish-BTC] Manual reprocess triggered');
+        this.clearResults();
+        this.initialize();
+    },
+
+    // Remove the panels from the loan cards so they can be analyzed again
+    clearResults() {
+        analysisStore.clear();
+        analysisProgress.clear();
+        document.querySelectorAll('[data-firefish-btc-processed]').forEach(card => {
+            card.removeAttribute('data-firefish-btc-processed');
+            cardRenderer.clear(card, '.firefish-btc-loading, .firefish-btc-results, .firefish-btc-error');
+        });
+    },
+
+    // Settings changed in storage (options page, dashboard, another tab): apply the changed keys
+    // without a page reload
+    applySettings(changed) {
+        const has = (...keys) => keys.some(key => changed.includes(key));
+        utils.log(`Settings changed: ${changed.join(', ')}`);
+
+        if (has('enabled', 'features')) uiEnhancer.refresh();
+        if (!userSettings.isEnabled('btcAnalysis')) {
+            this.stop();
+            this.clearResults();
+            return;
+        }
+
+        if (has('priceProvider', 'customPriceEndpoint')) {
+            priceCache.current = { data: null, timestamp: null, currencies: new Set(), requested: new Set() };
+        }
+        if (has('selectorProfile')) {
+            selectorProfiles.reset();
+            firefishDetector.updateLoanCards();
+        }
+
+        if (!this.running) {
+            this.start();
+        } else if (has(...RESULT_SETTINGS)) {
+            this.reprocess();
+        } else if (has('reportingCurrency')) {
+            // A currency not fetched yet (any ISO code can be chosen) needs its BTC rate before
+            // the totals can be converted into it
+            btcApiClient.getCurrentPriceForAllCurrencies().then(() => {
+                portfolioDashboard.update();
+                investorDashboard.update();
+            });
+        }
+    },
+
+    // Loan cards added to the page: start the analysis if it isn't running, otherwise queue them
+    handleAddedCards(cards) {
+        if (cards.length === 0 || !utils.isFirefishLoansTabPage()) return;
+
+        this.updateLoanCards();
+
+        if (!this.running) {
+            console.log('[Firefish-BTC] Loan cards rendered, starting analysis...');
+            this.start();
+            return;
+        }
+        if (!this.analyzer) return;
+
+        const newCards = cards.filter(card =>
+            !card.dataset.firefishBtcProcessed && !this.analyzer.processingQueue.has(card)
+        );
+        if (newCards.length === 0) return;
+
+        newCards.forEach(card => {
+            this.analyzer.processingQueue.add(card);
+            analysisProgress.set(card, 'queued');
+            cardRenderer.showLoadingState(card);
+        });
+
+        // Batch cards rendered together into one pass
+        setTimeout(() => this.analyzer.processQueuedCards(), 100);
+    },
+
+    // Keep the detector's card list (reported to the popup) current
+    updateLoanCards: utils.debounce(() => {
+        utils.log('DOM changes detected, updating loan card detection', 'info');
+        firefishDetector.updateLoanCards();
+    }, 500),
+
+    startObserver() {
+        if (this.observer) {
+            this.observer.disconnect();
+        }
+
+        this.observer = new MutationObserver((mutations) => {
+            const cards = [];
+            mutations.forEach((mutation) => {
+                if (mutation.type !== 'childList') return;
+                mutation.addedNodes.forEach((node) => {
+                    if (node.nodeType === Node.ELEMENT_NODE) {
+                        // Loan cards in the added subtree, including the node itself
+                        cards.push(...selectorProfiles.findLoanCards(node));
+                    }
+                });
+            });
+            this.handleAddedCards(cards);
+        });
+
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true
+        });
+
+        utils.log('MutationObserver initialized for Firefish loan cards');
+    },
+
+    startHealthCheck() {
+        if (this.healthCheckInterval) {
+            clearInterval(this.healthCheckInterval);
+        }
+
+        this.healthCheckInterval = setInterval(() => {
+            try {
+                this.lastHealthCheck = Date.now();
+
+                // Only run health checks on the correct page
+                if (!utils.isFirefishLoansTabPage()) {
+                    return;
+                }
+
+                if (!this.analyzer || !this.observer) {
+                    console.log('[Firefish-BTC] Health check: Critical objects missing, reinitializing...');
+                    if (!this.observer) this.startObserver();
+                    this.initialize();
+                } else {
+                    console.log('[Firefish-BTC] Health check: System healthy');
+                }
+
+            } catch (error) {
+                console.error('[Firefish-BTC] Health check error:', error);
+                // Force reinitialization on health check errors
+                this.initialize();
+            }
+        }, 2000); // Check every 2 seconds
+
+        console.log('[Firefish-BTC] Health check started (2s interval)');
+    },
+
+    // Re-check after switching back to the tab
+    setupFocusListener() {
+        if (this.focusListenerSetup) return;
+        this.focusListenerSetup = true;
+
+        window.addEventListener('focus', () => {
+            console.log('[Firefish-BTC] Tab focused, checking system health...');
+            setTimeout(() => {
+                // Only reinitialize if we're on the correct page
+                if (!utils.isFirefishLoansTabPage()) {
+                    console.log('[Firefish-BTC] Tab focused but not on correct page, skipping reinitialization');
+                    return;
+                }
+
+                if (!this.analyzer) {
+                    console.log('[Firefish-BTC] Analyzer missing on focus, reinitializing...');
+                    this.initialize();
+                }
+            }, 1000); // Small delay to let page settle
+        });
+
+        console.log('[Firefish-BTC] Focus listener setup complete');
+    },
+
+    // Navigation detection for SPA routing
+    setupNavigationListener() {
+        if (this.navigationListenerSetup) {
+            console.log('[Firefish-BTC] Navigation listener already setup, skipping...');
+            return;
+        }
+
+        this.navigationListenerSetup = true;
+        let currentPath = window.location.pathname;
+
+        const checkNavigation = () => {
+            const newPath = window.location.pathname;
+            if (newPath === currentPath) return;
+
+            console.log(`[Firefish-BTC] Navigation detected: ${currentPath} → ${newPath}`);
+            currentPath = newPath;
+
+            // Switching between the active and closed tabs starts over with the other tab's loans
+            if (this.running && utils.isFirefishLoansTabPage()) {
+                this.stop();
+            }
+
+            if (utils.isFirefishLoansTabPage()) {
+                console.log('[Firefish-BTC] Navigated to loans tab page, starting analysis...');
+                this.start();
+            } else {
+                console.log('[Firefish-BTC] Navigated away from loans tab page, stopping analysis...');
+                this.stop();
+            }
+        };
+
+        // History API changes
+        const originalPushState = history.pushState;
+        const originalReplaceState = history.replaceState;
+
+        history.pushState = function(...args) {
+            originalPushState.apply(this, args);
+            setTimeout(checkNavigation, 100); // Small delay to ensure DOM updates
+        };
+
+        history.replaceState = function(...args) {
+            originalReplaceState.apply(this, args);
+            setTimeout(checkNavigation, 100);
+        };
+
+        // Back/forward navigation
+        window.addEventListener('popstate', () => {
+            setTimeout(checkNavigation, 100);
+        });
+
+        // Periodic path checking for SPA routers that don't go through our History API wrapper
+        setInterval(checkNavigation, 1000);
+
+        // Loan cards rendered after navigation
+        this.startObserver();
+
+        console.log('[Firefish-BTC] Navigation listener setup complete');
+    }
+};
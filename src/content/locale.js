@@ -0,0 +1,8 @@
+// Insight+ for Firefish - Page locale, used to read amounts and dates the way the page writes them
+
+// Locale the page renders in: <html lang>, else the browser language
+export function detectPageLocale() {
+    const lang = typeof document !== 'undefined' ? document.documentElement.lang : '';
+    if (lang) return lang;
+    return typeof navigator !== 'undefined' && navigator.language ? navigator.language : 'en';
+}
@@ -0,0 +1,177 @@
+// Insight+ for Firefish - Message handling for the popup and background worker
+
+import { selectorProfiles } from './selectorProfiles.js';
+import { firefishDetector } from './detector.js';
+import { analysisStore } from './analysisStore.js';
+import { btcApiClient, cache, cryptoService } from './priceClient.js';
+import { performanceEngine } from './performance.js';
+import { portfolioDashboard } from './dashboard.js';
+import { exporter } from './exporter.js';
+import { portfolioSummary } from './portfolioSummary.js';
+import { lifecycle } from './lifecycle.js';
+
+export function registerMessageHandlers() {
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+        switch(request.action) {
+            case 'getStatus':
+                sendResponse(firefishDetector.getStatus());
+                break;
+
+            case 'getLoanData':
+                const loanData = firefishDetector.getAllLoanData();
+                sendResponse({
+                    success: true,
+                    data: loanData,
+                    totalCards: firefishDetector.loanCards.length,
+                    validCards: loanData.length
+                });
+                break;
+
+            case 'getPortfolioSummary':
+                sendResponse({ success: true, data: portfolioSummary.build() });
+                break;
+
+            case 'scrollToLoan':
+                sendResponse({ success: portfolioSummary.scrollToLoan(request.loanId) });
+                break;
+
+            case 'getAnalysisResults':
+                sendResponse({
+                    success: true,
+                    data: analysisStore.getAll(),
+                    totals: portfolioDashboard.aggregatePortfolioData()
+                });
+                break;
+
+            case 'exportAnalysis':
+                // The popup downloads the file itself; XLSX bytes come back base64-encoded
+                try {
+                    sendResponse(Object.assign({ success: true }, exporter.buildForMessage(request.format)));
+                } catch (error) {
+                    sendResponse({ success: false, error: error.message });
+                }
+                break;
+
+            case 'debugLoanCard':
+                const cardIndex = request.cardIndex || 0;
+                const debugInfo = firefishDetector.debugLoanCard(cardIndex);
+                sendResponse({
+                    success: true,
+                    debugInfo: debugInfo
+                });
+                break;
+
+            case 'getBTCAnalysis':
+                (async () => {
+                    try {
+                        const loanData = firefishDetector.getAllLoanData();
+                        if (loanData.length === 0) {
+                            sendResponse({
+                                success: false,
+                                error: 'No valid loan data found'
+                            });
+                            return;
+                        }
+
+                        const analysis = await cryptoService.getBTCAnalysis(loanData);
+                        sendResponse({
+                            success: true,
+                            analysis: analysis
+                        });
+                    } catch (error) {
+                        sendResponse({
+                            success: false,
+                            error: error.message
+                        });
+                    }
+                })();
+                return true; // Keep message channel open for async response
+
+            case 'getBTCPriceHistory':
+                (async () => {
+                    try {
+                        const currency = request.currency || 'usd';
+                        const days = request.days || 30;
+                        const history = await cryptoService.getBTCPriceHistory(currency, days);
+                        sendResponse({
+                            success: true,
+                            history: history
+                        });
+                    } catch (error) {
+                        sendResponse({
+                            success: false,
+                            error: error.message
+                        });
+                    }
+                })();
+                return true; // Keep message channel open for async response
+            case 'getPerformanceAnalysis':
+                (async () => {
+                    try {
+                        const cardIndex = request.cardIndex || 0;
+                        const loanData = firefishDetector.getAllLoanData();
+
+                        if (cardIndex >= loanData.length) {
+                            sendResponse({
+                                success: false,
+                                error: `Card index ${cardIndex} out of range. Total cards: ${loanData.length}`
+                            });
+                            return;
+                        }
+
+                        const loan = loanData[cardIndex];
+                        const currentPrices = await btcApiClient.getCurrentPriceForAllCurrencies([loan.currency]);
+                        const historicalPrice = await btcApiClient.getHistoricalPrice(loan.provisionDate, loan.currency);
+
+                        if (!currentPrices || !historicalPrice) {
+                            sendResponse({
+                                success: false,
+                                error: 'Failed to fetch BTC prices for analysis'
+                            });
+                            return;
+                        }
+
+                        const currentPrice = currentPrices[(loan.currency || '').toLowerCase()];
+                        if (!currentPrice) {
+                            sendResponse({ success: false, error: btcApiClient.unsupportedCurrencyMessage(loan.currency) });
+                            return;
+                        }
+                        const performance = performanceEngine.calculateFirefishBTCPerformance(loan, currentPrice, historicalPrice);
+
+                        sendResponse({
+                            success: true,
+                            performance: performance,
+                            loanData: loan,
+                            prices: {
+                                current: currentPrice,
+                                historical: historicalPrice
+                            }
+                        });
+                    } catch (error) {
+                        sendResponse({
+                            success: false,
+                            error: error.message
+                        });
+                    }
+                })();
+                return true; // Keep message channel open for async response
+
+            case 'getCryptoPrice':
+                cryptoService.getPrice(request.symbol).then(price => {
+                    sendResponse({ price: price });
+                });
+                return true; // Keep message channel open for async response
+
+            case 'getTopCoins':
+                cryptoService.getTopCoins(request.limit).then(coins => {
+                    sendResponse({ coins: coins });
+                });
+                return true;
+
+            case 'clearCache':
+                cache.clear();
+                sendResponse({ success: true });
+                break;
+        }
+    });
+}
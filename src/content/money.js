@@ -0,0 +1,124 @@
+// Insight+ for Firefish - Money parsing
+// Reads amounts like "EUR 10,000", "CHF 5,000.50", "5.000,50 €", "10 000 EUR" or "CHF 5’000.50" into
+// { currency, amount }. A lone separator followed by three digits ("5,000", "5.000") could be either
+// a thousands or a decimal separator; the currency's minor units decide first, then the page locale.
+
+import { detectPageLocale } from './locale.js';
+
+const CURRENCY_SYMBOLS = { '€': 'EUR', '$': 'USD', '£': 'GBP', '₿': 'BTC' };
+
+// Codes without ISO 4217 minor units; Intl would wrongly report two decimals for them
+const CRYPTO_CODES = ['BTC', 'XBT'];
+
+// Keep the most recent warnings for the debug API
+const MAX_WARNINGS = 20;
+
+const separatorCache = new Map();
+
+export const money = {
+    warnings: [],
+
+    // Group and decimal separators of a locale, e.g. { group: ',', decimal: '.' } for "en"
+    separators(locale) {
+        if (!separatorCache.has(locale)) {
+            let parts;
+            try {
+                parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+            } catch (e) {
+                parts = new Intl.NumberFormat('en').formatToParts(1234567.5);
+            }
+            const find = (type) => (parts.find(part => part.type === type) || {}).value;
+            separatorCache.set(locale, { group: find('group'), decimal: find('decimal') });
+        }
+        return separatorCache.get(locale);
+    },
+
+    // Decimal places of a fiat currency (2 for EUR, 0 for JPY), null when unknown
+    minorUnits(currency) {
+        if (!currency || CRYPTO_CODES.includes(currency)) return null;
+        try {
+            return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Parse "EUR 10,000" into { currency: 'EUR', amount: 10000 }; null when the text has no number.
+    // currency is null when the text names none. Options: locale (defaults to the page locale).
+    parse(text, options = {}) {
+        // Non-breaking and narrow spaces are plain spaces here; they separate thousands in fr/de-CH
+        const normalized = String(text ?? '').replace(/[\u00a0\u2007\u2009\u202f]/g, ' ').trim();
+        const numberMatch = normalized.match(/\d(?:[\d.,'\u2019 ]*\d)?/);
+        if (!numberMatch) return null;
+
+        const before = normalized.slice(0, numberMatch.index);
+        const after = normalized.slice(numberMatch.index + numberMatch[0].length);
+        const codeMatch = before.match(/\b([A-Z]{3})\s*$/) || after.match(/^\s*([A-Z]{3})\b/);
+        const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => before.includes(s) || after.trimStart().startsWith(s));
+        const currency = codeMatch ? codeMatch[1] : (symbol ? CURRENCY_SYMBOLS[symbol] : null);
+        const negative = /[-\u2212]/.test(before);
+
+        // Spaces and apostrophes only ever group thousands
+        const digits = numberMatch[0].replace(/[ '\u2019]/g, '');
+        const amount = this.resolveSeparators(digits, { text: normalized, currency, locale: options.locale });
+        if (!isFinite(amount)) return null;
+
+        return { currency, amount: negative ? -amount : amount };
+    },
+
+    // Number from digits with "," and "." in them, deciding which one is the decimal separator
+    resolveSeparators(digits, context) {
+        const commas = (digits.match(/,/g) || []).length;
+        const dots = (digits.match(/\./g) || []).length;
+        const asDecimal = (decimalSep) => {
+            const thousandsSep = decimalSep === ',' ? '.' : ',';
+            return parseFloat(digits.split(thousandsSep).join('').replace(decimalSep, '.'));
+        };
+        const asGrouping = () => parseFloat(digits.replace(/[.,]/g, ''));
+
+        // Both present: the rightmost one is the decimal separator ("5.000,50", "5,000.50")
+        if (commas > 0 && dots > 0) {
+            return asDecimal(digits.lastIndexOf(',') > digits.lastIndexOf('.') ? ',' : '.');
+        }
+        if (commas === 0 && dots === 0) return parseFloat(digits);
+
+        const sep = commas > 0 ? ',' : '.';
+        // Repeated separator only groups thousands ("1,234,567")
+        if (commas + dots > 1) return asGrouping();
+        // Groups never follow a leading zero ("0.123 BTC")
+        if (/^0[.,]/.test(digits)) return asDecimal(sep);
+        // Anything but three trailing digits can't be grouping ("12,5", "0.25891")
+        const trailing = digits.length - digits.lastIndexOf(sep) - 1;
+        if (trailing !== 3) return asDecimal(sep);
+
+        // "5,000" / "5.000": more decimals than the currency has means grouping
+        const minorUnits = this.minorUnits(context.currency);
+        if (minorUnits !== null && minorUnits < 3) return asGrouping();
+
+        const locale = context.locale || detectPageLocale();
+        const { group, decimal } = this.separators(locale);
+        if (sep === group) return asGrouping();
+        if (sep === decimal) return asDecimal(sep);
+
+        // The locale uses neither (e.g. spaces in fr); keep the thousands reading and report it
+        const grouping = asGrouping();
+        this.warn({
+            reason: 'ambiguous-separator',
+            text: context.text,
+            separator: sep,
+            locale,
+            currency: context.currency,
+            candidates: { grouping, decimal: asDecimal(sep) },
+            chosen: grouping
+        });
+        return grouping;
+    },
+
+    // Structured extraction warning, logged and kept for firefishBTC.getExtractionWarnings()
+    warn(details) {
+        const warning = Object.assign({ type: 'amount-extraction', time: new Date().toISOString() }, details);
+        this.warnings.push(warning);
+        if (this.warnings.length > MAX_WARNINGS) this.warnings.shift();
+        console.warn('[Firefish-BTC] Amount extraction warning:', warning);
+    }
+};
@@ -0,0 +1,70 @@
+// Insight+ for Firefish - Loans watched by the background LTV monitor
+// Kept in chrome.storage.local under "monitoredLoans": what the service worker needs to recompute
+// each active loan's LTV from the current BTC price while no Firefish tab is open.
+
+import { utils } from './utils.js';
+
+export const monitorStore = {
+    // Store (or refresh) an analyzed active loan
+    async record(loanData, performance) {
+        const ltv = performance.raw.ltv;
+        if (!ltv) return;
+
+        const entry = {
+            loanId: loanData.loanId,
+            currency: loanData.currency,
+            loanAmount: loanData.loanAmount,
+            debt: ltv.debt,
+            collateralBTC: loanData.collateralBTC,
+            provisionDate: loanData.provisionDate,
+            maturityDate: loanData.maturityDate || null,
+            seenAt: Date.now()
+        };
+        await this.update(loans => Object.assign(loans, { [entry.loanId]: entry }));
+    },
+
+    // Stop watching a loan, e.g. once it shows up as closed
+    async remove(loanId) {
+        await this.update(loans => {
+            delete loans[loanId];
+            return loans;
+        });
+    },
+
+    // Stop watching every loan not in loanIds, the loans on the active tab: repaid loans leave it
+    // without necessarily being seen as closed
+    async retain(loanIds) {
+        await this.update(loans => {
+            Object.keys(loans).filter(loanId => !loanIds.includes(loanId)).forEach(loanId => delete loans[loanId]);
+            return loans;
+        });
+    },
+
+    async getAll() {
+        try {
+            const { monitoredLoans } = await chrome.storage.local.get('monitoredLoans');
+            return Object.values(monitoredLoans || {});
+        } catch (error) {
+            utils.log(`Failed to load monitored loans: ${error.message}`, 'warn');
+            return [];
+        }
+    },
+
+    async clear() {
+        try {
+            await chrome.storage.local.remove('monitoredLoans');
+        } catch (error) {
+            utils.log(`Failed to clear monitored loans: ${error.message}`, 'warn');
+        }
+    },
+
+    // Read-modify-write, so loans stored by other tabs are kept
+    async update(change) {
+        try {
+            const { monitoredLoans } = await chrome.storage.local.get('monitoredLoans');
+            await chrome.storage.local.set({ monitoredLoans: change(Object.assign({}, monitoredLoans || {})) });
+        } catch (error) {
+            utils.log(`Failed to save monitored loans: ${error.message}`, 'warn');
+        }
+    }
+};
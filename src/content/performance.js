@@ -0,0 +1,263 @@
+// Insight+ for Firefish - Performance engine
+// Pure calculations on loan data and BTC prices; no DOM, network or extension APIs.
+
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+
+// Format currency values using Intl.NumberFormat
+function formatMoney(value, currency) {
+    return new Intl.NumberFormat('en-DE', {
+        style: 'currency',
+        currency: currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    }).format(value);
+}
+
+// Format percentage values with + sign for positive
+function formatPercentage(value) {
+    const sign = value >= 0 ? '+' : '';
+    return `${sign}${value.toFixed(1)}%`;
+}
+
+export const performanceEngine = {
+    calculateRiskLevel(loanAmount, btcValueNow, priceChange) {
+        const ltv = loanAmount / btcValueNow;
+
+        if (ltv > 0.8) return 'HIGH';
+        if (ltv > 0.6) return 'MEDIUM';
+        if (priceChange < -20) return 'ELEVATED';
+        return 'LOW';
+    },
+
+    // Convert a fiat amount between currencies using BTC cross-rates, e.g. the cached current
+    // prices (BTC/EUR and BTC/CHF give EUR→CHF as price_chf / price_eur)
+    convertCurrency(amount, fromCurrency, toCurrency, rates) {
+        const from = (fromCurrency || '').toLowerCase();
+        const to = (toCurrency || '').toLowerCase();
+        if (from === to) return amount;
+
+        if (!rates || !rates[from] || !rates[to]) return null;
+
+        return amount * (rates[to] / rates[from]);
+    },
+
+    // Interest accrues daily on the annual rate over the loan term; accrued is the part up to
+    // asOfDate (capped at the term)
+    calculateInterest(loanData, asOfDate) {
+        const termKnown = Number.isFinite(loanData.termDays) && loanData.termDays > 0;
+        const termDays = termKnown ? loanData.termDays : CONFIG.interest.defaultTermDays;
+        const provision = utils.parseFirefishDate(loanData.provisionDate);
+        const elapsedDays = provision ?
+            Math.min(Math.max(utils.daysBetween(provision, asOfDate), 0), termDays) : termDays;
+
+        const dailyInterest = loanData.loanAmount * (loanData.interestRate / 100) / CONFIG.interest.dayCountBasis;
+        return {
+            termKnown,
+            termDays,
+            elapsedDays,
+            dailyInterest,
+            fullTermInterest: dailyInterest * termDays,
+            accruedInterest: dailyInterest * elapsedDays
+        };
+    },
+
+    // BTC prices at which an active loan reaches the margin-call and liquidation LTVs, and how far
+    // the current price may drop until then. LTV is the amount to repay (principal plus the
+    // full-term interest) over the collateral's value; null without collateral or price.
+    calculateLiquidationLevels(loanData, currentPrice, thresholds = CONFIG.ltv, asOfDate = new Date()) {
+        const { loanAmount, collateralBTC } = loanData;
+        if (!(collateralBTC > 0) || !(currentPrice > 0)) return null;
+
+        const debt = loanAmount + this.calculateInterest(loanData, asOfDate).fullTermInterest;
+        const priceAt = (ltvPercent) => debt / (collateralBTC * ltvPercent / 100);
+        const dropTo = (price) => (price / currentPrice - 1) * 100;
+
+        const marginCallPrice = priceAt(thresholds.marginCall);
+        const liquidationPrice = priceAt(thresholds.liquidation);
+        return {
+            debt,
+            currentLTV: debt / (collateralBTC * currentPrice) * 100,
+            marginCallLTV: thresholds.marginCall,
+            liquidationLTV: thresholds.liquidation,
+            marginCallPrice,
+            liquidationPrice,
+            marginCallDrop: dropTo(marginCallPrice),
+            liquidationDrop: dropTo(liquidationPrice)
+        };
+    },
+
+    // EXACT Firefish BTC performance calculation using precise formulas.
+    // For a closed loan, currentPrice is the BTC price on its end date and asOfDate that date,
+    // which makes the result final (realized) rather than theoretical.
+    // ltvThresholds set the margin-call and liquidation levels shown for active loans.
+    calculateFirefishBTCPerformance(loanData, currentPrice, historicalPrice, asOfDate = new Date(), ltvThresholds = CONFIG.ltv) {
+        try {
+            const { currency, loanAmount, interestRate, provisionDate, collateralBTC, maturityDate } = loanData;
+
+            // NEW FORMULA: BTC value change if loan amount was used to buy BTC at provision date
+            // Investment performance comparison: buying BTC vs taking loan
+            const btcValueChange = loanAmount * (currentPrice / historicalPrice - 1);
+            const btcPercentageChange = ((currentPrice - historicalPrice) / historicalPrice) * 100;
+
+            const { termKnown, termDays, elapsedDays, dailyInterest, fullTermInterest, accruedInterest } =
+                this.calculateInterest(loanData, asOfDate);
+
+            // The cost of borrowing so far is the interest accrued to date
+            const loanInterestCost = accruedInterest;
+
+            // Performance comparison: Is BTC investment gain > loan interest cost?
+            const isOutperforming = btcValueChange > loanInterestCost;
+
+            // Calculate theoretical gain/loss: BTC Value Change - Loan Interest Cost
+            const theoreticalResult = btcValueChange - loanInterestCost;
+            const realized = loanData.status === 'closed';
+            const theoreticalLabel = `${realized ? 'Realized' : 'Theoretical'} ${theoreticalResult > 0 ? 'Gain' : 'Loss'}`;
+            const theoreticalValue = Math.abs(theoreticalResult);
+
+            const formatCurrency = (value) => formatMoney(value, currency);
+
+            // Margin-call and liquidation prices only matter while the loan is open
+            const ltv = realized ? null : this.calculateLiquidationLevels(loanData, currentPrice, ltvThresholds, asOfDate);
+
+            const performance = {
+                // Main comparison values
+                btcValueChange: formatCurrency(btcValueChange),
+                btcPercentageChange: formatPercentage(btcPercentageChange),
+                loanInterestCost: formatCurrency(loanInterestCost),
+                loanInterestRate: formatPercentage(interestRate),
+
+                // Interest breakdown over the loan term
+                accruedInterest: formatCurrency(accruedInterest),
+                fullTermInterest: formatCurrency(fullTermInterest),
+                dailyInterest: formatCurrency(dailyInterest),
+                elapsedDays,
+                termDays,
+                termKnown,
+
+                // Theoretical gain/loss
+                theoreticalResult: formatCurrency(theoreticalValue),
+                theoreticalLabel,
+
+                // Price data for display
+                initialBTCPrice: formatCurrency(historicalPrice),
+                currentBTCPrice: formatCurrency(currentPrice),
+
+                // Margin call and liquidation
+                ltv: ltv && {
+                    currentLTV: `${ltv.currentLTV.toFixed(1)}%`,
+                    marginCallLTV: ltv.marginCallLTV,
+                    liquidationLTV: ltv.liquidationLTV,
+                    marginCallPrice: formatCurrency(ltv.marginCallPrice),
+                    liquidationPrice: formatCurrency(ltv.liquidationPrice),
+                    marginCallDrop: formatPercentage(ltv.marginCallDrop),
+                    liquidationDrop: formatPercentage(ltv.liquidationDrop)
+                },
+
+                // Performance status
+                isOutperforming,
+                realized,
+
+                // Display data
+                provisionDate,
+                maturityDate: maturityDate || null,
+                endDate: loanData.endDate || null,
+                currency,
+                collateralBTC,
+
+                // Raw values for further calculations
+                raw: {
+                    btcValueChange,
+                    btcPercentageChange,
+                    loanInterestCost,
+                    accruedInterest,
+                    fullTermInterest,
+                    dailyInterest,
+                    historicalPrice,
+                    currentPrice,
+                    theoreticalResult,
+                    ltv
+                }
+            };
+
+            utils.log(`Performance: ${performance.isOutperforming ? 'OUT' : 'UNDER'}PERFORMING - BTC Investment: ${performance.btcValueChange} vs Interest: ${performance.loanInterestCost}`);
+
+            return performance;
+
+        } catch (error) {
+            utils.log(`Error calculating performance: ${error.message}`, 'error');
+            return null;
+        }
+    },
+
+    // Lender view of an investment: the fiat yield earned, compared with holding the same amount as
+    // fiat (which earns nothing) or as BTC bought on the provision date. currentPrice/asOfDate work
+    // as for borrowers: a closed investment is measured up to its end date.
+    calculateLenderPerformance(loanData, currentPrice, historicalPrice, asOfDate = new Date()) {
+        try {
+            const { currency, loanAmount, interestRate, provisionDate, maturityDate } = loanData;
+            const { termKnown, termDays, elapsedDays, dailyInterest, fullTermInterest, accruedInterest } =
+                this.calculateInterest(loanData, asOfDate);
+
+            // Interest earned so far is the gain over holding fiat
+            const interestEarned = accruedInterest;
+            const yieldPercentage = interestEarned / loanAmount * 100;
+
+            // Holding BTC instead: the invested amount bought at the provision date price
+            const btcHoldValueChange = loanAmount * (currentPrice / historicalPrice - 1);
+            const btcPercentageChange = ((currentPrice - historicalPrice) / historicalPrice) * 100;
+
+            // Positive when lending earned more than holding BTC would have
+            const lendingVsBTC = interestEarned - btcHoldValueChange;
+            const isOutperforming = lendingVsBTC > 0;
+            const realized = loanData.status === 'closed';
+
+            const performance = {
+                role: 'lender',
+                interestEarned: formatMoney(interestEarned, currency),
+                yieldPercentage: formatPercentage(yieldPercentage),
+                annualRate: formatPercentage(interestRate),
+                fullTermInterest: formatMoney(fullTermInterest, currency),
+                dailyInterest: formatMoney(dailyInterest, currency),
+                btcHoldValueChange: formatMoney(btcHoldValueChange, currency),
+                btcPercentageChange: formatPercentage(btcPercentageChange),
+                lendingVsBTC: formatMoney(Math.abs(lendingVsBTC), currency),
+                lendingVsBTCLabel: isOutperforming ? 'Lending Beat Holding BTC by' : 'Holding BTC Beat Lending by',
+                elapsedDays,
+                termDays,
+                termKnown,
+
+                initialBTCPrice: formatMoney(historicalPrice, currency),
+                currentBTCPrice: formatMoney(currentPrice, currency),
+
+                isOutperforming,
+                realized,
+
+                provisionDate,
+                maturityDate: maturityDate || null,
+                endDate: loanData.endDate || null,
+                currency,
+
+                raw: {
+                    interestEarned,
+                    yieldPercentage,
+                    fullTermInterest,
+                    dailyInterest,
+                    btcHoldValueChange,
+                    btcPercentageChange,
+                    lendingVsBTC,
+                    historicalPrice,
+                    currentPrice
+                }
+            };
+
+            utils.log(`Lender performance: lending ${isOutperforming ? 'beat' : 'trailed'} holding BTC - interest earned ${performance.interestEarned} vs BTC ${performance.btcHoldValueChange}`);
+
+            return performance;
+
+        } catch (error) {
+            utils.log(`Error calculating lender performance: ${error.message}`, 'error');
+            return null;
+        }
+    }
+};
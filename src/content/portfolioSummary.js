@@ -0,0 +1,99 @@
+// Insight+ for Firefish - Portfolio summary for the popup
+// Totals and a per-loan list of the loans analyzed on the page. The latest summary is also kept
+// in chrome.storage.local under "portfolioSummary", so the popup can show it with no Firefish
+// tab open.
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+import { analysisStore } from './analysisStore.js';
+import { priceCache } from './priceClient.js';
+import { performanceEngine } from './performance.js';
+import { exporter } from './exporter.js';
+
+export const portfolioSummary = {
+    build() {
+        const reportingCurrency = (userSettings.values.reportingCurrency || 'EUR').toUpperCase();
+        const rates = priceCache.current.data;
+        const convert = (value, currency) => performanceEngine.convertCurrency(value, currency, reportingCurrency, rates);
+
+        // Same rows as the export, plus whether each loan beats holding BTC
+        const rows = exporter.getRows();
+        const loans = rows.map(row => Object.assign(row, {
+            isOutperforming: analysisStore.get(row.loanId).isOutperforming
+        }));
+        const errors = analysisStore.getAll()
+            .filter(entry => entry.status === 'error')
+            .map(entry => ({
+                loanId: entry.loanId,
+                status: 'error',
+                currency: entry.loanData?.currency || null,
+                loanAmount: entry.loanData?.loanAmount ?? null,
+                error: entry.error
+            }));
+
+        // Totals cover the active borrower loans only: lent amounts and closed loans would mix
+        // borrowing and lending rates, and unrealized with realized results
+        const active = loans.filter(loan => loan.role !== 'lender' && loan.status !== 'closed');
+
+        const totals = {
+            reportingCurrency,
+            analyzedCount: loans.length,
+            activeCount: active.length,
+            failedCount: errors.length,
+            outperformingCount: active.filter(loan => loan.isOutperforming).length,
+            totalTheoretical: 0,
+            weightedAverageRate: null,
+            totalCollateralBTC: 0,
+            currentPrice: rates?.[reportingCurrency.toLowerCase()] ?? null,
+            unconvertedCount: 0
+        };
+
+        // Amounts in other currencies count at current BTC cross-rates; the rate is weighted by amount
+        let rateWeight = 0;
+        let weightedRate = 0;
+        active.forEach(loan => {
+            const result = convert(loan.theoreticalResult, loan.currency);
+            const amount = convert(loan.loanAmount, loan.currency);
+            if (result === null || amount === null) {
+                totals.unconvertedCount++;
+            } else {
+                totals.totalTheoretical += result;
+                weightedRate += loan.interestRate * amount;
+                rateWeight += amount;
+            }
+            if (Number.isFinite(loan.collateralBTC)) totals.totalCollateralBTC += loan.collateralBTC;
+        });
+        if (rateWeight > 0) totals.weightedAverageRate = weightedRate / rateWeight;
+
+        return {
+            pageUrl: window.location.href,
+            updatedAt: Date.now(),
+            totals,
+            loans: loans.concat(errors)
+        };
+    },
+
+    // Keep the stored summary current as results come in. Only summaries with active borrower
+    // loans are stored, so the closed-loans and investments tabs leave the last one in place.
+    save: utils.debounce(async () => {
+        const summary = portfolioSummary.build();
+        if (summary.totals.activeCount === 0) return;
+        try {
+            await chrome.storage.local.set({ portfolioSummary: summary });
+        } catch (error) {
+            utils.log(`Failed to save the portfolio summary: ${error.message}`, 'warn');
+        }
+    }, 1000),
+
+    // Bring a loan card into view for the popup's loan list
+    scrollToLoan(loanId) {
+        const card = Array.from(document.querySelectorAll('[data-firefish-btc-loan-id]'))
+            .find(element => element.dataset.firefishBtcLoanId === loanId);
+        if (!card) return false;
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('firefish-btc-highlight');
+        setTimeout(() => card.classList.remove('firefish-btc-highlight'), 2000);
+        return true;
+    }
+};
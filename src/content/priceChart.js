@@ -0,0 +1,105 @@
+// Insight+ for Firefish - BTC price chart on the result panels
+// An expandable chart of the BTC price in the loan's currency from the provision date to today
+// (or to repayment), with the provision price, the current price and the break-even price
+// marked. Prices are only fetched when the chart is opened.
+
+import { utils } from './utils.js';
+import { charts } from './charts.js';
+import { cryptoService } from './priceClient.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Enough points for a 300px wide chart
+const MAX_POINTS = 150;
+
+export const priceChart = {
+    // BTC price at which BTC bought with the loan amount on the provision date gains as much as
+    // the interest (accrued for a loan, earned for an investment)
+    breakEvenPrice(loanData, performance) {
+        const { historicalPrice } = performance.raw;
+        const interest = performance.raw.accruedInterest ?? performance.raw.interestEarned;
+        if (!(loanData.loanAmount > 0) || !(historicalPrice > 0)) return null;
+        return historicalPrice * (1 + interest / loanData.loanAmount);
+    },
+
+    // Every nth point, always keeping the last one
+    downsample(points, maxPoints = MAX_POINTS) {
+        if (points.length <= maxPoints) return points;
+        const step = Math.ceil(points.length / maxPoints);
+        const sampled = points.filter((point, index) => index % step === 0);
+        if (sampled[sampled.length - 1] !== points[points.length - 1]) sampled.push(points[points.length - 1]);
+        return sampled;
+    },
+
+    // SVG chart and legend for prices [{ date, price }]
+    render(loanData, performance, prices) {
+        const { currency } = performance;
+        const format = (value) => utils.formatCurrency(Math.round(value), currency).replace(/\.00$/, '');
+        const breakEven = this.breakEvenPrice(loanData, performance);
+        const currentLabel = performance.realized ? 'At repayment' : 'Now';
+
+        const markers = [
+            { value: performance.raw.historicalPrice, label: 'Provision', className: 'firefish-chart-marker-provision' },
+            { value: performance.raw.currentPrice, label: currentLabel, className: 'firefish-chart-marker-current' }
+        ];
+        if (breakEven !== null) markers.push({ value: breakEven, label: 'Break-even', className: 'firefish-chart-marker-breakeven' });
+
+        const chart = charts.lineChart(this.downsample(prices.map(({ date, price }) => [date.getTime(), price])), {
+            width: 300,
+            height: 110,
+            className: 'firefish-chart-price',
+            title: `BTC price in ${currency}`,
+            formatY: format,
+            dots: false,
+            markers
+        });
+
+        return `${chart}
+                    <div class="firefish-chart-legend">
+                        <span class="firefish-chart-marker-provision">Provision ${format(performance.raw.historicalPrice)}</span>
+                        <span class="firefish-chart-marker-current">${currentLabel} ${format(performance.raw.currentPrice)}</span>${breakEven !== null ? `
+                        <span class="firefish-chart-marker-breakeven">Break-even ${format(breakEven)}</span>` : ''}
+                    </div>`;
+    },
+
+    // Add the collapsed chart to the card's result panel
+    attach(loanCard, loanData, performance) {
+        const panel = loanCard.querySelector('.firefish-btc-results');
+        const provision = utils.parseFirefishDate(loanData.provisionDate);
+        if (!panel || !provision) return;
+
+        const end = performance.realized ? utils.parseFirefishDate(loanData.endDate) : null;
+        panel.insertAdjacentHTML('beforeend', `
+                <details class="firefish-btc-price-chart">
+                    <summary>BTC price chart (${loanData.provisionDate} to ${end ? loanData.endDate : 'today'})
+                        <span class="tooltip-icon" title="BTC price in ${performance.currency} since the provision date. Break-even is the price at which BTC bought on the provision date gains as much as the interest ${loanData.role === 'lender' ? 'earned' : 'accrued'}.">ℹ️</span>
+                    </summary>
+                    <div class="firefish-btc-price-chart-body"></div>
+                </details>`);
+
+        const details = panel.lastElementChild;
+        details.addEventListener('toggle', () => {
+            if (details.open && details.dataset.loaded !== 'true') this.load(details, loanData, performance, provision, end || new Date());
+        });
+    },
+
+    async load(details, loanData, performance, from, to) {
+        const body = details.querySelector('.firefish-btc-price-chart-body');
+        if (details.dataset.loading === 'true') return;
+        details.dataset.loading = 'true';
+        body.textContent = 'Loading BTC prices...';
+
+        // A day before the provision date, so the chart starts at or before it
+        const days = Math.max(Math.ceil((to.getTime() - from.getTime()) / DAY_MS) + 1, 2);
+        const prices = await cryptoService.getBTCPriceHistory(performance.currency.toLowerCase(), days, to);
+        details.dataset.loading = 'false';
+
+        // Failures leave the chart to be fetched again when reopened
+        if (prices.length < 2) {
+            body.textContent = 'BTC price history is unavailable right now. Close and reopen to try again.';
+            return;
+        }
+        body.innerHTML = this.render(loanData, performance, prices);
+        details.dataset.loaded = 'true';
+    }
+};
@@ -0,0 +1,500 @@
+// Insight+ for Firefish - Price client
+// Prices are fetched by the background service worker; this is the page-side client with
+// its local memo of the worker's cache and the rate-limit countdown shown on cards.
+
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+import { dates } from './dates.js';
+import { userSettings } from './settings.js';
+import { firefishDetector } from './detector.js';
+import { performanceEngine } from './performance.js';
+import { cardRenderer } from './cardRenderer.js';
+import { analysisProgress } from './progress.js';
+
+// Short-lived cache for market data (coin prices, top coins, price history)
+export const cache = {
+    data: new Map(),
+    set: function(key, value, expiry = CONFIG.cacheExpiry) {
+        this.data.set(key, {
+            value: value,
+            expiry: Date.now() + expiry
+        });
+    },
+    get: function(key) {
+        const item = this.data.get(key);
+        if (item && Date.now() < item.expiry) {
+            return item.value;
+        }
+        this.data.delete(key);
+        return null;
+    },
+    clear: function() {
+        this.data.clear();
+    }
+};
+
+// Page-local memo of the worker's BTC prices
+const BTC_CACHE_CONFIG = {
+    CURRENT_PRICE_DURATION: 15 * 60 * 1000, // 15 minutes
+    HISTORICAL_PRICE_DURATION: Infinity     // Never expires (historical data doesn't change)
+};
+
+export const priceCache = {
+    current: {
+        data: null,
+        timestamp: null,
+        currencies: new Set(), // Currencies the provider returned a price for
+        requested: new Set()   // Currencies asked for, including ones no provider quotes
+    },
+    historical: new Map() // key: "date_currency", value: {price, timestamp}; page-local memo of the worker's shared cache
+};
+
+// Enhanced rate limit state tracking
+export const rateLimitState = {
+    isRateLimited: false,
+    rateLimitedAt: null,
+    retryAt: null,           // When the background scheduler will accept requests again
+    retryTimeout: null,
+    pendingCards: new Set(), // Cards waiting for retry
+    countdownInterval: null,
+    retryQueue: [], // Queue of cards to retry after wait
+    onRateLimitResolved: null // Callback when rate limit is resolved
+};
+
+export class FirefishBTCApiClient {
+    constructor() {
+        this.lastError = null; // Most recent failed price request, for error messages
+    }
+
+    // Prices are fetched by the background service worker, which owns the shared cache,
+    // request scheduler and rate-limit state for every Firefish tab. Its errors say whether
+    // the request was rate limited (with retryAfter in ms) or never reached a provider.
+    async requestFromBackground(message) {
+        const response = await chrome.runtime.sendMessage(message);
+        if (!response || !response.success) {
+            const error = new Error(response?.error || 'No response from background service worker');
+            error.status = response?.rateLimited ? 429 : null;
+            error.retryAfter = response?.retryAfter || null;
+            error.offline = !!response?.offline || navigator.onLine === false;
+            throw error;
+        }
+        this.lastError = null;
+        return response;
+    }
+
+    // Record a failed request; rate limits start the countdown, anything else is a plain failure
+    handleRequestError(error, description, loanCard = null) {
+        this.lastError = error;
+
+        if (error.status === 429) {
+            console.log(`[Firefish-BTC] Rate limited (429) while fetching ${description}`);
+            if (loanCard) {
+                this.addPendingCard(loanCard);
+            }
+            if (!rateLimitState.isRateLimited) {
+                this.startRateLimitCountdown(error.retryAfter);
+            }
+            return;
+        }
+
+        const reason = error.offline ? 'price service unreachable (offline?)' : error.message;
+        utils.log(`Failed to fetch ${description}: ${reason}`, 'error');
+    }
+
+    // Human-readable reason for the last failure, shown on cards
+    describeLastError(fallback) {
+        return this.lastError?.offline ? 'BTC price service unreachable - check your connection' : fallback;
+    }
+
+    // Enhanced rate limit management
+    setRateLimitCallback(callback) {
+        rateLimitState.onRateLimitResolved = callback;
+    }
+
+    // Start rate limit countdown and show visual feedback. `retryAfter` (ms) comes from the
+    // background scheduler: the provider's Retry-After or its current backoff.
+    startRateLimitCountdown(retryAfter) {
+        if (rateLimitState.countdownInterval) {
+            clearInterval(rateLimitState.countdownInterval);
+        }
+        if (rateLimitState.retryTimeout) {
+            clearTimeout(rateLimitState.retryTimeout);
+        }
+
+        const waitTime = Math.max(1000, retryAfter || 0);
+        rateLimitState.isRateLimited = true;
+        rateLimitState.rateLimitedAt = Date.now();
+        rateLimitState.retryAt = Date.now() + waitTime;
+
+        console.log(`[Firefish-BTC] Rate limited (429) - starting ${waitTime/1000}s countdown`);
+
+        // Update all pending cards with countdown
+        rateLimitState.pendingCards.forEach(card => {
+            analysisProgress.set(card, 'rate-limited', { retryAt: rateLimitState.retryAt });
+        });
+        this.updateRateLimitDisplay(Math.ceil(waitTime / 1000));
+
+        // Start countdown interval
+        rateLimitState.countdownInterval = setInterval(() => {
+            const remaining = Math.max(0, rateLimitState.retryAt - Date.now());
+            const remainingSeconds = Math.ceil(remaining / 1000);
+
+            if (remaining <= 0) {
+                this.resolveRateLimit();
+            } else {
+                this.updateRateLimitDisplay(remainingSeconds);
+            }
+        }, 1000);
+
+        // Set timeout to resolve rate limit
+        rateLimitState.retryTimeout = setTimeout(() => {
+            this.resolveRateLimit();
+        }, waitTime);
+    }
+
+    // Update visual feedback on rate-limited cards
+    updateRateLimitDisplay(remainingSeconds = this.getRemainingSeconds()) {
+        const cards = Array.from(rateLimitState.pendingCards);
+
+        cards.forEach(card => {
+            cardRenderer.showRateLimitMessage(card, `BTC price API rate limited - retrying in ${remainingSeconds}s...`);
+        });
+    }
+
+    getRemainingSeconds() {
+        return Math.ceil(Math.max(0, (rateLimitState.retryAt || 0) - Date.now()) / 1000);
+    }
+
+    // Resolve rate limit and restart processing
+    resolveRateLimit() {
+        console.log('[Firefish-BTC] Rate limit resolved - restarting processing');
+
+        // Clear countdown
+        if (rateLimitState.countdownInterval) {
+            clearInterval(rateLimitState.countdownInterval);
+            rateLimitState.countdownInterval = null;
+        }
+
+        // Clear timeout
+        if (rateLimitState.retryTimeout) {
+            clearTimeout(rateLimitState.retryTimeout);
+            rateLimitState.retryTimeout = null;
+        }
+
+        // Reset rate limit state
+        rateLimitState.isRateLimited = false;
+        rateLimitState.rateLimitedAt = null;
+        rateLimitState.retryAt = null;
+
+        // Clear pending cards display
+        rateLimitState.pendingCards.forEach(card => cardRenderer.clearRateLimitMessage(card));
+
+        // Call callback to restart processing
+        if (rateLimitState.onRateLimitResolved) {
+            rateLimitState.onRateLimitResolved();
+        }
+    }
+
+    // Add card to pending queue
+    addPendingCard(loanCard) {
+        rateLimitState.pendingCards.add(loanCard);
+        analysisProgress.set(loanCard, 'rate-limited', { retryAt: rateLimitState.retryAt });
+        if (rateLimitState.isRateLimited) {
+            cardRenderer.showRateLimitMessage(loanCard, `BTC price API rate limited - retrying in ${this.getRemainingSeconds()}s...`);
+        }
+    }
+
+    // Remove card from pending queue
+    removePendingCard(loanCard) {
+        rateLimitState.pendingCards.delete(loanCard);
+    }
+
+    // Convert "24 Nov 2024" to "24-11-2024" for CoinGecko API
+    convertFirefishDateToCoinGecko(firefishDate) {
+        const date = dates.parse(firefishDate);
+        if (!date) return null;
+
+        const [year, month, day] = dates.toISODate(date).split('-');
+        return `${day}-${month}-${year}`;
+    }
+
+    // Current prices for every currency seen so far: the loans' currencies, the reporting
+    // currency and anything already cached. A currency we haven't asked for yet widens the
+    // request instead of being served from a cache that can't contain it.
+    async getCurrentPriceForAllCurrencies(loanCurrencies = []) {
+        const wanted = new Set([
+            ...priceCache.current.requested,
+            userSettings.values.reportingCurrency,
+            ...loanCurrencies
+        ].filter(Boolean).map(code => code.toLowerCase()));
+
+        const missing = Array.from(wanted).filter(code => !priceCache.current.requested.has(code));
+        if (this.isCurrentPriceCacheValid() && missing.length === 0) {
+            return priceCache.current.data;
+        }
+
+        try {
+            const currencies = Array.from(wanted).sort();
+            const { data: prices, providerId } = await this.requestFromBackground({
+                action: 'getCurrentPrices',
+                currencies
+            });
+            priceCache.current = {
+                data: prices,
+                timestamp: Date.now(),
+                currencies: new Set(Object.keys(prices)),
+                requested: new Set(currencies),
+                providerId
+            };
+
+            const unsupported = currencies.filter(code => !(code in prices));
+            utils.log(`Current BTC prices cached for ${Object.keys(prices).join(', ').toUpperCase()} (source: ${providerId})` +
+                (unsupported.length > 0 ? `; not quoted: ${unsupported.join(', ').toUpperCase()}` : ''));
+            return prices;
+
+        } catch (error) {
+            this.handleRequestError(error, 'current prices');
+            return null;
+        }
+    }
+
+    async getHistoricalPrice(firefishDate, currency, loanCard = null) {
+        const coinGeckoDate = this.convertFirefishDateToCoinGecko(firefishDate);
+        if (!coinGeckoDate) return null;
+
+        const cacheKey = `${coinGeckoDate}_${(currency || '').toLowerCase()}`;
+
+        // Check the page-local memo first
+        if (priceCache.historical.has(cacheKey)) {
+            return priceCache.historical.get(cacheKey).price;
+        }
+
+        try {
+            const { data: price } = await this.requestFromBackground({
+                action: 'getHistoricalPrice',
+                date: dates.toISODate(dates.parse(firefishDate)),
+                currency: (currency || '').toLowerCase()
+            });
+
+            // Cache permanently (historical data never changes)
+            priceCache.historical.set(cacheKey, {
+                price: price,
+                timestamp: Date.now()
+            });
+
+            // Remove card from pending queue if it was there
+            if (loanCard) {
+                this.removePendingCard(loanCard);
+            }
+
+            utils.log(`Historical price cached: ${firefishDate} ${currency} = ${price}`);
+            return price;
+        } catch (error) {
+            // Rate-limited cards are queued and retried once the countdown ends
+            this.handleRequestError(error, `historical price for ${firefishDate} ${currency}`, loanCard);
+            return null;
+        }
+    }
+
+    // Ask the worker to load every uncached provision date with one ranged request per
+    // currency, instead of one /history request per loan. Dates the range can't cover
+    // (e.g. older than the provider's range limit) are left to getHistoricalPrice.
+    async preloadHistoricalPrices(loanDataList = firefishDetector.getAllLoanData()) {
+        const requests = [];
+        // Provision dates, plus the end dates of closed loans
+        loanDataList.forEach(loan => [loan.provisionDate, loan.endDate].forEach(loanDate => {
+            if (!loanDate) return;
+            const coinGeckoDate = this.convertFirefishDateToCoinGecko(loanDate);
+            const date = utils.parseFirefishDate(loanDate);
+            const currency = (loan.currency || '').toLowerCase();
+            if (!coinGeckoDate || !date || !currency) return;
+            if (priceCache.historical.has(`${coinGeckoDate}_${currency}`)) return;
+            if (requests.some(request => request.date === dates.toISODate(date) && request.currency === currency)) return;
+
+            requests.push({ date: dates.toISODate(date), currency });
+        }));
+
+        if (requests.length === 0) return 0;
+
+        try {
+            const { data: prices } = await this.requestFromBackground({ action: 'preloadHistoricalPrices', requests });
+
+            let filled = 0;
+            Object.entries(prices).forEach(([key, price]) => {
+                const [isoDate, currency] = key.split('_');
+                const [year, month, day] = isoDate.split('-');
+                priceCache.historical.set(`${day}-${month}-${year}_${currency}`, {
+                    price: price,
+                    timestamp: Date.now()
+                });
+                filled++;
+            });
+
+            utils.log(`Batch loaded ${filled} of ${requests.length} historical BTC prices`);
+            return filled;
+        } catch (error) {
+            if (error.status === 429) {
+                this.handleRequestError(error, 'historical prices in batch');
+                return 0;
+            }
+            utils.log(`Batch historical price load failed, falling back to per-date requests: ${error.message}`, 'warn');
+            return 0;
+        }
+    }
+
+    isCurrentPriceCacheValid() {
+        return priceCache.current.data &&
+               priceCache.current.timestamp &&
+               (Date.now() - priceCache.current.timestamp) < BTC_CACHE_CONFIG.CURRENT_PRICE_DURATION;
+    }
+
+    // Per-card message for loans whose currency no price provider quotes
+    unsupportedCurrencyMessage(currency) {
+        return `BTC prices are not available in ${currency || 'this currency'} - analysis skipped`;
+    }
+}
+
+// Initialize the BTC API client
+export const btcApiClient = new FirefishBTCApiClient();
+
+// Market data for the debug API and popup: coin prices, price history and a BTC analysis of all loans
+export const cryptoService = {
+    async getPrice(symbol) {
+        const cacheKey = `price_${symbol}`;
+        const cached = cache.get(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const { data } = await btcApiClient.requestFromBackground({
+                action: 'getCoinPrice',
+                coinId: symbol,
+                currency: 'usd'
+            });
+
+            if (data[symbol] && data[symbol].usd) {
+                const price = data[symbol].usd;
+                cache.set(cacheKey, price);
+                return price;
+            }
+        } catch (error) {
+            utils.log(`Failed to fetch price for ${symbol}: ${error.message}`, 'error');
+        }
+        return null;
+    },
+
+    async getTopCoins(limit = 10) {
+        const cacheKey = `top_coins_${limit}`;
+        const cached = cache.get(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const { data } = await btcApiClient.requestFromBackground({
+                action: 'getTopCoins',
+                limit: limit,
+                currency: 'usd'
+            });
+
+            const coins = data.map(coin => ({
+                id: coin.id,
+                symbol: (coin.symbol || '').toUpperCase(),
+                name: coin.name,
+                price: coin.current_price,
+                change24h: coin.price_change_percentage_24h
+            }));
+
+            cache.set(cacheKey, coins);
+            return coins;
+        } catch (error) {
+            utils.log(`Failed to fetch top coins: ${error.message}`, 'error');
+            return [];
+        }
+    },
+
+    // New BTC analysis methods
+    async getBTCAnalysis(loanData) {
+        try {
+            // CRITICAL: Always call current prices first
+            const currentPrices = await btcApiClient.getCurrentPriceForAllCurrencies([
+                'usd', ...loanData.map(loan => loan.currency)
+            ]);
+            if (!currentPrices) {
+                utils.log('Failed to get current BTC prices for analysis', 'error');
+                return null;
+            }
+
+            const analysis = {
+                loanData: loanData,
+                currentBTCPrice: currentPrices.usd, // Base price in USD
+                analysis: []
+            };
+
+            for (const loan of loanData) {
+                const historicalPrice = await btcApiClient.getHistoricalPrice(loan.provisionDate, loan.currency);
+                if (!historicalPrice) continue;
+
+                const currentPrice = currentPrices[(loan.currency || '').toLowerCase()];
+                if (!currentPrice) continue;
+
+                const btcValueAtProvision = loan.collateralBTC * historicalPrice;
+                const btcValueNow = loan.collateralBTC * currentPrice;
+                const priceChange = ((currentPrice - historicalPrice) / historicalPrice) * 100;
+                const valueChange = btcValueNow - btcValueAtProvision;
+
+                // Calculate performance using exact Firefish formulas
+                const performance = performanceEngine.calculateFirefishBTCPerformance(loan, currentPrice, historicalPrice);
+
+                analysis.analysis.push({
+                    cardIndex: loan.cardIndex,
+                    currency: loan.currency,
+                    loanAmount: loan.loanAmount,
+                    collateralBTC: loan.collateralBTC,
+                    provisionDate: loan.provisionDate,
+                    btcPriceAtProvision: historicalPrice,
+                    btcPriceNow: currentPrice,
+                    btcValueAtProvision: btcValueAtProvision,
+                    btcValueNow: btcValueNow,
+                    priceChangePercent: priceChange,
+                    valueChange: valueChange,
+                    loanToValueRatio: loan.loanAmount / btcValueNow,
+                    riskLevel: performanceEngine.calculateRiskLevel(loan.loanAmount, btcValueNow, priceChange),
+                    // Add performance analysis
+                    performance: performance
+                });
+            }
+
+            return analysis;
+
+        } catch (error) {
+            utils.log(`BTC analysis failed: ${error.message}`, 'error');
+            return null;
+        }
+    },
+
+    // Prices over the `days` before `to` (default now), oldest first
+    async getBTCPriceHistory(currency = 'usd', days = 30, to = new Date()) {
+        const cacheKey = `btc_history_${currency}_${days}_${dates.toISODate(to)}`;
+        const cached = cache.get(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+            const { data: range } = await btcApiClient.requestFromBackground({
+                action: 'getPriceRange',
+                currency: currency.toLowerCase(),
+                from: from.getTime(),
+                to: to.getTime()
+            });
+            const prices = range.map(([timestamp, price]) => ({
+                date: new Date(timestamp),
+                price: price
+            }));
+
+            cache.set(cacheKey, prices);
+            return prices;
+
+        } catch (error) {
+            utils.log(`Failed to fetch BTC price history: ${error.message}`, 'error');
+            return [];
+        }
+    }
+};
@@ -0,0 +1,86 @@
+// Insight+ for Firefish - Analysis progress
+// Per-card analysis state, published to the popup and the background worker as it changes:
+//   queued → fetching → rate-limited (until retryAt) → fetching … → done | error
+// The popup draws its progress bar, rate-limit countdown and failure list from these events; the
+// worker shows the progress on the toolbar badge.
+
+import { utils } from './utils.js';
+
+export const ANALYSIS_STATES = ['queued', 'fetching', 'rate-limited', 'done', 'error'];
+
+// Events within this window are sent as one
+const PUBLISH_DELAY_MS = 100;
+
+export const analysisProgress = {
+    cards: new Map(), // key: loan card element, value: { state, label, error, retryAt, updatedAt }
+    publishTimer: null,
+
+    // Move a card to a state; details can carry a label ("EUR 10,000"), an error or retryAt
+    set(card, state, details = {}) {
+        if (!ANALYSIS_STATES.includes(state)) throw new Error(`Unknown analysis state: ${state}`);
+        const previous = this.cards.get(card) || {};
+        this.cards.set(card, {
+            state,
+            label: details.label || previous.label || null,
+            error: state === 'error' ? details.error || 'Analysis failed' : null,
+            retryAt: state === 'rate-limited' ? details.retryAt || null : null,
+            updatedAt: Date.now()
+        });
+        this.schedulePublish();
+    },
+
+    get(card) {
+        return this.cards.get(card) || null;
+    },
+
+    clear() {
+        this.cards.clear();
+        this.schedulePublish();
+    },
+
+    // Counts per state, the rate-limit retry time and every card with its state, in page order
+    snapshot() {
+        const counts = { queued: 0, fetching: 0, 'rate-limited': 0, done: 0, error: 0 };
+        const loans = [];
+        let retryAt = null;
+
+        this.cards.forEach((entry, card) => {
+            counts[entry.state]++;
+            if (entry.retryAt) retryAt = Math.max(retryAt || 0, entry.retryAt);
+            loans.push({
+                loanId: card.dataset.firefishBtcLoanId || null,
+                label: entry.label,
+                state: entry.state,
+                error: entry.error
+            });
+        });
+
+        const total = this.cards.size;
+        return {
+            total,
+            counts,
+            finished: counts.done + counts.error,
+            complete: total > 0 && counts.done + counts.error === total,
+            retryAt,
+            loans
+        };
+    },
+
+    schedulePublish() {
+        if (this.publishTimer) return;
+        this.publishTimer = setTimeout(() => {
+            this.publishTimer = null;
+            this.publish();
+        }, PUBLISH_DELAY_MS);
+    },
+
+    // Reaches the popup (if open) and the background worker
+    publish() {
+        try {
+            const sent = chrome.runtime.sendMessage({ action: 'analysisProgress', data: this.snapshot() });
+            if (sent && typeof sent.catch === 'function') sent.catch(() => {});
+        } catch (error) {
+            utils.log('Failed to send analysis progress: ' + error.message, 'warn');
+        }
+    }
+};
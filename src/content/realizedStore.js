@@ -0,0 +1,57 @@
+// Insight+ for Firefish - Realized results of closed loans
+// Kept in chrome.storage.local under "realizedLoans", so the portfolio dashboard can show lifetime
+// realized results on the active tab as well, next to the unrealized results of the active loans.
+
+import { utils } from './utils.js';
+
+export const realizedStore = {
+    entries: {}, // key: loanId, value: { loanId, currency, loanAmount, theoreticalResult, isOutperforming, provisionDate, endDate, recordedAt }
+
+    async load() {
+        try {
+            const { realizedLoans } = await chrome.storage.local.get('realizedLoans');
+            // Results recorded while loading win over the stored ones
+            this.entries = Object.assign({}, realizedLoans || {}, this.entries);
+        } catch (error) {
+            utils.log(`Failed to load realized loans: ${error.message}`, 'warn');
+        }
+        return this.entries;
+    },
+
+    async record(loanData, performance) {
+        const entry = {
+            loanId: loanData.loanId,
+            currency: loanData.currency,
+            loanAmount: loanData.loanAmount,
+            theoreticalResult: performance.raw.theoreticalResult,
+            isOutperforming: performance.isOutperforming,
+            provisionDate: loanData.provisionDate,
+            endDate: loanData.endDate,
+            recordedAt: Date.now()
+        };
+        this.entries[entry.loanId] = entry;
+
+        try {
+            // Merge with what other tabs stored since we loaded
+            const { realizedLoans } = await chrome.storage.local.get('realizedLoans');
+            await chrome.storage.local.set({
+                realizedLoans: Object.assign({}, realizedLoans || {}, { [entry.loanId]: entry })
+            });
+        } catch (error) {
+            utils.log(`Failed to save realized loan: ${error.message}`, 'warn');
+        }
+    },
+
+    getAll() {
+        return Object.values(this.entries);
+    },
+
+    async clear() {
+        this.entries = {};
+        try {
+            await chrome.storage.local.remove('realizedLoans');
+        } catch (error) {
+            utils.log(`Failed to clear realized loans: ${error.message}`, 'warn');
+        }
+    }
+};
@@ -0,0 +1,254 @@
+// Insight+ for Firefish - Selector profiles
+
+import { utils } from './utils.js';
+import { userSettings } from './settings.js';
+
+// Selector profiles: ordered ways of finding loan cards and their fields. Firefish's
+// CSS-module class hashes (e.g. "_activeCard_fvh4n_5") change on every frontend deploy,
+// so each profile is a fallback for the one before it. A profile saved in settings
+// (settings.selectorProfile, same shape as below) is tried before the built-in ones; the settings
+// schema rejects one saved with a different version.
+export const SELECTOR_PROFILE_VERSION = userSettings.schema.SELECTOR_PROFILE_VERSION;
+
+// Ant Design markup Firefish is built on; used for any role a profile leaves out
+export const GENERIC_SELECTORS = {
+    cardStack: null,
+    loanCard: '.ant-card',
+    amount: null,
+    value: null,
+    details: null,
+    fieldRow: '.ant-row',
+    fieldTitle: '.ant-row > .ant-col:first-child',
+    fieldValue: '.ant-row > .ant-col:last-child',
+    collateralLink: 'a[href*="mempool.space"]'
+};
+
+// Field label patterns (regex sources, case-insensitive)
+export const FIELD_LABELS = {
+    amount: 'loan amount|principal|^\\s*amount\\s*$',
+    interestRate: 'interest',
+    provisionDate: 'provision|start date|funded|auszahlung|startdatum|poskytnut|začátek',
+    maturityDate: 'maturity|due date|repayment date|end date|fällig|laufzeitende|enddatum|splatnost|konec',
+    liquidationDate: 'liquidat|likvidac',
+    investment: 'invested|investment|expected return|investiert|rendite|investice|výnos',
+    repaidDate: 'repaid|closed on|closing date|settled|zurückgezahlt|geschlossen|splacen|uzavřen',
+    collateral: 'collateral'
+};
+
+export const SELECTOR_PROFILES = [
+    {
+        id: 'firefish-hashed',
+        version: SELECTOR_PROFILE_VERSION,
+        strategy: 'hashed',
+        selectors: {
+            cardStack: '._cardStack_jcnfb_5',
+            loanCard: '._activeCard_fvh4n_5',
+            amount: '._amount_148t9_34',
+            value: '._value_148t9_59',
+            details: '._details_1gfcb_5._details_gxzzy_12',
+            fieldRow: '._field_1gfcb_21',
+            fieldTitle: '._fieldTitle_1gfcb_40',
+            fieldValue: '._fieldValue_1gfcb_41',
+            collateralLink: 'a[href*="mempool.space"]'
+        }
+    },
+    {
+        // The readable part of CSS-module class names usually survives a redeploy
+        id: 'firefish-class-prefix',
+        version: SELECTOR_PROFILE_VERSION,
+        strategy: 'structure',
+        selectors: {
+            cardStack: '[class*="_cardStack_"]',
+            loanCard: '[class*="_activeCard_"], [class*="_closedCard_"]',
+            amount: '[class*="_amount_"]',
+            value: '[class*="_value_"]',
+            details: '[class*="_details_"]',
+            fieldRow: '[class*="_field_"]',
+            fieldTitle: '[class*="_fieldTitle_"]',
+            fieldValue: '[class*="_fieldValue_"]',
+            collateralLink: 'a[href*="mempool.space"]'
+        }
+    },
+    {
+        // No Firefish classes at all: Ant Design cards and rows, fields found by label text
+        id: 'ant-design-labels',
+        version: SELECTOR_PROFILE_VERSION,
+        strategy: 'label',
+        selectors: {}
+    }
+];
+
+// Our own UI inside loan cards, never mistaken for Firefish fields
+export const OWN_UI_SELECTOR = '.firefish-btc-results, .firefish-btc-error, .firefish-btc-loading, .firefish-btc-rate-limited';
+
+export const selectorProfiles = {
+    active: null,   // Profile that last matched loan cards
+    report: null,   // { id, version, strategy, source, cardsMatched, matchedAt }
+
+    // Fill in generic selectors and compile label patterns
+    normalize(profile, source) {
+        const labels = {};
+        Object.entries(Object.assign({}, FIELD_LABELS, profile.labels || {})).forEach(([field, pattern]) => {
+            labels[field] = new RegExp(pattern, 'i');
+        });
+        return {
+            id: profile.id || 'custom',
+            version: profile.version || SELECTOR_PROFILE_VERSION,
+            strategy: profile.strategy || 'custom',
+            source,
+            selectors: Object.assign({}, GENERIC_SELECTORS, profile.selectors || {}),
+            labels
+        };
+    },
+
+    getProfiles() {
+        const profiles = [];
+        const custom = userSettings.values.selectorProfile;
+        if (custom && custom.selectors) {
+            try {
+                profiles.push(this.normalize(custom, 'settings'));
+            } catch (error) {
+                utils.log(`Ignoring invalid selector profile from settings: ${error.message}`, 'warn');
+            }
+        }
+        SELECTOR_PROFILES.forEach(profile => profiles.push(this.normalize(profile, 'built-in')));
+        return profiles;
+    },
+
+    current() {
+        return this.active || this.getProfiles()[0];
+    },
+
+    selector(role, profile = this.current()) {
+        return profile.selectors[role] || null;
+    },
+
+    queryAll(root, role, profile = this.current()) {
+        const selector = this.selector(role, profile);
+        if (!selector || !root || !root.querySelectorAll) return [];
+        try {
+            return Array.from(root.querySelectorAll(selector)).filter(el => !el.closest(OWN_UI_SELECTOR));
+        } catch (error) {
+            utils.log(`Invalid selector for ${role} in profile ${profile.id}: ${error.message}`, 'warn');
+            return [];
+        }
+    },
+
+    // Details rows of a loan card as { title, value } element pairs
+    findFields(loanCard, profile = this.current()) {
+        const fields = [];
+        for (const title of this.queryAll(loanCard, 'fieldTitle', profile)) {
+            const row = title.closest(this.selector('fieldRow', profile)) || title.parentElement;
+            const value = row ? this.queryAll(row, 'fieldValue', profile).find(el => el !== title) : null;
+            if (value) fields.push({ title, value });
+        }
+        return fields;
+    },
+
+    // Value element of the details row whose title matches `labelPattern`
+    findFieldValue(loanCard, labelPattern, profile = this.current()) {
+        const field = this.findFields(loanCard, profile).find(({ title }) => labelPattern.test(title.textContent || ''));
+        return field ? field.value : null;
+    },
+
+    // Innermost elements whose own text matches `pattern`, for layouts without usable classes
+    findTextLeaves(loanCard, pattern) {
+        return Array.from(loanCard.querySelectorAll('*')).filter(el =>
+            el.children.length === 0 && !el.closest(OWN_UI_SELECTOR) && pattern.test((el.textContent || '').trim())
+        );
+    },
+
+    findAmountElement(loanCard, profile = this.current()) {
+        return this.queryAll(loanCard, 'amount', profile)[0] ||
+            this.findFieldValue(loanCard, profile.labels.amount, profile) ||
+            // "EUR 10,000", "10.000,50 EUR" - but not the "0.25891 BTC" collateral
+            this.findTextLeaves(loanCard, /^(?:(?!BTC)[A-Z]{3}\s*\d[\d.,'\u2019\s]*|\d[\d.,'\u2019\s]*(?!BTC)[A-Z]{3})$/)[0] ||
+            null;
+    },
+
+    // Elements carrying the annual interest rate ("12.5%") in their title or text
+    findInterestElements(loanCard, profile = this.current()) {
+        const byClass = this.queryAll(loanCard, 'value', profile).filter(el => (el.getAttribute('title') || '').includes('%'));
+        if (byClass.length > 0) return byClass;
+
+        const byLabel = this.findFieldValue(loanCard, profile.labels.interestRate, profile);
+        if (byLabel) return [byLabel];
+
+        return this.findTextLeaves(loanCard, /^\d+([.,]\d+)?\s*%$/);
+    },
+
+    findCollateralElement(loanCard, profile = this.current()) {
+        return this.queryAll(loanCard, 'collateralLink', profile)[0] ||
+            this.findFieldValue(loanCard, profile.labels.collateral, profile) ||
+            null;
+    },
+
+    findDetails(loanCard, profile = this.current()) {
+        const details = this.queryAll(loanCard, 'details', profile)[0];
+        if (details) return details;
+
+        // Otherwise the container of the labelled rows
+        const collateral = this.findFieldValue(loanCard, profile.labels.collateral, profile);
+        const row = collateral ? collateral.closest(this.selector('fieldRow', profile)) : null;
+        return row ? row.parentElement : null;
+    },
+
+    hasLoanStructure(card, profile = this.current()) {
+        const collateral = this.findCollateralElement(card, profile);
+        return !!(
+            this.findAmountElement(card, profile) &&
+            this.findInterestElements(card, profile).length > 0 &&
+            collateral && /BTC/i.test(collateral.textContent || '')
+        );
+    },
+
+    // Loan cards under `root` (including root itself) for one profile, innermost first
+    matchCards(root, profile = this.current()) {
+        const selector = this.selector('loanCard', profile);
+        const candidates = this.queryAll(root, 'loanCard', profile);
+        if (root && root.matches && selector && root.matches(selector)) candidates.unshift(root);
+
+        const cards = candidates.filter(card => this.hasLoanStructure(card, profile));
+        // Generic selectors can match wrappers around several loans; keep the innermost cards
+        return cards.filter(card => !cards.some(other => other !== card && card.contains(other)));
+    },
+
+    // Try the profiles in order and remember the first one that finds loan cards
+    resolve(root = document) {
+        for (const profile of this.getProfiles()) {
+            const cards = this.matchCards(root, profile);
+            if (cards.length === 0) continue;
+
+            if (!this.active || this.active.id !== profile.id || this.active.source !== profile.source) {
+                utils.log(`Selector profile "${profile.id}" (${profile.strategy}, ${profile.source}) matched ${cards.length} loan cards`);
+            }
+            this.active = profile;
+            this.report = {
+                id: profile.id,
+                version: profile.version,
+                strategy: profile.strategy,
+                source: profile.source,
+                cardsMatched: cards.length,
+                matchedAt: Date.now()
+            };
+            return cards;
+        }
+        return [];
+    },
+
+    // Self-healing lookup: when the active profile finds no cards on the page (e.g. after a
+    // Firefish deploy renamed the classes), the profiles are tried again in order
+    findLoanCards(root = document) {
+        if (this.active) {
+            const cards = this.matchCards(root, this.active);
+            if (cards.length > 0 || root !== document) return cards;
+        }
+        return this.resolve(root);
+    },
+
+    // Forget the active profile, e.g. after the profile in settings changed
+    reset() {
+        this.active = null;
+        this.report = null;
+    }
+};
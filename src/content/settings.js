@@ -0,0 +1,70 @@
+// Insight+ for Firefish - User settings
+
+import '../../settingsSchema.js';
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+
+// Defaults and validation shared with the options page and the service worker
+const schema = globalThis.FirefishSettingsSchema;
+
+// User settings persisted in chrome.storage.local under "settings", edited on the options page
+export const userSettings = {
+    schema,
+    defaults: schema.defaults(),
+    values: schema.defaults(),
+    listening: false,
+
+    async load() {
+        try {
+            const { settings } = await chrome.storage.local.get('settings');
+            const { values, errors } = schema.validate(settings);
+            Object.keys(errors).forEach(key => {
+                utils.log(`Ignoring invalid setting ${key}: ${errors[key]}`, 'warn');
+            });
+            this.values = values;
+        } catch (error) {
+            utils.log(`Failed to load settings: ${error.message}`, 'warn');
+        }
+        return this.values;
+    },
+    // Whether a feature (a CONFIG.features flag) is switched on, by the build and by the user
+    isEnabled(feature) {
+        return this.values.enabled !== false && CONFIG.features[feature] !== false && this.values.features[feature] !== false;
+    },
+    // LTV thresholds for the liquidation calculator, validated by the schema on load and save
+    ltvThresholds() {
+        return { marginCall: this.values.marginCallLTV, liquidation: this.values.liquidationLTV };
+    },
+    // Validated like the options page: an invalid change falls back to the default, and that is
+    // what gets stored
+    async save(changes) {
+        const { values, errors } = schema.validate(Object.assign({}, this.values, changes));
+        const saved = {};
+        Object.keys(changes).forEach(key => {
+            if (errors[key]) utils.log(`Ignoring invalid setting ${key}: ${errors[key]}`, 'warn');
+            saved[key] = values[key];
+        });
+        this.values = values;
+        try {
+            const { settings } = await chrome.storage.local.get('settings');
+            await chrome.storage.local.set({
+                settings: Object.assign({}, settings || {}, saved),
+                lastUpdated: Date.now()
+            });
+        } catch (error) {
+            utils.log(`Failed to save settings: ${error.message}`, 'warn');
+        }
+    },
+    // Reload the settings whenever they change in storage (options page, popup, other tabs) and
+    // pass the changed keys to the callback
+    watch(callback) {
+        if (this.listening) return;
+        this.listening = true;
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.settings) return;
+            const changed = schema.changedKeys(changes.settings.oldValue, changes.settings.newValue);
+            if (changed.length === 0) return;
+            this.load().then(() => callback(changed));
+        });
+    }
+};
@@ -0,0 +1,177 @@
+// Insight+ for Firefish - What-if simulator
+// Projects the active loans to a chosen BTC price and date on the portfolio dashboard: the BTC
+// value change, accrued interest, theoretical result and LTV each loan would have then, from the
+// same formulas as the analysis (calculateFirefishBTCPerformance with that price and asOfDate).
+
+import { utils } from './utils.js';
+import { dates } from './dates.js';
+import { userSettings } from './settings.js';
+import { analysisStore } from './analysisStore.js';
+import { priceCache } from './priceClient.js';
+import { performanceEngine } from './performance.js';
+
+// Quick scenarios: change from today's BTC price in percent
+const SCENARIOS = [-50, -25, -10, 0, 10, 25, 50];
+
+export const scenarioSimulator = {
+    // Either a target BTC price in the reporting currency or a change in percent, and the date
+    // (YYYY-MM-DD, empty for today) to project to. Kept across dashboard re-renders.
+    scenario: { targetPrice: null, changePercent: 0, targetDate: '' },
+    open: false,
+
+    // Active borrower loans with a finished analysis
+    getLoans() {
+        return analysisStore.getResults()
+            .filter(entry => entry.loanData.role !== 'lender' && entry.loanData.status !== 'closed');
+    },
+
+    // Projection of every active loan; a target price is converted into each loan's currency at
+    // current BTC cross-rates. Totals are in the reporting currency.
+    simulate(scenario = this.scenario) {
+        const reportingCurrency = (userSettings.values.reportingCurrency || 'EUR').toUpperCase();
+        const rates = priceCache.current.data;
+        const thresholds = userSettings.ltvThresholds();
+        const today = dates.parse(dates.toISODate(new Date()));
+        const targetDate = (scenario.targetDate && dates.parse(scenario.targetDate)) || today;
+
+        const totals = {
+            reportingCurrency,
+            count: 0,
+            theoreticalResult: 0,
+            outperformingCount: 0,
+            marginCallCount: 0,
+            liquidationCount: 0,
+            unconvertedCount: 0
+        };
+
+        const loans = this.getLoans().map(entry => {
+            const { loanData, performance } = entry;
+            const targetPrice = scenario.targetPrice > 0 ?
+                performanceEngine.convertCurrency(scenario.targetPrice, reportingCurrency, loanData.currency, rates) :
+                performance.currentPrice * (1 + (scenario.changePercent || 0) / 100);
+            if (!(targetPrice > 0)) {
+                totals.unconvertedCount++;
+                return null;
+            }
+
+            const projected = performanceEngine.calculateFirefishBTCPerformance(
+                loanData, targetPrice, performance.historicalPrice, targetDate, thresholds);
+            if (!projected) return null;
+
+            const { raw } = projected;
+            const ltv = raw.ltv ? raw.ltv.currentLTV : null;
+            const loan = {
+                loanId: entry.loanId,
+                currency: loanData.currency,
+                loanAmount: loanData.loanAmount,
+                targetPrice,
+                btcValueChange: raw.btcValueChange,
+                accruedInterest: raw.accruedInterest,
+                elapsedDays: projected.elapsedDays,
+                theoreticalResult: raw.theoreticalResult,
+                isOutperforming: projected.isOutperforming,
+                ltv,
+                marginCall: ltv !== null && ltv >= thresholds.marginCall,
+                liquidation: ltv !== null && ltv >= thresholds.liquidation
+            };
+
+            totals.count++;
+            if (loan.isOutperforming) totals.outperformingCount++;
+            if (loan.marginCall) totals.marginCallCount++;
+            if (loan.liquidation) totals.liquidationCount++;
+            const converted = performanceEngine.convertCurrency(loan.theoreticalResult, loan.currency, reportingCurrency, rates);
+            if (converted === null) totals.unconvertedCount++;
+            else totals.theoreticalResult += converted;
+            return loan;
+        }).filter(Boolean);
+
+        return { targetDate: dates.toISODate(targetDate), totals, loans };
+    },
+
+    // Collapsible section of the portfolio dashboard
+    render(reportingCurrency) {
+        const { targetPrice, changePercent, targetDate } = this.scenario;
+        const today = dates.toISODate(new Date());
+        const buttons = SCENARIOS.map(change => {
+            const active = !(targetPrice > 0) && changePercent === change ? ' active' : '';
+            const label = change === 0 ? 'Today' : `${change > 0 ? '+' : ''}${change}%`;
+            return `<button type="button" class="pf-sim-scenario${active}" data-sim-change="${change}">${label}</button>`;
+        }).join('');
+
+        return `
+                    <details class="portfolio-section portfolio-simulator"${this.open ? ' open' : ''}>
+                      <summary class="portfolio-section-title">What-if Simulator <span class="tooltip-icon" title="Projects each active loan to a BTC price and a date, with the same formulas as the analysis. Interest accrues up to the target date (at most the loan term); LTV compares the amount to repay with the collateral's value at that price.">ℹ️</span></summary>
+                      <div class="pf-sim-controls">
+                        <label>BTC price (${reportingCurrency}) <input type="number" class="pf-sim-price" min="0" step="any" value="${targetPrice > 0 ? targetPrice : ''}" placeholder="${Math.round(priceCache.current.data?.[reportingCurrency.toLowerCase()] || 0)}"></label>
+                        <span class="pf-sim-scenarios">${buttons}</span>
+                        <label>Date <input type="date" class="pf-sim-date" min="${today}" value="${targetDate || today}"></label>
+                      </div>
+                      <div class="pf-sim-results">${this.renderResults(this.simulate())}</div>
+                    </details>`;
+    },
+
+    renderResults(result) {
+        const { totals } = result;
+        if (totals.count === 0) return '<div class="portfolio-breakdown-note">No active loans to project</div>';
+
+        const rows = result.loans.map(loan => {
+            const resultClass = loan.theoreticalResult >= 0 ? 'positive' : 'negative';
+            const ltvClass = loan.liquidation ? ' negative' : loan.marginCall ? ' pf-sim-warning' : '';
+            return `
+                        <div class="portfolio-breakdown-row pf-sim-row" data-loan-id="${loan.loanId}">
+                          <span>${utils.formatCurrency(loan.loanAmount, loan.currency)}</span>
+                          <span>${utils.formatCurrency(loan.targetPrice, loan.currency)}</span>
+                          <span>${utils.formatCurrency(loan.btcValueChange, loan.currency)}</span>
+                          <span>${utils.formatCurrency(loan.accruedInterest, loan.currency)}</span>
+                          <span class="${resultClass}">${utils.formatCurrency(loan.theoreticalResult, loan.currency)}</span>
+                          <span class="pf-sim-ltv${ltvClass}">${loan.ltv === null ? '—' : `${loan.ltv.toFixed(1)}%`}</span>
+                        </div>`;
+        }).join('');
+
+        const totalClass = totals.theoreticalResult >= 0 ? 'positive' : 'negative';
+        const risk = [
+            totals.liquidationCount > 0 ? `${totals.liquidationCount} at liquidation LTV` : '',
+            totals.marginCallCount > totals.liquidationCount ? `${totals.marginCallCount - totals.liquidationCount} at margin call LTV` : ''
+        ].filter(Boolean).join(', ');
+        const unconverted = totals.unconvertedCount > 0 ?
+            `<div class="portfolio-breakdown-note">${totals.unconvertedCount} ${totals.unconvertedCount === 1 ? 'loan' : 'loans'} left out: no BTC rate available</div>` : '';
+
+        return `
+                        <div class="pf-sim-summary">On ${utils.formatFirefishDate(dates.parse(result.targetDate))}: <span class="pf-sim-total ${totalClass}">${utils.formatCurrency(totals.theoreticalResult, totals.reportingCurrency)}</span>, ${totals.outperformingCount} of ${totals.count} loans outperforming${risk ? ` <span class="negative">(${risk})</span>` : ''}</div>
+                        <div class="portfolio-breakdown-row pf-sim-row pf-sim-head">
+                          <span>Loan</span><span>BTC Price</span><span>BTC Value Change</span><span>Interest</span><span>Result</span><span>LTV</span>
+                        </div>${rows}${unconverted}`;
+    },
+
+    // Inputs recompute the results in place, without redrawing the dashboard
+    bind(container) {
+        const section = container.querySelector('.portfolio-simulator');
+        if (!section) return;
+
+        const refresh = () => {
+            section.querySelector('.pf-sim-results').innerHTML = this.renderResults(this.simulate());
+            section.querySelectorAll('[data-sim-change]').forEach(button => {
+                button.classList.toggle('active', !(this.scenario.targetPrice > 0) && Number(button.dataset.simChange) === this.scenario.changePercent);
+            });
+        };
+
+        section.addEventListener('toggle', () => { this.open = section.open; });
+        section.querySelector('.pf-sim-price').addEventListener('input', (event) => {
+            const price = parseFloat(event.target.value);
+            this.scenario.targetPrice = price > 0 ? price : null;
+            refresh();
+        });
+        section.querySelectorAll('[data-sim-change]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.scenario.changePercent = Number(button.dataset.simChange);
+                this.scenario.targetPrice = null;
+                section.querySelector('.pf-sim-price').value = '';
+                refresh();
+            });
+        });
+        section.querySelector('.pf-sim-date').addEventListener('change', (event) => {
+            this.scenario.targetDate = event.target.value;
+            refresh();
+        });
+    }
+};
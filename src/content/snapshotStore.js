@@ -0,0 +1,90 @@
+// Insight+ for Firefish - Loan snapshot history
+// One dated snapshot per loan and day in chrome.storage.local under "loanSnapshots", so the result
+// panels can chart how each loan's theoretical gain/loss and LTV moved between visits.
+
+import { CONFIG } from './config.js';
+import { utils } from './utils.js';
+import { dates } from './dates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const snapshotStore = {
+    // Snapshot of an analyzed borrower loan: the extracted fields, the prices used and the results
+    createSnapshot(loanData, performance, now = new Date()) {
+        const raw = performance.raw;
+        return {
+            date: dates.toISODate(now),
+            recordedAt: now.getTime(),
+            status: loanData.status,
+            currency: loanData.currency,
+            loanAmount: loanData.loanAmount,
+            interestRate: loanData.interestRate,
+            provisionDate: loanData.provisionDate,
+            maturityDate: loanData.maturityDate || null,
+            collateralBTC: loanData.collateralBTC,
+            historicalPrice: raw.historicalPrice,
+            currentPrice: raw.currentPrice,
+            btcValueChange: raw.btcValueChange,
+            interestCost: raw.loanInterestCost,
+            theoreticalResult: raw.theoreticalResult,
+            ltv: raw.ltv ? raw.ltv.currentLTV : null
+        };
+    },
+
+    // Add a snapshot to a loan's history: one per day (the latest wins), oldest first, pruned by
+    // the retention policy
+    merge(history, snapshot, now = new Date()) {
+        const merged = (history || []).filter(entry => entry.date !== snapshot.date).concat(snapshot);
+        merged.sort((a, b) => a.date.localeCompare(b.date));
+        return this.prune(merged, now);
+    },
+
+    // Drop snapshots older than the retention period, then keep at most maxPerLoan of the newest
+    prune(history, now = new Date()) {
+        const cutoff = dates.toISODate(new Date(now.getTime() - CONFIG.snapshots.retentionDays * DAY_MS));
+        return history.filter(entry => entry.date >= cutoff).slice(-CONFIG.snapshots.maxPerLoan);
+    },
+
+    // Record today's snapshot of a loan; returns the loan's history including it
+    async record(loanData, performance) {
+        const now = new Date();
+        try {
+            const { loanSnapshots } = await chrome.storage.local.get('loanSnapshots');
+            const all = {};
+            // Prune the other loans too, so loans no longer shown don't stay forever
+            Object.entries(loanSnapshots || {}).forEach(([loanId, history]) => {
+                const kept = this.prune(history, now);
+                if (kept.length > 0) all[loanId] = kept;
+            });
+            all[loanData.loanId] = this.merge(all[loanData.loanId], this.createSnapshot(loanData, performance, now), now);
+            await chrome.storage.local.set({ loanSnapshots: all });
+            return all[loanData.loanId];
+        } catch (error) {
+            utils.log(`Failed to save loan snapshot: ${error.message}`, 'warn');
+            return [];
+        }
+    },
+
+    async get(loanId) {
+        const all = await this.getAll();
+        return all[loanId] || [];
+    },
+
+    async getAll() {
+        try {
+            const { loanSnapshots } = await chrome.storage.local.get('loanSnapshots');
+            return loanSnapshots || {};
+        } catch (error) {
+            utils.log(`Failed to load loan snapshots: ${error.message}`, 'warn');
+            return {};
+        }
+    },
+
+    async clear() {
+        try {
+            await chrome.storage.local.remove('loanSnapshots');
+        } catch (error) {
+            utils.log(`Failed to clear loan snapshots: ${error.message}`, 'warn');
+        }
+    }
+};
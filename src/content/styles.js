@@ -0,0 +1,347 @@
+// Insight+ for Firefish - Styles for everything the content script adds to the page
+
+const STYLE_ID = 'firefish-btc-styles';
+
+const CSS = `
+    .uxplus-enhanced {
+        border-radius: 8px !important;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.1) !important;
+        transition: all 0.2s ease !important;
+    }
+
+    .uxplus-crypto-price {
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        padding: 8px 12px;
+        border-radius: 6px;
+        font-weight: 600;
+        margin: 4px;
+        display: inline-block;
+    }
+
+    .uxplus-quick-action {
+        background: #f8f9fa;
+        border: 1px solid #dee2e6;
+        border-radius: 6px;
+        padding: 8px 12px;
+        margin: 4px;
+        cursor: pointer;
+        transition: all 0.2s ease;
+    }
+
+    .uxplus-quick-action:hover {
+        background: #e9ecef;
+        border-color: #adb5bd;
+    }
+
+    .uxplus-btc-analysis {
+        background: linear-gradient(135deg, #f7931a 0%, #ff9500 100%);
+        color: white;
+        padding: 12px;
+        border-radius: 8px;
+        margin: 8px 0;
+        font-weight: 500;
+    }
+
+    .firefish-btc-loading {
+        border-left: 3px solid #1890ff !important;
+        background: #f6f9ff;
+        animation: fadeIn 0.3s ease-in;
+    }
+
+    .firefish-loading-spinner {
+        display: inline-block;
+        animation: spin 1s linear infinite;
+        margin-right: 5px;
+        color: #1890ff;
+        font-size: 16px;
+    }
+
+    @keyframes spin {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+    }
+
+    .firefish-btc-results {
+        border-left: 3px solid #52c41a !important;
+        animation: fadeIn 0.5s ease-in;
+    }
+
+    /* Loan card picked in the popup's loan list */
+    .firefish-btc-highlight {
+        outline: 2px solid #f7931a !important;
+        outline-offset: 2px;
+        transition: outline-color 0.3s ease;
+    }
+
+    .firefish-btc-outperforming {
+        border-left-color: #52c41a !important;
+    }
+
+    .firefish-btc-underperforming {
+        border-left-color: #ff4d4f !important;
+    }
+
+    .firefish-btc-rate-limited {
+        border-left: 3px solid #faad14 !important;
+    }
+
+    .firefish-btc-rate-limited .firefish-loading-spinner {
+        color: #faad14;
+        animation: none;
+    }
+
+    .firefish-btc-history-charts,
+    .firefish-btc-price-chart {
+        margin: 4px 0 0 0;
+        font-size: 12px;
+    }
+
+    .firefish-btc-history-charts summary,
+    .firefish-btc-price-chart summary {
+        cursor: pointer;
+        color: #6c757d;
+    }
+
+    .firefish-btc-price-chart-body {
+        margin-top: 6px;
+        color: #6c757d;
+    }
+
+    .firefish-chart-caption {
+        margin-top: 6px;
+        color: #6c757d;
+    }
+
+    .firefish-chart-line {
+        fill: none;
+        stroke: #1890ff;
+        stroke-width: 1.5;
+    }
+
+    .firefish-chart-dot {
+        fill: #1890ff;
+    }
+
+    .firefish-chart-zero {
+        stroke: #d9d9d9;
+        stroke-dasharray: 2 2;
+    }
+
+    .firefish-chart-label {
+        font-size: 9px;
+        fill: #8c8c8c;
+    }
+
+    .firefish-chart-marker line {
+        stroke-width: 1;
+        stroke-dasharray: 4 2;
+    }
+
+    .firefish-chart-marker-provision { color: #8c8c8c; stroke: #8c8c8c; }
+    .firefish-chart-marker-current { color: #52c41a; stroke: #52c41a; }
+    .firefish-chart-marker-breakeven { color: #fa8c16; stroke: #fa8c16; }
+
+    .firefish-chart-legend {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px 12px;
+        font-size: 11px;
+    }
+
+    .tooltip-icon {
+        margin-left: 5px;
+        opacity: 0.7;
+        cursor: help;
+        font-size: 12px;
+        transition: opacity 0.2s ease;
+    }
+
+    .tooltip-icon:hover {
+        opacity: 1.0;
+    }
+
+    @keyframes fadeIn {
+        0% { opacity: 0; transform: translateY(-10px); }
+        100% { opacity: 1; transform: translateY(0); }
+    }
+
+    /* Portfolio and Investor Summary Dashboards */
+    .ant-card.firefish-summary-card {
+        margin-bottom: 12px !important;
+        border-radius: 8px !important;
+        box-shadow: 0 2px 8px rgba(0,0,0,0.1) !important;
+        transition: all 0.2s ease !important;
+        background: #ffffff !important;
+        border: 1px solid #d9d9d9 !important;
+    }
+    .ant-card.firefish-summary-card .ant-card-body {
+        padding: 16px !important;
+        border-radius: 8px !important;
+    }
+    .ant-card.firefish-summary-card h3 {
+        margin: 0 0 16px 0 !important;
+        font-size: 16px !important;
+        font-weight: 600 !important;
+        color: #262626 !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-metrics {
+        display: grid !important;
+        grid-template-columns: repeat(2, minmax(0,1fr)) !important;
+        gap: 12px !important;
+        margin-top: 8px !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-metric {
+        background: #f8f9fa !important;
+        border: 1px solid #e9ecef !important;
+        border-radius: 6px !important;
+        padding: 12px !important;
+        text-align: center !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-metric-label {
+        font-size: 12px !important;
+        color: #6c757d !important;
+        margin-bottom: 4px !important;
+        font-weight: 500 !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-metric-value {
+        font-size: 16px !important;
+        font-weight: 600 !important;
+        color: #262626 !important;
+    }
+    .ant-card.firefish-summary-card.firefish-summary-complete .positive { color: #52c41a !important; font-weight: 600 !important; }
+    .ant-card.firefish-summary-card.firefish-summary-complete .negative { color: #ff4d4f !important; font-weight: 600 !important; }
+    .ant-card.firefish-summary-card .portfolio-header {
+        display: flex !important;
+        justify-content: space-between !important;
+        align-items: flex-start !important;
+        gap: 12px !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-header-controls {
+        display: flex !important;
+        flex-direction: column !important;
+        align-items: flex-end !important;
+        gap: 6px !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-export {
+        font-size: 12px !important;
+        color: #6c757d !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-export-button {
+        margin-left: 4px !important;
+        padding: 1px 6px !important;
+        font-size: 11px !important;
+        border: 1px solid #d9d9d9 !important;
+        border-radius: 4px !important;
+        background: #ffffff !important;
+        cursor: pointer !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-currency-select {
+        font-size: 12px !important;
+        color: #6c757d !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-currency-select select {
+        margin-left: 6px !important;
+        padding: 2px 4px !important;
+        border: 1px solid #d9d9d9 !important;
+        border-radius: 4px !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-breakdown {
+        margin-top: 12px !important;
+        font-size: 12px !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-breakdown-title {
+        color: #6c757d !important;
+        font-weight: 500 !important;
+        margin-bottom: 4px !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-breakdown-row {
+        display: grid !important;
+        grid-template-columns: 48px 1fr 1fr 1fr !important;
+        gap: 8px !important;
+        padding: 4px 0 !important;
+        border-top: 1px solid #f0f0f0 !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-breakdown-currency {
+        font-weight: 600 !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-breakdown-note {
+        margin-top: 4px !important;
+        color: #faad14 !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-section + .portfolio-section {
+        margin-top: 16px !important;
+        padding-top: 12px !important;
+        border-top: 1px solid #f0f0f0 !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-section-title {
+        font-size: 13px !important;
+        font-weight: 600 !important;
+        color: #262626 !important;
+    }
+    .ant-card.firefish-summary-card .portfolio-simulator summary {
+        cursor: pointer !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-controls {
+        display: flex !important;
+        flex-wrap: wrap !important;
+        align-items: center !important;
+        gap: 8px 12px !important;
+        margin: 8px 0 !important;
+        font-size: 12px !important;
+        color: #6c757d !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-controls input {
+        margin-left: 6px !important;
+        padding: 2px 4px !important;
+        border: 1px solid #d9d9d9 !important;
+        border-radius: 4px !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-price {
+        width: 110px !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-scenario {
+        margin-right: 4px !important;
+        padding: 1px 6px !important;
+        font-size: 11px !important;
+        border: 1px solid #d9d9d9 !important;
+        border-radius: 4px !important;
+        background: #ffffff !important;
+        cursor: pointer !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-scenario.active {
+        border-color: #667eea !important;
+        background: #667eea !important;
+        color: #ffffff !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-summary {
+        font-size: 13px !important;
+        margin-bottom: 6px !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-row {
+        grid-template-columns: repeat(5, 1fr) 56px !important;
+        font-size: 12px !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-head {
+        color: #6c757d !important;
+        font-weight: 500 !important;
+    }
+    .ant-card.firefish-summary-card .pf-sim-warning {
+        color: #faad14 !important;
+        font-weight: 600 !important;
+    }
+    .ant-card.firefish-summary-card .positive { color: #52c41a !important; font-weight: 600 !important; }
+    .ant-card.firefish-summary-card .negative { color: #ff4d4f !important; font-weight: 600 !important; }
+    @media (max-width: 768px) {
+        .ant-card.firefish-summary-card .portfolio-metrics { grid-template-columns: 1fr !important; }
+    }
+`;
+
+export function injectStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = CSS;
+    document.head.appendChild(style);
+}
@@ -0,0 +1,129 @@
+// Insight+ for Firefish - Shared helpers: logging, page checks, number and date parsing
+
+import { CONFIG } from './config.js';
+import { money } from './money.js';
+import { dates } from './dates.js';
+
+export const utils = {
+    log: function(message, type = 'info') {
+        // Debug logging to see what's being passed
+        console.log('[Firefish-BTC] utils.log called with:', { message, type, typeType: typeof type });
+
+        // Ensure type is a string before calling toUpperCase
+        const safeType = typeof type === 'string' ? type : 'info';
+        console.log(`[Firefish-BTC] ${safeType.toUpperCase()}:`, message);
+    },
+
+    isFirefish: function() {
+        return window.location.hostname === CONFIG.firefishDomain;
+    },
+
+    // Page with loan cards: { role: 'borrower' (my loans) or 'lender' (my investments), tab: 'active'
+    // or 'closed' (repaid/closed loans) }, or null elsewhere
+    getLoansPage: function() {
+        if (window.location.hostname !== CONFIG.firefishDomain) return null;
+        const path = window.location.pathname.replace(/\/$/, '');
+        for (const [role, prefix] of Object.entries(CONFIG.loanPages)) {
+            if (!path.startsWith(prefix)) continue;
+            const tab = path.slice(prefix.length);
+            if (tab === 'active' || tab === 'closed') return { role, tab };
+        }
+        return null;
+    },
+
+    // Loans tab the page shows: 'active', 'closed' or null
+    getLoansTab: function() {
+        const page = utils.getLoansPage();
+        return page ? page.tab : null;
+    },
+
+    isFirefishLoansTabPage: function() {
+        return utils.getLoansTab() !== null;
+    },
+
+    debounce: function(func, wait) {
+        let timeout;
+        return function executedFunction(...args) {
+            const later = () => {
+                clearTimeout(timeout);
+                func(...args);
+            };
+            clearTimeout(timeout);
+            timeout = setTimeout(later, wait);
+        };
+    },
+
+    formatCurrency: function(amount, currency = 'USD') {
+        return new Intl.NumberFormat('en-US', {
+            style: 'currency',
+            currency: currency
+        }).format(amount);
+    },
+
+    // Format plain numbers with thousands separators and configurable decimals
+    formatNumber: function(value, fractionDigits = 2) {
+        try {
+            const num = typeof value === 'number' ? value : Number(value);
+            if (!isFinite(num)) return fractionDigits === 0 ? '0' : '0.' + '0'.repeat(fractionDigits);
+            return new Intl.NumberFormat('en-US', { minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits }).format(num);
+        } catch (e) {
+            return String(value ?? '');
+        }
+    },
+
+    // Parse numbers from text like "€3,732.68", "EUR 15,000", "-1.234,56", "185.000,00" (see money.parse)
+    parseNumberFromText: function(text) {
+        const parsed = money.parse(text);
+        return parsed ? parsed.amount : NaN;
+    },
+
+    safeQuerySelector: function(element, selector) {
+        try {
+            return element.querySelector(selector);
+        } catch (error) {
+            utils.log(`Error querying selector "${selector}": ${error.message}`, 'error');
+            return null;
+        }
+    },
+
+    // Parse Firefish "24 Nov 2024" dates (or any format dates.parse reads) into a UTC midnight Date
+    parseFirefishDate: function(firefishDate) {
+        return dates.parse(firefishDate);
+    },
+
+    // Format a Date back into the Firefish "24 Nov 2024" form
+    formatFirefishDate: function(date) {
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        return `${date.getUTCDate()} ${months[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+    },
+
+    // Whole days between two dates (negative if `to` is before `from`)
+    daysBetween: function(from, to) {
+        return Math.floor((to.getTime() - from.getTime()) / (24 * 60 * 60 * 1000));
+    },
+
+    // Parse loan terms like "12 months", "6 M", "1 year" or "180 days" into months/days
+    parseLoanTerm: function(text) {
+        const match = String(text || '').trim().match(/^(\d+(?:[.,]\d+)?)\s*(days?|d|months?|mo|m|years?|y)$/i);
+        if (!match) return null;
+
+        const value = parseFloat(match[1].replace(',', '.'));
+        const unit = match[2].toLowerCase();
+        if (!isFinite(value) || value <= 0) return null;
+
+        if (unit.startsWith('d')) {
+            return { months: null, days: Math.round(value) };
+        }
+        if (unit.startsWith('y')) {
+            return { months: value * 12, days: null };
+        }
+        return { months: value, days: null };
+    },
+
+    // Add calendar months to a UTC date
+    addMonths: function(date, months) {
+        const result = new Date(date.getTime());
+        result.setUTCMonth(result.getUTCMonth() + months);
+        return result;
+    }
+};
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+
+const CLOSED_URL = 'https://app.firefish.io/loans/tab/closed';
+
+// Prices from test/fixtures/coingecko: provision dates and the 15 Mar 2025 end date
+const PROVISION = { EUR: 94115.33, CHF: 84663.88 };
+const END = { EUR: 77139.43, CHF: 74092.6 };
+const CURRENT = { EUR: 95000, USD: 108000, CHF: 86000 };
+
+// Realized result: BTC change up to the end date minus interest accrued until then
+const realizedResult = (currency, amount, rate, days) =>
+    amount * (END[currency] / PROVISION[currency] - 1) - amount * rate / 100 / 365 * days;
+
+let harness;
+
+before(async () => {
+    harness = createHarness({ fixture: 'loans-closed-page.html', url: CLOSED_URL });
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 2, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+test('closed loans end at their repayment date, else at maturity', () => {
+    const [eur, chf] = harness.internals.firefishDetector.getAllLoanData();
+
+    assert.equal(eur.status, 'closed');
+    assert.equal(eur.repaidDate, '15 Mar 2025');
+    assert.equal(eur.endDate, '15 Mar 2025');
+    assert.equal(chf.status, 'closed');
+    assert.equal(chf.repaidDate, null);
+    assert.equal(chf.endDate, '15 Mar 2025');
+});
+
+test('closed loan cards show the realized outcome priced at repayment', () => {
+    const panel = harness.document.querySelector('.firefish-btc-results');
+
+    assert.match(panel.textContent, /BTC Price at Repayment/);
+    assert.match(panel.textContent, /Realized Loss/);
+    assert.doesNotMatch(panel.textContent, /BTC Price Now/);
+});
+
+test('realized results are stored for the dashboard of either tab', () => {
+    const stored = harness.storage.data.realizedLoans;
+    const eur = stored['address/bc1qeurclosed000000000000000000000000000001'];
+    const chf = stored['address/bc1qchfclosed000000000000000000000000000002'];
+
+    // 24 Nov 2024 → 15 Mar 2025 is 111 days, 1 Jan → 15 Mar 2025 is 73 days
+    assert.ok(Math.abs(eur.theoreticalResult - realizedResult('EUR', 10000, 12.5, 111)) < 0.01);
+    assert.ok(Math.abs(chf.theoreticalResult - realizedResult('CHF', 5000, 10, 73)) < 0.01);
+    assert.equal(eur.endDate, '15 Mar 2025');
+});
+
+test('the closed tab dashboard shows lifetime realized results only', async () => {
+    const totals = harness.internals.portfolioDashboard.aggregatePortfolioData();
+
+    assert.equal(totals.unrealizedCount, 0);
+    assert.equal(totals.realized.count, 2);
+    assert.equal(totals.realized.outperformingCount, 0);
+    assert.deepEqual(Object.keys(totals.realized.byCurrency).sort(), ['CHF', 'EUR']);
+
+    await harness.waitFor(() => harness.document.querySelector('.portfolio-summary-complete'));
+    assert.ok(harness.document.querySelector('.portfolio-summary-card .portfolio-realized'));
+    assert.equal(harness.document.querySelector('.portfolio-summary-card .portfolio-unrealized'), null);
+});
+
+test('the active tab dashboard shows stored realized results next to unrealized ones', async () => {
+    const active = createHarness({ storage: { realizedLoans: harness.storage.data.realizedLoans } });
+    try {
+        await active.waitFor(() => active.document.querySelector('.portfolio-summary-complete'), { timeout: 20000 });
+        const totals = active.internals.portfolioDashboard.aggregatePortfolioData();
+        const toEur = (value, currency) => value * CURRENT.EUR / CURRENT[currency];
+
+        assert.equal(totals.unrealizedCount, 3);
+        assert.equal(totals.realized.count, 2);
+        assert.ok(Math.abs(totals.realized.totalTheoretical -
+            (toEur(realizedResult('EUR', 10000, 12.5, 111), 'EUR') + toEur(realizedResult('CHF', 5000, 10, 73), 'CHF'))) < 0.01);
+        assert.ok(active.document.querySelector('.portfolio-summary-card .portfolio-unrealized'));
+        assert.ok(active.document.querySelector('.portfolio-summary-card .portfolio-realized'));
+    } finally {
+        active.close();
+    }
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { dates } from '../src/content/dates.js';
+import { createHarness } from './helpers/harness.js';
+
+const iso = (text, locale = 'en') => {
+    const date = dates.parse(text, { locale });
+    return date ? dates.toISODate(date) : null;
+};
+
+test('parse reads English, German and Czech month names', () => {
+    assert.equal(iso('24 Nov 2024'), '2024-11-24');
+    assert.equal(iso('Nov 24, 2024'), '2024-11-24');
+    assert.equal(iso('24. November 2024'), '2024-11-24');
+    assert.equal(iso('3. März 2025'), '2025-03-03');
+    assert.equal(iso('24 Sept. 2024'), '2024-09-24');
+    assert.equal(iso('24. listopadu 2024'), '2024-11-24');
+    assert.equal(iso('1. května 2025'), '2025-05-01');
+});
+
+test('parse reads numeric and ISO dates', () => {
+    assert.equal(iso('24.11.2024'), '2024-11-24');
+    assert.equal(iso('24. 11. 2024'), '2024-11-24');
+    assert.equal(iso('2024/11/24'), '2024-11-24');
+    assert.equal(iso('2024-11-24'), '2024-11-24');
+    assert.equal(iso('2024-11-24T23:30:00Z'), '2024-11-24');
+    // An impossible month settles the order regardless of locale
+    assert.equal(iso('11/24/2024', 'en-GB'), '2024-11-24');
+    assert.equal(iso('24/11/2024', 'en-US'), '2024-11-24');
+});
+
+test('parse follows the locale for ambiguous day/month order', () => {
+    assert.equal(iso('01/02/2025', 'en-US'), '2025-01-02');
+    assert.equal(iso('01/02/2025', 'en-GB'), '2025-02-01');
+});
+
+test('parse rejects text without a valid date', () => {
+    assert.equal(iso('31 Feb 2024'), null);
+    assert.equal(iso('12 months'), null);
+    assert.equal(iso('EUR 10,000'), null);
+    assert.equal(iso(''), null);
+});
+
+let harness;
+const extractCard = (index) => {
+    const cards = harness.document.querySelectorAll('._activeCard_fvh4n_5');
+    return harness.internals.firefishDetector.extractFirefishLoanData(cards[index]);
+};
+
+before(() => {
+    harness = createHarness({ fixture: 'loans-page-localized.html' });
+});
+
+after(() => harness.close());
+
+test('convertFirefishDateToCoinGecko accepts localized dates', () => {
+    const { btcApiClient } = harness.internals;
+    assert.equal(btcApiClient.convertFirefishDateToCoinGecko('24 Nov 2024'), '24-11-2024');
+    assert.equal(btcApiClient.convertFirefishDateToCoinGecko('1. ledna 2025'), '01-01-2025');
+    assert.equal(btcApiClient.convertFirefishDateToCoinGecko('no date'), null);
+});
+
+test('extractFirefishLoanData tells localized provision, maturity and liquidation dates apart', () => {
+    const data = extractCard(0);
+
+    assert.equal(data.currency, 'EUR');
+    assert.equal(data.loanAmount, 10000);
+    assert.equal(data.interestRate, 12.5);
+    assert.equal(data.provisionDate, '24 Nov 2024');
+    assert.equal(data.maturityDate, '24 Nov 2025');
+    assert.equal(data.liquidationDate, '3 Mar 2025');
+    assert.equal(data.termDays, 365);
+});
+
+test('extractFirefishLoanData reads Czech month names and ISO titles', () => {
+    const data = extractCard(1);
+
+    assert.equal(data.currency, 'CZK');
+    assert.equal(data.loanAmount, 250000);
+    assert.equal(data.provisionDate, '1 Jan 2025');
+    assert.equal(data.maturityDate, '1 Jul 2025');
+    assert.equal(data.liquidationDate, null);
+    assert.equal(data.termDays, 181);
+});
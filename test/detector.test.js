@@ -0,0 +1,62 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+
+let harness;
+let firefishDetector;
+
+before(() => {
+    harness = createHarness();
+    firefishDetector = harness.internals.firefishDetector;
+});
+
+after(() => harness.close());
+
+const cardByAmount = (amountText) => Array.from(harness.document.querySelectorAll('._activeCard_fvh4n_5'))
+    .find(card => card.querySelector('._amount_148t9_34').textContent.trim() === amountText);
+
+test('detectFirefishLoanCards skips pending and incomplete cards', () => {
+    const cards = firefishDetector.detectFirefishLoanCards();
+
+    assert.equal(cards.length, 3);
+    assert.deepEqual(
+        // Arrays from the jsdom window belong to another realm; copy before deepEqual
+        [...cards].map(card => card.querySelector('._amount_148t9_34').textContent.trim()),
+        ['EUR 10,000', 'CHF 5,000.50', 'USD 25,000']
+    );
+});
+
+test('detectFirefishLoanCards reports the hashed selector profile', () => {
+    firefishDetector.detectFirefishLoanCards();
+    assert.equal(harness.internals.selectorProfiles.report.id, 'firefish-hashed');
+});
+
+test('extractFirefishLoanData reads an active EUR loan with a term', () => {
+    const data = firefishDetector.extractFirefishLoanData(cardByAmount('EUR 10,000'));
+
+    assert.equal(data.isValid, true);
+    assert.equal(data.currency, 'EUR');
+    assert.equal(data.loanAmount, 10000);
+    assert.equal(data.interestRate, 12.5);
+    assert.equal(data.provisionDate, '24 Nov 2024');
+    assert.equal(data.collateralBTC, 0.25891);
+    assert.equal(data.maturityDate, '24 Nov 2025');
+    assert.equal(data.termDays, 365);
+    assert.equal(data.loanId, 'address/bc1qeurloan0000000000000000000000000000001');
+});
+
+test('extractFirefishLoanData keeps provision and maturity dates apart', () => {
+    const data = firefishDetector.extractFirefishLoanData(cardByAmount('CHF 5,000.50'));
+
+    assert.equal(data.currency, 'CHF');
+    assert.equal(data.loanAmount, 5000.5);
+    assert.equal(data.provisionDate, '1 Jan 2025');
+    assert.equal(data.maturityDate, '1 Jul 2025');
+    assert.equal(data.termDays, 181);
+    assert.equal(data.collateralBTC, 0.1);
+});
+
+test('extractFirefishLoanData returns null for pending and incomplete cards', () => {
+    assert.equal(firefishDetector.extractFirefishLoanData(cardByAmount('EUR 3,000')), null);
+    assert.equal(firefishDetector.extractFirefishLoanData(cardByAmount('EUR 7,500')), null);
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+
+const EUR_LOAN = 'address/bc1qeurloan0000000000000000000000000000001';
+
+// Entries of a zip with stored (uncompressed) files, read from the local headers
+function readZip(bytes) {
+    const buffer = Buffer.from(bytes);
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const method = buffer.readUInt16LE(offset + 8);
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        assert.equal(method, 0);
+        files[name] = buffer.toString('utf8', start, start + size);
+        offset = start + size;
+    }
+    return files;
+}
+
+let harness;
+
+before(async () => {
+    harness = createHarness();
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+test('CSV has a header and one row per analyzed loan', () => {
+    const { content, filename, rowCount } = harness.internals.exporter.build('csv');
+    const lines = content.replace(/^\ufeff/, '').trim().split('\r\n');
+    const header = lines[0].split(',');
+    const eur = lines.find(line => line.startsWith(EUR_LOAN)).split(',');
+    const column = (name) => eur[header.indexOf(name)];
+
+    assert.match(filename, /^firefish-loans-\d{4}-\d{2}-\d{2}\.csv$/);
+    assert.equal(rowCount, 3);
+    assert.equal(lines.length, 4);
+    assert.equal(column('Currency'), 'EUR');
+    assert.equal(column('Amount'), '10000');
+    assert.equal(column('Interest Rate (%)'), '12.5');
+    assert.equal(column('Provision Date'), '2024-11-24');
+    assert.equal(column('Collateral (BTC)'), '0.25891');
+    assert.equal(column('BTC Price at Provision'), '94115.33');
+    assert.equal(column('BTC Price Now or at End'), '95000');
+    assert.equal(column('LTV (%)'), String(Math.round(11250 / (0.25891 * 95000) * 10000) / 100));
+});
+
+test('JSON carries the same rows', () => {
+    const { content } = harness.internals.exporter.build('json');
+    const { exportedAt, loans } = JSON.parse(content);
+    const eur = loans.find(loan => loan.loanId === EUR_LOAN);
+
+    assert.ok(exportedAt);
+    assert.equal(loans.length, 3);
+    assert.equal(eur.role, 'borrower');
+    assert.equal(eur.interest, 1250);
+    assert.equal(eur.theoreticalResult, Math.round((10000 * (95000 / 94115.33 - 1) - 1250) * 100) / 100);
+});
+
+test('XLSX is a workbook with one sheet of the loans', () => {
+    const { content } = harness.internals.exporter.build('xlsx');
+    const files = readZip(content);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+
+    assert.deepEqual(Object.keys(files).sort(), [
+        '[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+    ]);
+    assert.equal((sheet.match(/<row /g) || []).length, 4);
+    assert.match(sheet, /<c r="A1" t="inlineStr"><is><t>Loan ID<\/t><\/is><\/c>/);
+    assert.match(sheet, /<c r="E\d"><v>10000<\/v><\/c>/);
+});
+
+test('the popup receives the export through a message, XLSX as base64', async () => {
+    const csv = await harness.sendToContent({ action: 'exportAnalysis', format: 'csv' });
+    const xlsx = await harness.sendToContent({ action: 'exportAnalysis', format: 'xlsx' });
+    const unknown = await harness.sendToContent({ action: 'exportAnalysis', format: 'pdf' });
+
+    assert.equal(csv.success, true);
+    assert.equal(csv.encoding, 'utf8');
+    assert.equal(xlsx.encoding, 'base64');
+    assert.ok(readZip(Buffer.from(xlsx.content, 'base64'))['xl/workbook.xml']);
+    assert.equal(unknown.success, false);
+});
+
+test('the portfolio dashboard offers the export formats', async () => {
+    await harness.waitFor(() => harness.document.querySelector('.portfolio-summary-complete'));
+    const buttons = harness.document.querySelectorAll('.portfolio-summary-card [data-export-format]');
+    assert.deepEqual([...buttons].map(button => button.dataset.exportFormat), ['csv', 'json', 'xlsx']);
+});
@@ -0,0 +1,256 @@
+// Insight+ for Firefish - jsdom test harness
+// Loads the content script bundle (built in memory from src/content) into a jsdom window with a Firefish page fixture, and background.js
+// (with priceProviders.js) into a separate VM context standing in for the service worker.
+// chrome.runtime.sendMessage from the page is routed to the worker's onMessage listeners,
+// and the worker's fetch is served from the recorded-shape CoinGecko fixtures.
+
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import * as esbuild from 'esbuild';
+import { contentScriptBuild } from '../../tools/build.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(HERE, '..', '..');
+const FIXTURES = path.join(HERE, '..', 'fixtures');
+const LOANS_URL = 'https://app.firefish.io/loans/tab/active';
+
+const quietConsole = { log() {}, info() {}, warn() {}, error() {}, group() {}, groupEnd() {}, debug() {} };
+const testConsole = process.env.DEBUG_HARNESS ? console : quietConsole;
+
+// The same bundle `npm run build` writes to dist/content.js, built once per test file
+let contentBundle = null;
+function loadContentBundle() {
+    if (!contentBundle) {
+        const result = esbuild.buildSync({ ...contentScriptBuild, write: false, logLevel: 'silent' });
+        contentBundle = result.outputFiles[0].text;
+    }
+    return contentBundle;
+}
+
+export function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+export function jsonResponse(body, status = 200, headers = {}) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: (name) => headers[name] ?? headers[name.toLowerCase()] ?? null },
+        json: async () => body
+    };
+}
+
+// Serve CoinGecko requests from test/fixtures/coingecko; anything else (e.g. Kraken) is a 404
+export function fixtureFetch(url) {
+    const parsed = new URL(url);
+    const fixture = (name) => {
+        const file = path.join(FIXTURES, 'coingecko', name);
+        return fs.existsSync(file) ? jsonResponse(JSON.parse(fs.readFileSync(file, 'utf8'))) : jsonResponse({ error: 'not found' }, 404);
+    };
+
+    if (parsed.hostname !== 'api.coingecko.com') return jsonResponse({ error: 'not found' }, 404);
+    if (parsed.pathname.endsWith('/simple/price')) return fixture('simple-price.json');
+    if (parsed.pathname.endsWith('/coins/bitcoin/history')) return fixture(`history-${parsed.searchParams.get('date')}.json`);
+    if (parsed.pathname.endsWith('/market_chart/range')) return fixture(`range-${parsed.searchParams.get('vs_currency')}.json`);
+    return jsonResponse({ error: 'not found' }, 404);
+}
+
+function createStorage(initial = {}) {
+    const data = JSON.parse(JSON.stringify(initial));
+    const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    const listeners = [];
+    // chrome.storage.onChanged with { key: { oldValue, newValue } } for every written key
+    const notify = (keys, write) => {
+        const changes = {};
+        keys.forEach(key => {
+            const oldValue = copy(data[key]);
+            write(key);
+            changes[key] = { oldValue, newValue: copy(data[key]) };
+        });
+        listeners.forEach(listener => listener(changes, 'local'));
+    };
+
+    return {
+        data,
+        local: {
+            async get(keys) {
+                const result = {};
+                const list = keys == null ? Object.keys(data) : [].concat(keys);
+                list.forEach(key => {
+                    if (key in data) result[key] = copy(data[key]);
+                });
+                return result;
+            },
+            async set(items) {
+                const values = copy(items);
+                notify(Object.keys(values), key => { data[key] = values[key]; });
+            },
+            async remove(keys) {
+                notify([].concat(keys), key => { delete data[key]; });
+            }
+        },
+        onChanged: { addListener: (listener) => listeners.push(listener) }
+    };
+}
+
+// Load background.js into its own context; returns the context and a sendMessage into it
+function loadBackground({ storage, fetch }) {
+    const listeners = [];
+    const intervals = [];
+    const alarms = new Map();
+    const alarmListeners = [];
+    const notifications = [];
+    const badges = new Map();
+    const context = {
+        console: testConsole,
+        fetch,
+        URL,
+        setTimeout,
+        clearTimeout,
+        setInterval: (fn, ms) => {
+            const id = setInterval(fn, ms);
+            intervals.push(id);
+            return id;
+        },
+        clearInterval,
+        chrome: {
+            runtime: {
+                onMessage: { addListener: (listener) => listeners.push(listener) },
+                onInstalled: { addListener() {} },
+                onStartup: { addListener() {} },
+                sendMessage: async () => undefined
+            },
+            // Badges are kept per tab
+            action: {
+                onClicked: { addListener() {} },
+                setBadgeText: ({ tabId, text }) => { badges.set(tabId, Object.assign({}, badges.get(tabId), { text })); },
+                setBadgeBackgroundColor: ({ tabId, color }) => { badges.set(tabId, Object.assign({}, badges.get(tabId), { color })); }
+            },
+            tabs: { query: async () => [], sendMessage: async () => undefined, create: async () => ({}) },
+            // Alarms are recorded, not scheduled; fireAlarm() runs them on demand
+            alarms: {
+                create: (name, info) => { alarms.set(name, Object.assign({ name }, info)); },
+                get: async (name) => alarms.get(name),
+                clear: async (name) => alarms.delete(name),
+                onAlarm: { addListener: (listener) => alarmListeners.push(listener) }
+            },
+            notifications: {
+                create: (id, options) => { notifications.push(Object.assign({ id }, options)); },
+                clear: async () => true,
+                onClicked: { addListener() {} }
+            },
+            storage
+        }
+    };
+    context.self = context;
+    context.globalThis = context;
+    context.importScripts = (...files) => files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+
+    // Messages cross a structured-clone boundary in Chrome; JSON round-trips mimic that
+    const sendMessage = (message) => new Promise(resolve => {
+        let keepOpen = false;
+        let answered = false;
+        listeners.forEach(listener => {
+            const result = listener(JSON.parse(JSON.stringify(message)), { tab: { id: 1 } }, (response) => {
+                answered = true;
+                resolve(response === undefined ? undefined : JSON.parse(JSON.stringify(response)));
+            });
+            if (result === true) keepOpen = true;
+        });
+        if (!keepOpen && !answered) resolve(undefined);
+    });
+
+    return {
+        context,
+        sendMessage,
+        alarms,
+        notifications,
+        badges,
+        fireAlarm: (name) => alarmListeners.forEach(listener => listener(alarms.get(name) || { name })),
+        close: () => intervals.forEach(clearInterval)
+    };
+}
+
+/**
+ * Start a page with the content script running against an HTML fixture.
+ * Options: fixture (file in test/fixtures), url, settings, storage (initial chrome.storage.local),
+ * fetch (url => response, wraps or replaces fixtureFetch).
+ */
+export function createHarness(options = {}) {
+    const requests = [];
+    const storage = createStorage(Object.assign({}, options.storage, options.settings ? { settings: options.settings } : {}));
+    const fetchImpl = options.fetch || fixtureFetch;
+    const fetch = async (url) => {
+        requests.push(url);
+        return fetchImpl(url, fixtureFetch);
+    };
+
+    const background = loadBackground({ storage, fetch });
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${readFixture(options.fixture || 'loans-page.html')}</body></html>`, {
+        url: options.url || LOANS_URL,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    const contentListeners = [];
+
+    window.console = testConsole;
+    window.alert = () => {};
+    // Browser APIs jsdom leaves out
+    window.TextEncoder = TextEncoder;
+    window.Element.prototype.scrollIntoView = function() {};
+    window.__FIREFISH_BTC_TEST__ = {};
+    window.chrome = {
+        runtime: {
+            onMessage: { addListener: (listener) => contentListeners.push(listener) },
+            sendMessage: (message, callback) => {
+                const response = background.sendMessage(message);
+                if (callback) response.then(callback);
+                return response;
+            },
+            getURL: (file) => `chrome-extension://test/${file}`
+        },
+        storage
+    };
+    window.eval(loadContentBundle());
+
+    return {
+        window,
+        document: window.document,
+        internals: window.__FIREFISH_BTC_TEST__.internals,
+        background,
+        storage,
+        requests,
+
+        // Send a message to the content script as the popup would
+        sendToContent(message) {
+            return new Promise(resolve => {
+                contentListeners.forEach(listener => listener(message, {}, resolve));
+            });
+        },
+
+        async waitFor(predicate, { timeout = 10000, interval = 50 } = {}) {
+            const start = Date.now();
+            while (Date.now() - start < timeout) {
+                const value = predicate();
+                if (value) return value;
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+            throw new Error(`waitFor timed out after ${timeout}ms`);
+        },
+
+        close() {
+            background.close();
+            window.close();
+        }
+    };
+}
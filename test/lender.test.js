@@ -0,0 +1,113 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+import { performanceEngine } from '../src/content/performance.js';
+
+const INVESTMENTS_URL = 'https://app.firefish.io/investments/tab/active';
+
+// Prices from test/fixtures/coingecko: provision dates and the 15 Mar 2025 repayment date
+const PROVISION = { EUR: 94115.33, CHF: 84663.88 };
+const END = { CHF: 74092.6 };
+const CURRENT = { EUR: 95000, CHF: 86000 };
+
+// Summary stored from the active loans tab on an earlier visit
+const STORED_SUMMARY = { pageUrl: 'https://app.firefish.io/loans/tab/active', totals: { activeCount: 1 }, loans: [{ loanId: 'address/stored' }] };
+
+let harness;
+
+before(async () => {
+    harness = createHarness({
+        fixture: 'investments-page.html',
+        url: INVESTMENTS_URL,
+        storage: { portfolioSummary: STORED_SUMMARY }
+    });
+    await harness.waitFor(() => harness.document.querySelector('.investor-summary-complete'), { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+test('lender performance compares interest earned with holding BTC', () => {
+    const loanData = {
+        currency: 'EUR', loanAmount: 10000, interestRate: 8, termDays: 365,
+        provisionDate: '1 Jan 2025', maturityDate: '1 Jan 2026', status: 'active'
+    };
+    const performance = performanceEngine.calculateLenderPerformance(loanData, 101000, 100000, new Date(Date.UTC(2025, 2, 15)));
+
+    // 73 days at 8% on 10,000 earn 160; BTC would have gained 1%
+    assert.ok(Math.abs(performance.raw.interestEarned - 160) < 1e-9);
+    assert.ok(Math.abs(performance.raw.btcHoldValueChange - 100) < 1e-9);
+    assert.ok(Math.abs(performance.raw.lendingVsBTC - 60) < 1e-9);
+    assert.equal(performance.isOutperforming, true);
+    assert.equal(performance.lendingVsBTCLabel, 'Lending Beat Holding BTC by');
+    assert.equal(performance.realized, false);
+});
+
+test('cards on the investments page are analyzed as investments', () => {
+    const [eur, chf] = harness.internals.firefishDetector.getAllLoanData();
+
+    assert.equal(eur.role, 'lender');
+    assert.equal(chf.role, 'lender');
+    assert.equal(chf.status, 'closed');
+    assert.equal(chf.endDate, '15 Mar 2025');
+
+    const panels = harness.document.querySelectorAll('.firefish-btc-results.firefish-btc-lender');
+    assert.equal(panels.length, 2);
+    assert.match(panels[0].textContent, /Lending Yield Analysis/);
+    assert.match(panels[1].textContent, /BTC Price at Repayment/);
+});
+
+test('investment results are not recorded as realized borrower loans', () => {
+    assert.equal(harness.storage.data.realizedLoans, undefined);
+});
+
+test('the investor dashboard replaces the borrower dashboard on the investments page', () => {
+    const totals = harness.internals.investorDashboard.aggregateInvestorData();
+    const toEur = (value, currency) => value * CURRENT.EUR / CURRENT[currency];
+
+    // Active EUR: matured, so the full year of interest; closed CHF: 1 Jan → 15 Mar 2025 is 73 days
+    const eurInterest = 10000 * 0.08;
+    const eurVsBTC = eurInterest - 10000 * (CURRENT.EUR / PROVISION.EUR - 1);
+    const chfInterest = 5000 * 0.10 / 365 * 73;
+    const chfVsBTC = chfInterest - 5000 * (END.CHF / PROVISION.CHF - 1);
+
+    assert.equal(totals.totalInvestments, 2);
+    assert.equal(totals.active.count, 1);
+    assert.equal(totals.closed.count, 1);
+    assert.ok(Math.abs(totals.active.totalInterestEarned - eurInterest) < 0.01);
+    assert.ok(Math.abs(totals.active.totalLendingVsBTC - eurVsBTC) < 0.01);
+    assert.ok(Math.abs(totals.closed.totalLendingVsBTC - toEur(chfVsBTC, 'CHF')) < 0.01);
+    assert.equal(totals.closed.outperformingCount, 1);
+
+    assert.ok(harness.document.querySelector('.investor-summary-card .investor-active'));
+    assert.ok(harness.document.querySelector('.investor-summary-card .investor-closed'));
+    assert.equal(harness.document.querySelector('.portfolio-summary-card'), null);
+});
+
+test('investments are listed in the popup summary but left out of its borrower totals', async () => {
+    const { data } = await harness.sendToContent({ action: 'getPortfolioSummary' });
+
+    assert.equal(data.loans.length, 2);
+    assert.ok(data.loans.every(loan => loan.role === 'lender'));
+    assert.equal(data.totals.analyzedCount, 2);
+    assert.equal(data.totals.activeCount, 0);
+    assert.equal(data.totals.outperformingCount, 0);
+    assert.equal(data.totals.totalTheoretical, 0);
+    assert.equal(data.totals.weightedAverageRate, null);
+});
+
+test('the investments tab leaves the stored borrower summary for the popup in place', async () => {
+    // Past the summary's 1s save debounce
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    assert.deepEqual(harness.storage.data.portfolioSummary, STORED_SUMMARY);
+});
+
+test('borrower loan pages get no investor dashboard', async () => {
+    const loans = createHarness();
+    try {
+        await loans.waitFor(() => loans.document.querySelector('.portfolio-summary-complete'), { timeout: 20000 });
+        assert.equal(loans.document.querySelector('.investor-summary-card'), null);
+        assert.ok(loans.internals.firefishDetector.getAllLoanData().every(loan => loan.role === 'borrower'));
+    } finally {
+        loans.close();
+    }
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+import { createMockPriceServer } from '../tools/mock-price-server.js';
+
+const EUR_LOAN = 'address/bc1qeurloan0000000000000000000000000000001';
+// Monitored on an earlier visit, repaid since: no longer on the active tab
+const REPAID_LOAN = 'address/bc1qrepaidloan00000000000000000000000000001';
+
+let server;
+let harness;
+
+// Set current prices on the mock server, as `GET /set?eur=50000` would
+const setPrices = async (prices) => {
+    await fetch(`http://localhost:${server.address().port}/set?${new URLSearchParams(prices)}`);
+};
+const checkLTV = async () => (await harness.background.sendMessage({ action: 'checkLTV' })).data;
+
+before(async () => {
+    server = createMockPriceServer({ eur: 95000, usd: 108000, chf: 86000 });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    harness = createHarness({
+        storage: {
+            monitoredLoans: {
+                [REPAID_LOAN]: {
+                    loanId: REPAID_LOAN,
+                    currency: 'EUR',
+                    loanAmount: 20000,
+                    debt: 22000,
+                    collateralBTC: 0.3,
+                    provisionDate: '01 Jan 2024',
+                    maturityDate: '01 Jan 2025',
+                    seenAt: Date.now() - 30 * 24 * 60 * 60 * 1000
+                }
+            }
+        },
+        settings: {
+            priceProvider: 'custom',
+            customPriceEndpoint: `http://localhost:${server.address().port}`,
+            notifications: true,
+            autoRefresh: true,
+            refreshInterval: 10,
+            alertPrices: { EUR: 60000 }
+        },
+        // The service worker talks to the mock server; everything else comes from the fixtures
+        fetch: (url, fixtureFetch) => url.startsWith('http://localhost') ? fetch(url) : fixtureFetch(url)
+    });
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+    await harness.waitFor(() => {
+        const loanIds = Object.keys(harness.storage.data.monitoredLoans || {});
+        return loanIds.length === 3 && !loanIds.includes(REPAID_LOAN);
+    });
+});
+
+after(async () => {
+    harness.close();
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('analyzed active loans are stored for the background monitor', () => {
+    const eur = harness.storage.data.monitoredLoans[EUR_LOAN];
+
+    assert.equal(eur.currency, 'EUR');
+    assert.equal(eur.collateralBTC, 0.25891);
+    // Amount to repay: 10,000 plus 12.5% over the one-year term
+    assert.ok(Math.abs(eur.debt - 11250) < 1e-9);
+});
+
+test('loans missing from the analyzed active tab stop being monitored', async () => {
+    assert.equal(harness.storage.data.monitoredLoans[REPAID_LOAN], undefined);
+    assert.equal((await checkLTV()).checked, 3);
+});
+
+test('the monitor alarm follows the refresh interval', async () => {
+    const alarm = await harness.waitFor(() => harness.background.alarms.get('ltv-monitor'));
+
+    assert.equal(alarm.periodInMinutes, 10);
+});
+
+test('no alert while every loan is below its thresholds', async () => {
+    const result = await checkLTV();
+
+    assert.equal(result.checked, 3);
+    assert.deepEqual(result.alerts, []);
+    assert.equal(harness.background.notifications.length, 0);
+});
+
+test('a BTC drop past the margin-call LTV and the price alert notifies once', async () => {
+    // 11,250 / (0.25891 BTC × 50,000) = 86.9% LTV
+    await setPrices({ eur: 50000, usd: 108000, chf: 86000 });
+    const result = await checkLTV();
+
+    assert.deepEqual(result.alerts.map(alert => alert.type).sort(), ['marginCall', 'price']);
+    assert.equal(result.alerts.find(alert => alert.type === 'marginCall').loanId, EUR_LOAN);
+    assert.deepEqual(harness.background.notifications.map(n => n.title).sort(), ['BTC price alert', 'Margin call LTV reached']);
+
+    // Same level on the next check: nothing new
+    assert.deepEqual((await checkLTV()).alerts, []);
+    assert.equal(harness.background.notifications.length, 2);
+});
+
+test('the alarm raises the liquidation alert when the price keeps falling', async () => {
+    // 11,250 / (0.25891 BTC × 45,000) = 96.6% LTV
+    await setPrices({ eur: 45000 });
+    harness.background.fireAlarm('ltv-monitor');
+
+    const notification = await harness.waitFor(() =>
+        harness.background.notifications.find(n => n.title === 'Loan at liquidation LTV'));
+    assert.match(notification.message, /96\.6% LTV \(threshold 95%\)/);
+    assert.equal(notification.priority, 2);
+});
+
+test('turning notifications off stops the monitor', async () => {
+    const { settings } = await harness.storage.local.get('settings');
+    await harness.storage.local.set({ settings: Object.assign(settings, { notifications: false }) });
+
+    await harness.waitFor(() => !harness.background.alarms.has('ltv-monitor'));
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { money } from '../src/content/money.js';
+
+test('parse keeps the decimal part of loan amounts', () => {
+    assert.deepEqual(money.parse('CHF 5,000.50'), { currency: 'CHF', amount: 5000.5 });
+    assert.deepEqual(money.parse('EUR 10,000'), { currency: 'EUR', amount: 10000 });
+});
+
+test('parse reads non-breaking spaces, trailing codes and European formats', () => {
+    assert.deepEqual(money.parse('EUR 10,000.25'), { currency: 'EUR', amount: 10000.25 });
+    assert.deepEqual(money.parse('5.000,50 EUR'), { currency: 'EUR', amount: 5000.5 });
+    assert.deepEqual(money.parse('10 000,75 EUR'), { currency: 'EUR', amount: 10000.75 });
+    assert.deepEqual(money.parse('CHF 5’000.50'), { currency: 'CHF', amount: 5000.5 });
+    assert.deepEqual(money.parse('-€250.75'), { currency: 'EUR', amount: -250.75 });
+});
+
+test('parse returns no currency for bare numbers and null without digits', () => {
+    assert.deepEqual(money.parse('12,5 %'), { currency: null, amount: 12.5 });
+    assert.equal(money.parse('n/a'), null);
+    assert.equal(money.parse(''), null);
+});
+
+test('a lone separator before three digits follows the currency decimals, then the locale', () => {
+    // EUR has two decimals, so "5.000" can only be thousands
+    assert.equal(money.parse('EUR 5.000', { locale: 'en' }).amount, 5000);
+    // Without a currency the page locale decides
+    assert.equal(money.parse('5.000', { locale: 'de' }).amount, 5000);
+    assert.equal(money.parse('5.000', { locale: 'en' }).amount, 5);
+    assert.equal(money.parse('5,000', { locale: 'de' }).amount, 5);
+    // BTC amounts are never grouped after a leading zero
+    assert.deepEqual(money.parse('0.123 BTC', { locale: 'de' }), { currency: 'BTC', amount: 0.123 });
+});
+
+test('an undecidable separator is read as thousands and reported', () => {
+    const before = money.warnings.length;
+    // fr groups with spaces and uses "," for decimals, so "." is neither
+    assert.equal(money.parse('5.000', { locale: 'fr' }).amount, 5000);
+
+    assert.equal(money.warnings.length, before + 1);
+    const warning = money.warnings[money.warnings.length - 1];
+    assert.equal(warning.type, 'amount-extraction');
+    assert.equal(warning.reason, 'ambiguous-separator');
+    assert.equal(warning.locale, 'fr');
+    assert.deepEqual(warning.candidates, { grouping: 5000, decimal: 5 });
+});
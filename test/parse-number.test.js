@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { utils } from '../src/content/utils.js';
+
+const parse = (text) => utils.parseNumberFromText(text);
+
+test('parseNumberFromText reads comma thousands separators', () => {
+    assert.equal(parse('EUR 10,000'), 10000);
+    assert.equal(parse('1,234,567'), 1234567);
+});
+
+test('parseNumberFromText reads dot decimals with comma thousands', () => {
+    assert.equal(parse('CHF 5,000.50'), 5000.5);
+    assert.equal(parse('1,234.56'), 1234.56);
+});
+
+test('parseNumberFromText reads European formats', () => {
+    assert.equal(parse('5.000,50 €'), 5000.5);
+    assert.equal(parse('1.234.567'), 1234567);
+    assert.equal(parse('12,5 %'), 12.5);
+    assert.equal(parse('1.234.567,89'), 1234567.89);
+});
+
+test('parseNumberFromText keeps a leading minus sign', () => {
+    assert.equal(parse('-1,234.5'), -1234.5);
+    assert.equal(parse('-€250.75'), -250.75);
+});
+
+test('parseNumberFromText reads plain numbers and percentages', () => {
+    assert.equal(parse('12.5%'), 12.5);
+    assert.equal(parse('0.25891 BTC'), 0.25891);
+    assert.equal(parse('42'), 42);
+});
+
+test('parseNumberFromText returns NaN without digits', () => {
+    assert.ok(Number.isNaN(parse('')));
+    assert.ok(Number.isNaN(parse(null)));
+    assert.ok(Number.isNaN(parse('n/a')));
+});
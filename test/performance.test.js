@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONFIG } from '../src/content/config.js';
+import { performanceEngine } from '../src/content/performance.js';
+
+const calculate = (...args) => performanceEngine.calculateFirefishBTCPerformance(...args);
+
+const loan = {
+    currency: 'EUR',
+    loanAmount: 10000,
+    interestRate: 12.5,
+    provisionDate: '24 Nov 2024',
+    collateralBTC: 0.25891,
+    maturityDate: '24 Nov 2025',
+    termDays: 365
+};
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+
+test('theoretical result is the BTC value change minus interest accrued to date', () => {
+    // 73 days after provision: 10,000 × 12.5% / 365 × 73 = 250
+    const performance = calculate(loan, 75000, 50000, day('2025-02-05'));
+
+    assert.equal(performance.elapsedDays, 73);
+    assert.equal(performance.raw.btcValueChange, 5000);
+    assert.ok(Math.abs(performance.raw.accruedInterest - 250) < 1e-9);
+    assert.ok(Math.abs(performance.raw.theoreticalResult - 4750) < 1e-9);
+    assert.equal(performance.raw.btcPercentageChange, 50);
+    assert.equal(performance.isOutperforming, true);
+    assert.equal(performance.theoreticalLabel, 'Theoretical Gain');
+});
+
+test('full-term interest covers the whole term regardless of the valuation date', () => {
+    const performance = calculate(loan, 75000, 50000, day('2025-02-05'));
+
+    assert.ok(Math.abs(performance.raw.fullTermInterest - 1250) < 1e-9);
+    assert.ok(Math.abs(performance.raw.dailyInterest - 10000 * 0.125 / 365) < 1e-12);
+    assert.equal(performance.termKnown, true);
+});
+
+test('accrued interest is clamped to the term after maturity', () => {
+    const performance = calculate(loan, 75000, 50000, day('2026-06-01'));
+
+    assert.equal(performance.elapsedDays, 365);
+    assert.ok(Math.abs(performance.raw.accruedInterest - 1250) < 1e-9);
+});
+
+test('no interest has accrued before the provision date', () => {
+    const performance = calculate(loan, 50000, 50000, day('2024-11-01'));
+
+    assert.equal(performance.elapsedDays, 0);
+    assert.equal(performance.raw.accruedInterest, 0);
+    assert.equal(performance.raw.theoreticalResult, 0);
+    assert.equal(performance.isOutperforming, false);
+});
+
+test('a BTC price drop is reported as a theoretical loss', () => {
+    const performance = calculate(loan, 40000, 50000, day('2025-02-05'));
+
+    assert.ok(Math.abs(performance.raw.theoreticalResult - (-2000 - 250)) < 1e-9);
+    assert.equal(performance.isOutperforming, false);
+    assert.equal(performance.theoreticalLabel, 'Theoretical Loss');
+    assert.equal(performance.btcPercentageChange, '-20.0%');
+});
+
+test('an unknown term falls back to the default term', () => {
+    const performance = calculate(Object.assign({}, loan, { termDays: null, maturityDate: null }), 75000, 50000, day('2025-02-05'));
+
+    assert.equal(performance.termKnown, false);
+    assert.equal(performance.termDays, CONFIG.interest.defaultTermDays);
+});
+
+test('margin-call and liquidation prices follow the LTV of the amount to repay', () => {
+    // 10,000 + 1,250 full-term interest over 0.25891 BTC
+    const levels = performanceEngine.calculateLiquidationLevels(loan, 75000, { marginCall: 80, liquidation: 95 }, day('2025-02-05'));
+    const debt = 11250;
+
+    assert.equal(levels.debt, debt);
+    assert.ok(Math.abs(levels.currentLTV - debt / (0.25891 * 75000) * 100) < 1e-9);
+    assert.ok(Math.abs(levels.marginCallPrice - debt / (0.25891 * 0.8)) < 1e-9);
+    assert.ok(Math.abs(levels.liquidationPrice - debt / (0.25891 * 0.95)) < 1e-9);
+    assert.ok(Math.abs(levels.marginCallDrop - (levels.marginCallPrice / 75000 - 1) * 100) < 1e-9);
+    assert.ok(levels.liquidationDrop < levels.marginCallDrop);
+});
+
+test('active loans report liquidation levels at the configured thresholds, closed loans none', () => {
+    const active = calculate(loan, 75000, 50000, day('2025-02-05'), { marginCall: 70, liquidation: 90 });
+    const closed = calculate(Object.assign({}, loan, { status: 'closed' }), 75000, 50000, day('2025-02-05'));
+
+    assert.equal(active.ltv.marginCallLTV, 70);
+    assert.ok(Math.abs(active.raw.ltv.marginCallPrice - 11250 / (0.25891 * 0.7)) < 1e-9);
+    assert.equal(closed.ltv, null);
+    assert.equal(performanceEngine.calculateLiquidationLevels(Object.assign({}, loan, { collateralBTC: null }), 75000), null);
+});
@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM } from 'jsdom';
+import { createHarness } from './helpers/harness.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const EUR_LOAN = 'address/bc1qeurloan0000000000000000000000000000001';
+
+// Current fixture prices convert USD and CHF amounts into EUR
+const toEUR = { EUR: 1, USD: 95000 / 108000, CHF: 95000 / 86000 };
+
+let harness;
+
+before(async () => {
+    harness = createHarness();
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+test('getStatus counts finished analyses, not detected cards', async () => {
+    const status = await harness.sendToContent({ action: 'getStatus' });
+    assert.equal(status.cardsFound, 3);
+    assert.equal(status.analyzed, 3);
+    assert.equal(status.failed, 0);
+
+    harness.internals.analysisStore.clear();
+    assert.equal((await harness.sendToContent({ action: 'getStatus' })).analyzed, 0);
+    harness.internals.lifecycle.reprocess();
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
+
+test('the portfolio summary has the totals and one entry per loan', async () => {
+    const { data } = await harness.sendToContent({ action: 'getPortfolioSummary' });
+    const loans = harness.internals.firefishDetector.getAllLoanData();
+    const amountEUR = (loan) => loan.loanAmount * toEUR[loan.currency];
+    const expectedRate = loans.reduce((sum, loan) => sum + loan.interestRate * amountEUR(loan), 0) /
+        loans.reduce((sum, loan) => sum + amountEUR(loan), 0);
+
+    assert.equal(data.totals.reportingCurrency, 'EUR');
+    assert.equal(data.totals.analyzedCount, 3);
+    assert.equal(data.totals.activeCount, 3);
+    assert.equal(data.totals.currentPrice, 95000);
+    assert.ok(Math.abs(data.totals.weightedAverageRate - expectedRate) < 1e-9);
+    assert.ok(Math.abs(data.totals.totalCollateralBTC - loans.reduce((sum, loan) => sum + loan.collateralBTC, 0)) < 1e-9);
+    assert.equal(data.totals.outperformingCount, data.loans.filter(loan => loan.isOutperforming).length);
+    assert.deepEqual(data.loans.map(loan => loan.loanId).sort(), loans.map(loan => loan.loanId).sort());
+    assert.ok(data.loans.every(loan => loan.status === 'active' && Number.isFinite(loan.ltv)));
+});
+
+test('the summary is stored for the popup and a loan can be scrolled to', async () => {
+    // Saved a second after the last result came in
+    await harness.waitFor(() => harness.storage.data.portfolioSummary?.loans.length === 3, { timeout: 5000 });
+
+    const response = await harness.sendToContent({ action: 'scrollToLoan', loanId: EUR_LOAN });
+    const card = harness.document.querySelector(`[data-firefish-btc-loan-id="${EUR_LOAN}"]`);
+    assert.equal(response.success, true);
+    assert.ok(card.classList.contains('firefish-btc-highlight'));
+    assert.equal((await harness.sendToContent({ action: 'scrollToLoan', loanId: 'unknown' })).success, false);
+});
+
+test('the popup shows the stored summary when no Firefish tab is active', async () => {
+    await harness.waitFor(() => harness.storage.data.portfolioSummary?.loans.length === 3, { timeout: 5000 });
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8').replace(/<script[^>]*><\/script>/g, ''), {
+        runScripts: 'outside-only'
+    });
+    const window = dom.window;
+    window.chrome = {
+        runtime: { onMessage: { addListener() {} }, openOptionsPage() {} },
+        tabs: { query: async () => [{ id: 2, url: 'https://example.com/' }], sendMessage: async () => undefined },
+        storage: harness.storage
+    };
+    window.eval(fs.readFileSync(path.join(ROOT, 'popup.js'), 'utf8'));
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    const document = window.document;
+    await harness.waitFor(() => document.querySelectorAll('.loan-item').length === 3);
+    assert.match(document.getElementById('summary-source').textContent, /Last analysis/);
+    assert.equal(document.getElementById('summary-price').textContent, '€95,000');
+    assert.equal(document.getElementById('not-firefish').style.display, 'block');
+    window.close();
+});
+
+test('the popup shows the progress of its tab and counts down rate limits', async () => {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8').replace(/<script[^>]*><\/script>/g, ''), {
+        runScripts: 'outside-only'
+    });
+    const window = dom.window;
+    const listeners = [];
+    window.chrome = {
+        runtime: { onMessage: { addListener: (listener) => listeners.push(listener) }, openOptionsPage() {} },
+        tabs: {
+            query: async () => [{ id: 1, url: harness.window.location.href }],
+            sendMessage: (tabId, message) => harness.sendToContent(message)
+        },
+        storage: harness.storage
+    };
+    window.eval(fs.readFileSync(path.join(ROOT, 'popup.js'), 'utf8'));
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+    const document = window.document;
+    const text = () => document.getElementById('progress-text').textContent;
+    await harness.waitFor(() => text() === '3 of 3 processed');
+    assert.equal(document.getElementById('progress-fill').style.width, '100%');
+
+    // Progress events from other tabs are ignored
+    const progress = {
+        total: 3,
+        counts: { queued: 0, fetching: 0, 'rate-limited': 1, done: 1, error: 1 },
+        finished: 2,
+        complete: false,
+        retryAt: Date.now() + 5000,
+        loans: [{ loanId: EUR_LOAN, label: '€10,000', state: 'error', error: 'No price data' }]
+    };
+    const send = (tabId) => listeners.forEach(listener => listener({ action: 'analysisProgress', data: progress }, { tab: { id: tabId } }, () => {}));
+    send(7);
+    assert.equal(text(), '3 of 3 processed');
+
+    send(1);
+    assert.match(text(), /^2 of 3 processed · 1 failed · 1 rate limited \(retry in [45]s\)$/);
+    assert.equal(document.getElementById('progress-failures').textContent, '€10,000: No price data');
+    assert.ok(document.getElementById('analysis-progress').classList.contains('rate-limited'));
+    window.popup.stopCountdown();
+    window.close();
+});
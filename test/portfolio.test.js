@@ -0,0 +1,69 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+
+// Prices from test/fixtures/coingecko
+const CURRENT = { EUR: 95000, USD: 108000, CHF: 86000 };
+const HISTORICAL = { EUR: 94115.33, USD: 83974.11, CHF: 84663.88 };
+
+// All fixture loans have matured, so the full-term interest applies
+const expectedResult = (currency, amount, rate, termDays) =>
+    amount * (CURRENT[currency] / HISTORICAL[currency] - 1) - amount * rate / 100 / 365 * termDays;
+
+let harness;
+
+before(async () => {
+    harness = createHarness();
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+test('every active loan card gets an analysis panel', () => {
+    assert.equal(harness.document.querySelectorAll('.firefish-btc-results').length, 3);
+    assert.equal(harness.document.querySelectorAll('.firefish-btc-error').length, 0);
+});
+
+test('active loan panels show the margin-call and liquidation prices', () => {
+    const panel = harness.document.querySelector('.firefish-btc-results');
+    const rows = panel.querySelectorAll('.firefish-btc-ltv');
+
+    assert.equal(rows.length, 3);
+    assert.match(panel.textContent, /Margin Call Price \(80% LTV\)/);
+    assert.match(panel.textContent, /Liquidation Price \(95% LTV\)/);
+});
+
+test('aggregatePortfolioData counts analyzed loans per currency', () => {
+    const totals = harness.internals.portfolioDashboard.aggregatePortfolioData();
+
+    assert.equal(totals.totalLoans, 3);
+    assert.equal(totals.analyzedCount, 3);
+    assert.equal(totals.reportingCurrency, 'EUR');
+    assert.equal(totals.unconvertedCount, 0);
+    assert.deepEqual(Object.keys(totals.byCurrency).sort(), ['CHF', 'EUR', 'USD']);
+    Object.values(totals.byCurrency).forEach(subtotal => assert.equal(subtotal.count, 1));
+});
+
+test('per-currency results match the fixture prices', () => {
+    const { byCurrency, outperformingCount } = harness.internals.portfolioDashboard.aggregatePortfolioData();
+    const eur = expectedResult('EUR', 10000, 12.5, 365);
+    const usd = expectedResult('USD', 25000, 11, 365);
+
+    assert.ok(Math.abs(byCurrency.EUR.theoretical - eur) < 0.01, `EUR ${byCurrency.EUR.theoretical} vs ${eur}`);
+    assert.ok(Math.abs(byCurrency.USD.theoretical - usd) < 0.01, `USD ${byCurrency.USD.theoretical} vs ${usd}`);
+    assert.equal(byCurrency.EUR.loanAmount, 10000);
+    assert.equal(byCurrency.USD.loanAmount, 25000);
+    assert.equal(byCurrency.CHF.loanAmount, 5000.5);
+    // EUR trails its interest cost, USD beats it
+    assert.equal(outperformingCount, (eur > 0) + (usd > 0) + (byCurrency.CHF.theoretical > 0));
+});
+
+test('portfolio totals are converted into the reporting currency at BTC cross-rates', () => {
+    const totals = harness.internals.portfolioDashboard.aggregatePortfolioData();
+    const toEur = (value, currency) => value * CURRENT.EUR / CURRENT[currency];
+    const expected = Object.entries(totals.byCurrency)
+        .reduce((sum, [currency, subtotal]) => sum + toEur(subtotal.theoretical, currency), 0);
+
+    assert.ok(Math.abs(totals.totalTheoretical - expected) < 0.01);
+    assert.ok(Math.abs(totals.totalLoanAmount - (10000 + toEur(25000, 'USD') + toEur(totals.byCurrency.CHF.loanAmount, 'CHF'))) < 0.01);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, jsonResponse } from './helpers/harness.js';
+import { charts } from '../src/content/charts.js';
+
+const EUR_LOAN = 'address/bc1qeurloan0000000000000000000000000000001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let harness;
+let chartRequests = 0;
+
+before(async () => {
+    harness = createHarness({
+        // Ranges up to today (the charts) get one price a day; the analysis' own ranges end near
+        // the provision dates and keep the fixtures
+        fetch: (url, fixtureFetch) => {
+            const parsed = new URL(url);
+            const to = Number(parsed.searchParams.get('to')) * 1000;
+            if (!parsed.pathname.endsWith('/market_chart/range') || Date.now() - to > DAY_MS) return fixtureFetch(url);
+
+            chartRequests++;
+            const from = Number(parsed.searchParams.get('from')) * 1000;
+            const prices = [];
+            for (let time = from; time <= to; time += DAY_MS) prices.push([time, 60000 + (time - from) / (to - from) * 40000]);
+            return jsonResponse({ prices });
+        }
+    });
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+const eurCard = () => harness.document.querySelector(`[data-firefish-btc-loan-id="${EUR_LOAN}"]`);
+
+test('markers are drawn as labelled lines within the y range', () => {
+    const svg = charts.lineChart([[0, 10], [1, 20]], {
+        markers: [{ value: 30, label: 'Break-even', className: 'marker-a' }],
+        dots: false
+    });
+
+    assert.match(svg, /class="firefish-chart-marker marker-a"/);
+    assert.match(svg, />Break-even<\/text>/);
+    assert.match(svg, />30<\/text>/);
+    assert.doesNotMatch(svg, /<circle/);
+});
+
+test('every result panel has a collapsed price chart that loads when opened', async () => {
+    assert.equal(harness.document.querySelectorAll('.firefish-btc-results .firefish-btc-price-chart').length, 3);
+    assert.equal(chartRequests, 0);
+
+    const details = eurCard().querySelector('.firefish-btc-price-chart');
+    details.open = true;
+    details.dispatchEvent(new harness.window.Event('toggle'));
+    await harness.waitFor(() => details.querySelector('svg.firefish-chart-price'));
+
+    assert.equal(chartRequests, 1);
+    assert.equal(details.querySelectorAll('.firefish-chart-marker').length, 3);
+    assert.equal(details.querySelectorAll('.firefish-chart-dot').length, 0);
+});
+
+test('the break-even price is where BTC gains equal the interest accrued', () => {
+    const { loanData, performance } = harness.internals.analysisStore.get(EUR_LOAN);
+    const breakEven = harness.internals.priceChart.breakEvenPrice(loanData, { raw: performance });
+
+    const gain = loanData.loanAmount * (breakEven / performance.historicalPrice - 1);
+    assert.ok(Math.abs(gain - performance.accruedInterest) < 1e-6);
+
+    const rounded = harness.internals.utils.formatCurrency(Math.round(breakEven), 'EUR').replace(/\.00$/, '');
+    assert.match(eurCard().querySelector('.firefish-chart-legend').textContent, new RegExp(`Break-even ${rounded.replace(/[$.]/g, '\\$&')}`));
+});
+
+test('a chart that fails to load is fetched again when reopened', async () => {
+    const card = harness.document.querySelectorAll('.firefish-btc-results')[1].closest('[data-firefish-btc-loan-id]');
+    const details = card.querySelector('.firefish-btc-price-chart');
+    const cryptoService = harness.internals.cryptoService;
+    const original = cryptoService.getBTCPriceHistory;
+    cryptoService.getBTCPriceHistory = async () => [];
+
+    details.open = true;
+    details.dispatchEvent(new harness.window.Event('toggle'));
+    await harness.waitFor(() => /unavailable/.test(details.textContent));
+    cryptoService.getBTCPriceHistory = original;
+
+    details.open = false;
+    details.dispatchEvent(new harness.window.Event('toggle'));
+    details.open = true;
+    details.dispatchEvent(new harness.window.Event('toggle'));
+    await harness.waitFor(() => details.querySelector('svg.firefish-chart-price'));
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../priceProviders.js';
+
+const { createProviderChain, createProviderError, createKrakenProvider, createCustomProvider } = globalThis.FirefishPriceProviders;
+
+const rateLimited = {
+    id: 'limited',
+    name: 'Limited',
+    getCurrentPrices: async () => { throw createProviderError('Limited: too many requests', 429, 30000); }
+};
+
+test('a provider that does not quote the currency leaves the rate limit to the caller', async () => {
+    const chain = createProviderChain([rateLimited, createKrakenProvider('http://kraken.invalid')]);
+
+    await assert.rejects(chain.getCurrentPrices(['czk']), (error) => {
+        assert.equal(error.status, 429);
+        assert.ok(error.retryAfter > 29000 && error.retryAfter <= 30000);
+        return true;
+    });
+});
+
+test('a fallback that quotes only some currencies does not hide the rate limit', async () => {
+    const partial = { id: 'partial', name: 'Partial', getCurrentPrices: async () => ({ eur: 95000 }) };
+
+    await assert.rejects(createProviderChain([rateLimited, partial]).getCurrentPrices(['czk', 'eur']), { status: 429 });
+    // Without a rate limit the partial answer is the best there is
+    assert.deepEqual((await createProviderChain([partial]).getCurrentPrices(['czk', 'eur'])).value, { eur: 95000 });
+});
+
+test('the unsupported error is reported when no provider quotes the currency', async () => {
+    const chain = createProviderChain([createKrakenProvider('http://kraken.invalid')]);
+
+    await assert.rejects(chain.getHistoricalPrice(new Date(Date.UTC(2025, 0, 1)), 'czk'), (error) => {
+        assert.equal(error.unsupported, true);
+        assert.match(error.message, /does not quote BTC\/CZK/);
+        return true;
+    });
+});
+
+test('a failure other than a rate limit still fails over and is reported', async () => {
+    const broken = { id: 'broken', name: 'Broken', getCurrentPrices: async () => { throw createProviderError('Broken: 500', 500); } };
+    const working = { id: 'working', name: 'Working', getCurrentPrices: async () => ({ eur: 95000 }) };
+
+    assert.deepEqual(await createProviderChain([broken, working]).getCurrentPrices(['eur']), { value: { eur: 95000 }, providerId: 'working' });
+    await assert.rejects(createProviderChain([broken, createKrakenProvider('http://kraken.invalid')]).getCurrentPrices(['czk']), /Broken: 500/);
+});
+
+test('a fallback that quotes only some currencies does not hide the failure of an earlier provider', async () => {
+    const broken = { id: 'broken', name: 'Broken', getCurrentPrices: async () => { throw createProviderError('Broken: timeout'); } };
+    const partial = { id: 'partial', name: 'Partial', getCurrentPrices: async () => ({ eur: 95000 }) };
+
+    await assert.rejects(createProviderChain([broken, partial]).getCurrentPrices(['chf', 'eur']), /Broken: timeout/);
+});
+
+test('a custom endpoint answering without prices fails over to the next provider', async (t) => {
+    const originalFetch = globalThis.fetch;
+    t.after(() => { globalThis.fetch = originalFetch; });
+    globalThis.fetch = async () => new Response(JSON.stringify({ status: 'ok', eur: 'n/a' }), { status: 200 });
+    const working = { id: 'working', name: 'Working', getCurrentPrices: async () => ({ eur: 95000 }) };
+
+    await assert.rejects(createCustomProvider('http://prices.invalid').getCurrentPrices(['eur']), /returned no BTC prices/);
+    const { providerId } = await createProviderChain([createCustomProvider('http://prices.invalid'), working]).getCurrentPrices(['eur']);
+    assert.equal(providerId, 'working');
+
+    globalThis.fetch = async () => new Response(JSON.stringify({ eur: 95000, usd: '108000', note: 'x' }), { status: 200 });
+    assert.deepEqual(await createCustomProvider('http://prices.invalid').getCurrentPrices(['eur', 'usd']), { eur: 95000, usd: 108000 });
+});
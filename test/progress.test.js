@@ -0,0 +1,53 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, jsonResponse } from './helpers/harness.js';
+
+// Provision-date prices for one of the three loans are missing from every provider
+const MISSING_DATE = '15-03-2025';
+
+let harness;
+
+before(async () => {
+    harness = createHarness({
+        fetch: (url, fixtureFetch) => url.includes(`date=${MISSING_DATE}`) ?
+            jsonResponse({ error: 'not found' }, 404) :
+            fixtureFetch(url)
+    });
+    await harness.waitFor(() => harness.internals.analysisProgress.snapshot().complete, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+test('every card ends in done or error, with the reason for failures', async () => {
+    const { progress } = await harness.sendToContent({ action: 'getStatus' });
+
+    assert.equal(progress.total, 3);
+    assert.equal(progress.counts.done, 2);
+    assert.equal(progress.counts.error, 1);
+    assert.equal(progress.finished, 3);
+    assert.equal(progress.complete, true);
+
+    const failed = progress.loans.find(loan => loan.state === 'error');
+    assert.ok(failed.label);
+    assert.ok(failed.error.length > 0);
+});
+
+test('the toolbar badge flags failures once the analysis completes', async () => {
+    await harness.waitFor(() => harness.background.badges.get(1)?.text === '!');
+    assert.equal(harness.background.badges.get(1).color, '#dc3545');
+});
+
+test('reprocessing starts the progress over', async () => {
+    harness.internals.lifecycle.reprocess();
+    const running = harness.internals.analysisProgress.snapshot();
+    assert.equal(running.complete, false);
+    assert.ok(running.counts.queued + running.counts.fetching > 0);
+
+    await harness.waitFor(() => harness.internals.analysisProgress.snapshot().complete, { timeout: 20000 });
+    assert.equal(harness.internals.analysisProgress.snapshot().counts.error, 1);
+});
+
+test('unknown states are rejected', () => {
+    const card = harness.document.createElement('div');
+    assert.throws(() => harness.internals.analysisProgress.set(card, 'paused'), /Unknown analysis state/);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, jsonResponse } from './helpers/harness.js';
+
+let harness;
+let rateLimitedCalls = 0;
+
+before(() => {
+    // Every provider answers 429 for the first three seconds, advertising Retry-After: 3
+    let limitedUntil = null;
+    harness = createHarness({
+        fetch: (url, fixtureFetch) => {
+            if (limitedUntil === null) limitedUntil = Date.now() + 3000;
+            if (Date.now() < limitedUntil) {
+                rateLimitedCalls++;
+                return jsonResponse({ status: { error_code: 429 } }, 429, { 'Retry-After': '3' });
+            }
+            return fixtureFetch(url);
+        }
+    });
+});
+
+after(() => harness.close());
+
+test('rate-limited cards show a retry countdown', async () => {
+    const message = await harness.waitFor(() => harness.document.querySelector('.firefish-btc-rate-limited'));
+
+    assert.match(message.textContent, /rate limited - retrying in \d+s/);
+    assert.ok(rateLimitedCalls > 0);
+    assert.equal(harness.internals.rateLimitState.isRateLimited, true);
+});
+
+test('progress reports the rate-limited cards and when they retry', async () => {
+    const progress = await harness.waitFor(() => {
+        const snapshot = harness.internals.analysisProgress.snapshot();
+        return snapshot.counts['rate-limited'] > 0 && snapshot.retryAt ? snapshot : null;
+    });
+
+    assert.ok(progress.retryAt > Date.now() - 1000);
+    assert.equal(progress.complete, false);
+    await harness.waitFor(() => harness.background.badges.get(1)?.color === '#fd7e14');
+});
+
+test('analysis resumes once the retry window has passed', async () => {
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 30000 });
+
+    assert.equal(harness.document.querySelectorAll('.firefish-btc-rate-limited').length, 0);
+    assert.equal(harness.internals.rateLimitState.isRateLimited, false);
+    assert.equal(harness.internals.analysisProgress.snapshot().counts.done, 3);
+});
@@ -0,0 +1,155 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import '../settingsSchema.js';
+import { createHarness, jsonResponse } from './helpers/harness.js';
+
+const schema = globalThis.FirefishSettingsSchema;
+
+test('validate fills in the defaults and keeps fields outside the schema', () => {
+    const { valid, values } = schema.validate({ reportingCurrency: 'CHF', features: { quickActions: false }, lastSeen: 1 });
+
+    assert.equal(valid, true);
+    assert.equal(values.reportingCurrency, 'CHF');
+    assert.deepEqual(values.features, { btcAnalysis: true, enhancedUI: true, cryptoPrices: true, quickActions: false });
+    assert.equal(values.marginCallLTV, 80);
+    assert.equal(values.lastSeen, 1);
+});
+
+test('invalid fields are reported and fall back to their defaults', () => {
+    const { valid, values, errors } = schema.validate({
+        refreshInterval: 2.5,
+        theme: 'neon',
+        reportingCurrency: 'euro',
+        customPriceEndpoint: 'ftp://prices',
+        selectorProfile: { selectors: {} }
+    });
+
+    assert.equal(valid, false);
+    assert.deepEqual(Object.keys(errors).sort(), ['customPriceEndpoint', 'refreshInterval', 'reportingCurrency', 'selectorProfile', 'theme']);
+    assert.equal(values.refreshInterval, 5);
+    assert.equal(values.theme, 'auto');
+    assert.equal(values.selectorProfile, null);
+});
+
+test('thresholds must be ordered and the custom provider needs an endpoint', () => {
+    const { errors, values } = schema.validate({ marginCallLTV: 90, liquidationLTV: 85, priceProvider: 'custom' });
+
+    assert.ok(errors.liquidationLTV);
+    assert.ok(errors.customPriceEndpoint);
+    assert.equal(values.priceProvider, 'coingecko');
+    assert.ok(schema.validate({ marginCallLTV: 70, alertLTV: 75 }).errors.alertLTV);
+    assert.ok(schema.validate({ requestsPerMinute: 500 }).errors.requestsPerMinute);
+});
+
+test('selector profiles saved in another format version are rejected', () => {
+    const selectors = { loanCard: '.card' };
+
+    assert.equal(schema.validate({ selectorProfile: { selectors } }).valid, true);
+    assert.equal(schema.validate({ selectorProfile: { version: schema.SELECTOR_PROFILE_VERSION, selectors } }).valid, true);
+    const { values, errors } = schema.validate({ selectorProfile: { version: 0, selectors } });
+    assert.match(errors.selectorProfile, /version 0 is not supported/);
+    assert.equal(values.selectorProfile, null);
+});
+
+let harness;
+const priceRequests = [];
+
+before(async () => {
+    // An invalid stored value is ignored in favour of the default
+    harness = createHarness({
+        settings: { liquidationLTV: 'high' },
+        // GBP is quoted, but only when asked for
+        fetch: (url, fixtureFetch) => {
+            const parsed = new URL(url);
+            if (!parsed.pathname.endsWith('/simple/price')) return fixtureFetch(url);
+            priceRequests.push(parsed.searchParams.get('vs_currencies'));
+            if (!priceRequests.at(-1).split(',').includes('gbp')) return fixtureFetch(url);
+            return jsonResponse({ bitcoin: { eur: 95000, usd: 108000, chf: 86000, gbp: 80000 } });
+        }
+    });
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+const saveSettings = async (changes) => {
+    const { settings } = await harness.storage.local.get('settings');
+    await harness.storage.local.set({ settings: Object.assign({}, settings, changes) });
+};
+
+test('invalid stored settings fall back to the defaults', () => {
+    assert.match(harness.document.querySelector('.firefish-btc-results').textContent, /Liquidation Price \(95% LTV\)/);
+});
+
+test('saved settings reach the open tab without a reload', async () => {
+    await saveSettings({ marginCallLTV: 70 });
+    await harness.waitFor(() => {
+        const panel = harness.document.querySelector('.firefish-btc-results');
+        return panel && /Margin Call Price \(70% LTV\)/.test(panel.textContent) &&
+            harness.document.querySelectorAll('.firefish-btc-results').length === 3;
+    }, { timeout: 20000 });
+    assert.equal(harness.internals.userSettings.ltvThresholds().marginCall, 70);
+});
+
+test('thresholds set from the debug API go through the schema like the options page', async () => {
+    const { setLTVThresholds } = harness.window.firefishBTC;
+    const analyzedWith = (marginCall) => harness.waitFor(() => {
+        const panels = [...harness.document.querySelectorAll('.firefish-btc-results')];
+        return panels.length === 3 && panels.every(panel => panel.textContent.includes(`Margin Call Price (${marginCall}% LTV)`));
+    }, { timeout: 20000 });
+
+    const unordered = await setLTVThresholds(90, 85);
+    assert.equal(unordered.marginCall, 80);
+    assert.equal(unordered.liquidation, 95);
+    // The defaults that replaced them are stored, not the invalid values
+    const { settings } = await harness.storage.local.get('settings');
+    assert.equal(settings.marginCallLTV, 80);
+    assert.equal(settings.liquidationLTV, 95);
+    await analyzedWith(80);
+
+    const saved = await setLTVThresholds(70, 95);
+    assert.equal(saved.marginCall, 70);
+    assert.equal(saved.liquidation, 95);
+    await analyzedWith(70);
+});
+
+test('a reporting currency without a BTC rate yet is fetched before the totals are converted', async () => {
+    assert.ok(priceRequests.every(currencies => !currencies.includes('gbp')));
+    await saveSettings({ reportingCurrency: 'GBP' });
+
+    const card = () => harness.document.querySelector('.portfolio-summary-card').textContent;
+    await harness.waitFor(() => card().includes('£') && !/no BTC rate available/.test(card()));
+
+    assert.ok(priceRequests.at(-1).split(',').includes('gbp'));
+    const totals = harness.internals.portfolioDashboard.aggregatePortfolioData();
+    assert.equal(totals.reportingCurrency, 'GBP');
+    assert.equal(totals.unconvertedCount, 0);
+
+    await saveSettings({ reportingCurrency: 'EUR' });
+});
+
+test('the price request rate comes from the validated settings', async () => {
+    // A currency of its own per call, past the service worker's price cache
+    const refillPerMinute = async (currency) => {
+        await harness.background.sendMessage({ action: 'getCurrentPrices', currencies: [currency] });
+        return vm.runInContext('requestScheduler.config.refillPerMinute', harness.background.context);
+    };
+
+    await saveSettings({ requestsPerMinute: 10 });
+    assert.equal(await refillPerMinute('chf'), 10);
+
+    // Out of range: the default applies
+    await saveSettings({ requestsPerMinute: 500 });
+    assert.equal(await refillPerMinute('usd'), 25);
+});
+
+test('switching the BTC analysis off removes the panels, switching it on brings them back', async () => {
+    await saveSettings({ features: { btcAnalysis: false } });
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 0);
+    assert.equal(harness.internals.lifecycle.running, false);
+    assert.equal(harness.document.querySelector('.portfolio-summary-card'), null);
+
+    await saveSettings({ features: { btcAnalysis: true } });
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+
+const CURRENT = { EUR: 95000, USD: 108000, CHF: 86000 };
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} != ${expected}`);
+
+let harness;
+
+before(async () => {
+    harness = createHarness();
+    await harness.waitFor(() => harness.document.querySelector('.portfolio-summary-complete .portfolio-simulator'), { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+const simulate = (scenario) => harness.window.firefishBTC.simulateScenario(scenario);
+const entries = () => harness.internals.analysisStore.getResults();
+
+test('today at the current price reproduces the analysis', () => {
+    const result = simulate();
+
+    assert.equal(result.loans.length, 3);
+    result.loans.forEach(loan => {
+        const { performance, isOutperforming } = harness.internals.analysisStore.get(loan.loanId);
+        close(loan.theoreticalResult, performance.theoreticalResult);
+        close(loan.ltv, performance.ltv.currentLTV);
+        assert.equal(loan.isOutperforming, isOutperforming);
+    });
+});
+
+test('a price scenario changes the BTC value and the LTV', () => {
+    const result = simulate({ changePercent: -50 });
+
+    entries().forEach(({ loanId, loanData, performance }) => {
+        const loan = result.loans.find(item => item.loanId === loanId);
+        close(loan.targetPrice, CURRENT[loanData.currency] / 2);
+        close(loan.btcValueChange, loanData.loanAmount * (loan.targetPrice / performance.historicalPrice - 1));
+        close(loan.theoreticalResult, loan.btcValueChange - loan.accruedInterest);
+        close(loan.ltv, performance.ltv.currentLTV * 2);
+    });
+    assert.equal(result.totals.count, 3);
+});
+
+test('a target price in the reporting currency is converted for each loan', () => {
+    const result = simulate({ targetPrice: 190000 });
+
+    result.loans.forEach(loan => close(loan.targetPrice, 190000 * CURRENT[loan.currency] / CURRENT.EUR));
+    const expectedTotal = result.loans.reduce((sum, loan) => sum + loan.theoreticalResult * CURRENT.EUR / CURRENT[loan.currency], 0);
+    close(result.totals.theoreticalResult, expectedTotal);
+});
+
+test('interest accrues up to the target date, at most for the loan term', () => {
+    const result = simulate({ targetDate: '2030-01-01' });
+
+    entries().forEach(({ loanId, loanData }) => {
+        const loan = result.loans.find(item => item.loanId === loanId);
+        const interest = harness.internals.performanceEngine.calculateInterest(loanData, new Date(Date.UTC(2030, 0, 1)));
+        close(loan.accruedInterest, interest.accruedInterest);
+        close(loan.accruedInterest, interest.fullTermInterest);
+    });
+    assert.equal(result.targetDate, '2030-01-01');
+});
+
+test('the dashboard simulator recomputes on input and keeps its state across re-renders', () => {
+    const document = harness.document;
+    const total = () => document.querySelector('.portfolio-simulator .pf-sim-total').textContent;
+    const initial = total();
+
+    document.querySelector('.portfolio-simulator [data-sim-change="-50"]').click();
+    assert.notEqual(total(), initial);
+    assert.equal(document.querySelectorAll('.portfolio-simulator .pf-sim-row:not(.pf-sim-head)').length, 3);
+    assert.match(document.querySelector('.portfolio-simulator .pf-sim-scenario.active').textContent, /-50%/);
+    const halved = total();
+
+    harness.internals.portfolioDashboard.update();
+    assert.equal(total(), halved);
+
+    const price = document.querySelector('.portfolio-simulator .pf-sim-price');
+    price.value = '95000';
+    price.dispatchEvent(new harness.window.Event('input'));
+    assert.equal(total(), initial);
+    assert.equal(document.querySelector('.portfolio-simulator .pf-sim-scenario.active'), null);
+});
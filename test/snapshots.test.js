@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+import { CONFIG } from '../src/content/config.js';
+import { snapshotStore } from '../src/content/snapshotStore.js';
+
+const EUR_LOAN = 'address/bc1qeurloan0000000000000000000000000000001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const isoDaysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+
+test('snapshots are kept one per day, oldest first', () => {
+    const now = new Date('2025-03-15T12:00:00Z');
+    const history = [{ date: '2025-03-14', theoreticalResult: 1 }, { date: '2025-03-15', theoreticalResult: 2 }];
+    const merged = snapshotStore.merge(history, { date: '2025-03-15', theoreticalResult: 3 }, now);
+
+    assert.deepEqual(merged.map(entry => [entry.date, entry.theoreticalResult]), [['2025-03-14', 1], ['2025-03-15', 3]]);
+});
+
+test('snapshots past the retention period are pruned', () => {
+    const now = new Date('2025-03-15T12:00:00Z');
+    const old = new Date(now.getTime() - (CONFIG.snapshots.retentionDays + 1) * DAY_MS).toISOString().slice(0, 10);
+    const pruned = snapshotStore.prune([{ date: old }, { date: '2025-03-01' }], now);
+
+    assert.deepEqual(pruned.map(entry => entry.date), ['2025-03-01']);
+});
+
+let harness;
+
+before(async () => {
+    harness = createHarness({
+        storage: {
+            loanSnapshots: {
+                [EUR_LOAN]: [{ date: isoDaysAgo(3), theoreticalResult: -500, ltv: 50, currency: 'EUR' }],
+                'address/stale': [{ date: isoDaysAgo(CONFIG.snapshots.retentionDays + 30), theoreticalResult: 0, ltv: 40 }]
+            }
+        }
+    });
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+});
+
+after(() => harness.close());
+
+test('each analyzed loan gets a dated snapshot with its fields, prices and results', () => {
+    const history = harness.storage.data.loanSnapshots[EUR_LOAN];
+    const today = history[history.length - 1];
+
+    assert.equal(history.length, 2);
+    assert.equal(today.date, isoDaysAgo(0));
+    assert.equal(today.loanAmount, 10000);
+    assert.equal(today.collateralBTC, 0.25891);
+    assert.equal(today.historicalPrice, 94115.33);
+    assert.equal(today.currentPrice, 95000);
+    assert.ok(Number.isFinite(today.theoreticalResult));
+    assert.ok(Math.abs(today.ltv - 11250 / (0.25891 * 95000) * 100) < 1e-9);
+    assert.equal(harness.storage.data.loanSnapshots['address/stale'], undefined);
+});
+
+test('the result panel shows the change since the previous visit and the history charts', () => {
+    const card = harness.document.querySelector(`[data-firefish-btc-loan-id="${EUR_LOAN}"]`);
+    const row = card.querySelector('.firefish-btc-history');
+
+    assert.match(row.textContent, /Since \d{1,2} \w{3} \d{4}/);
+    assert.match(row.textContent, /Gain\/Loss [+-]/);
+    assert.match(row.textContent, /LTV [+-]\d+\.\d pts/);
+    assert.equal(card.querySelectorAll('.firefish-btc-history-charts svg').length, 2);
+});
+
+test('analyzing again on the same day replaces today\'s snapshot', async () => {
+    // reprocess() removes the panels right away, then analyzes every card again
+    harness.internals.lifecycle.reprocess();
+    await harness.waitFor(() => harness.document.querySelectorAll('.firefish-btc-results').length === 3, { timeout: 20000 });
+
+    assert.equal(harness.storage.data.loanSnapshots[EUR_LOAN].length, 2);
+});
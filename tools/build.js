@@ -0,0 +1,34 @@
+// Insight+ for Firefish - Content script build
+// Bundles the ES modules in src/content into the single classic script Manifest V3
+// content scripts require.
+//
+// Usage: node tools/build.js [--watch]
+
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import * as esbuild from 'esbuild';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const contentScriptBuild = {
+    entryPoints: [path.join(ROOT, 'src', 'content', 'index.js')],
+    outfile: path.join(ROOT, 'dist', 'content.js'),
+    bundle: true,
+    format: 'iife',
+    target: 'chrome88',
+    charset: 'utf8',
+    logLevel: 'info'
+};
+
+async function main() {
+    if (process.argv.includes('--watch')) {
+        const context = await esbuild.context(contentScriptBuild);
+        await context.watch();
+        return;
+    }
+    await esbuild.build(contentScriptBuild);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(() => process.exit(1));
+}
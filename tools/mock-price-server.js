@@ -0,0 +1,115 @@
+// Insight+ for Firefish - Local stand-in price server
+// Implements the custom JSON endpoint interface from priceProviders.js so the
+// extension can be exercised without hitting CoinGecko or Kraken.
+//
+// Usage: node tools/mock-price-server.js [port]
+// Then set the price provider to "custom" with endpoint http://localhost:<port>
+//
+//   GET /current?currencies=eur,usd                -> { "eur": 90000, "usd": 97000 }
+//   GET /historical?date=2024-11-24&currency=eur   -> { "price": 60000 }
+//   GET /range?currency=eur&from=<ms>&to=<ms>      -> { "prices": [[timestampMs, price], ...] }
+//   GET /set?eur=85000&usd=92000                   -> overrides current prices
+//   GET /rate-limit?seconds=30                     -> answers 429 with Retry-After for that long
+//
+// Tests import createMockPriceServer() and listen on a free port.
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Price of one BTC in each currency; overridable through /set
+const DEFAULT_PRICES = {
+    eur: 90000,
+    usd: 97000,
+    chf: 85000,
+    czk: 2270000,
+    gbp: 76000
+};
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, Object.assign({
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+    }, headers));
+    res.end(JSON.stringify(body));
+}
+
+// A server with its own prices; `initialPrices` overrides the defaults
+export function createMockPriceServer(initialPrices = {}) {
+    const currentPrices = Object.assign({}, DEFAULT_PRICES, initialPrices);
+    let rateLimitedUntil = 0;
+
+    // Deterministic historical curve: a slow climb towards today's price with a weekly wobble
+    function historicalPrice(currency, timestamp) {
+        const current = currentPrices[currency];
+        if (!current) return null;
+
+        const daysAgo = Math.max(0, (Date.now() - timestamp) / DAY_MS);
+        const trend = current / (1 + daysAgo / 365);
+        const wobble = 1 + 0.03 * Math.sin(timestamp / (7 * DAY_MS));
+        return Math.round(trend * wobble * 100) / 100;
+    }
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const params = url.searchParams;
+
+        if (url.pathname === '/set') {
+            params.forEach((value, currency) => {
+                currentPrices[currency.toLowerCase()] = Number(value);
+            });
+            return send(res, 200, currentPrices);
+        }
+
+        if (url.pathname === '/rate-limit') {
+            const seconds = Number(params.get('seconds') || 60);
+            rateLimitedUntil = Date.now() + seconds * 1000;
+            return send(res, 200, { rateLimitedUntil });
+        }
+
+        if (Date.now() < rateLimitedUntil) {
+            const retryAfter = Math.ceil((rateLimitedUntil - Date.now()) / 1000);
+            return send(res, 429, { error: 'Too Many Requests' }, { 'Retry-After': String(retryAfter) });
+        }
+
+        if (url.pathname === '/current') {
+            const currencies = (params.get('currencies') || 'eur').toLowerCase().split(',');
+            const prices = {};
+            currencies.forEach(currency => {
+                if (currentPrices[currency]) prices[currency] = currentPrices[currency];
+            });
+            return send(res, 200, prices);
+        }
+
+        if (url.pathname === '/historical') {
+            const timestamp = Date.parse(`${params.get('date')}T00:00:00Z`);
+            const price = historicalPrice((params.get('currency') || '').toLowerCase(), timestamp);
+            return price ? send(res, 200, { price }) : send(res, 404, { error: 'Unknown date or currency' });
+        }
+
+        if (url.pathname === '/range') {
+            const currency = (params.get('currency') || '').toLowerCase();
+            const from = Number(params.get('from'));
+            const to = Number(params.get('to'));
+            if (!currentPrices[currency] || !(from <= to)) {
+                return send(res, 400, { error: 'Invalid range or currency' });
+            }
+
+            const prices = [];
+            for (let day = Math.ceil(from / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+                prices.push([day, historicalPrice(currency, day)]);
+            }
+            return send(res, 200, { prices });
+        }
+
+        return send(res, 404, { error: 'Not found' });
+    });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.argv[2] || process.env.PORT || 8787);
+    createMockPriceServer().listen(port, () => {
+        console.log(`[Insight+ Firefish] Mock price server listening on http://localhost:${port}`);
+    });
+}